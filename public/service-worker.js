@@ -0,0 +1,27 @@
+// Shows to-do reminders for the app (see src/reminders.js) and brings it back when one is clicked.
+// The page decides when a reminder is due; this worker only has to outlive the page's focus, which
+// page notifications don't on mobile or in an installed app.
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Focuses an open window and asks it to show the to-do, or opens the app on it.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const todoId = event.notification.data && event.notification.data.todoId;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const client = windows[0];
+            if (client) {
+                client.postMessage({ type: 'open-todo', todoId });
+                return client.focus();
+            }
+            return self.clients.openWindow(`${self.registration.scope}?todo=${todoId}`);
+        })
+    );
+});
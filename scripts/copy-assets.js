@@ -0,0 +1,28 @@
+// Copies the files the app loads at runtime, outside the webpack bundle, from
+// node_modules into public/, where the dev server and the build serve them.
+// Runs before `start` and `build`; the copies are git-ignored.
+//
+//   public/tesseract/worker.min.js                  tesseract.js/dist       local OCR (src/ocr.js)
+//   public/tesseract/tesseract-core-*lstm.wasm.js    tesseract.js-core       the OCR engine, with and without SIMD
+//   public/tesseract/eng.traineddata.gz              @tesseract.js-data/eng  English model for the LSTM engine
+//   public/pdfjs/pdf.worker.min.js                   pdfjs-dist/build        PDF text import (src/pdf.js)
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const ASSETS = [
+    { from: 'tesseract.js/dist/worker.min.js', to: 'tesseract/worker.min.js' },
+    { from: 'tesseract.js-core/tesseract-core-lstm.wasm.js', to: 'tesseract/tesseract-core-lstm.wasm.js' },
+    { from: 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js', to: 'tesseract/tesseract-core-simd-lstm.wasm.js' },
+    { from: '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', to: 'tesseract/eng.traineddata.gz' },
+    { from: 'pdfjs-dist/build/pdf.worker.min.js', to: 'pdfjs/pdf.worker.min.js' },
+];
+
+ASSETS.forEach(({ from, to }) => {
+    const source = require.resolve(from, { paths: [ROOT] });
+    const target = path.join(ROOT, 'public', to);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+});
+console.log(`Copied ${ASSETS.length} runtime assets into public/`);
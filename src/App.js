@@ -1,26 +1,55 @@
-import React, { useState, useEffect, useCallback, useRef, useImperativeHandle, forwardRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, useImperativeHandle, forwardRef } from 'react';
+import { createStorage, diffRecords, blobToDataUrl, getDataUrlMimeType } from './storage';
+import { loadAndMigrate, restoreBackup, collectRecoveryData } from './migrations';
+import { createArchive, parseArchive, combineArchive, createIdAllocator } from './archive';
+import { createMarkdownVault } from './markdown';
+import { collectCalendarUids, createCalendar, parseCalendar } from './ics';
+import { AI_PROVIDERS, createAiProvider } from './ai';
+import { createAnalysisQueue } from './queue';
+import { createTesseractOcr } from './ocr';
+import { IMPORT_ACCEPT, getFileKind, readImportFile } from './files';
+import { compressImage, createThumbnail } from './images';
+import { createHttpLinkFetcher, getHostname, isUrl, normalizeUrl } from './links';
+import { STOP_WORDS, createSearchIndex, createSnippet, highlightText } from './search';
+import { SMART_COLLECTIONS_KEY, parseQuery, runQuery } from './query';
+import { COLLECTION_COLORS, buildCollectionTree, compareCollections, getCollectionPath, getDescendantIds, moveCollection, nextSortOrder } from './collections';
+import { addTag, collectTagCounts, normalizeTag, renameTags, suggestTags } from './tags';
+import { DATE_FORMATS, DEFAULT_SETTINGS, IMAGE_FORMATS, IMAGE_MAX_SIZES, IMAGE_QUALITIES, LANDING_PAGES, RETRY_LIMITS, TRASH_RETENTION_DAYS, WEEK_STARTS, loadSettings, saveSettings, validateSettings } from './settings';
+import { applyChange, createChange, createHistory } from './history';
+import { DEFAULT_PRIORITY, PRIORITIES, TODO_GROUPS, TODO_SORTS, addSubtask, applyTaskAction, compareTasks, createNextOccurrence, createTask, getTodoGroup, groupTodos, isOverdue, isTodoDone, shiftDate, sortTasks, toggleTask } from './tasks';
+import { WEEKDAYS, describeRule, firstOccurrence, formatRule, getDatePosition, listOccurrences, parseRule } from './recurrence';
+import { DEFAULT_DUE_TIME, MAX_TIMER_DELAY, REMINDERS_CHECKED_KEY, REMINDER_OFFSETS, getDueReminders, getNextReminder, getNotificationPermission, registerReminderWorker, requestNotificationPermission, showReminderNotification } from './reminders';
+import { getTrashEntries, getTrashedWith, isTrashExpired, isTrashed, purgeTrash, restoreFromTrash, trashCollection, trashItems } from './trash';
 
 // --- Helper Functions ---
-// Formats an ISO date string into a more readable "dd/mm/yy, HH:MM" format.
-const formatDate = (isoString) => {
+// Formats an ISO date string into a more readable "dd/mm/yy, HH:MM" format, or one of the other DATE_FORMATS.
+const formatDate = (isoString, dateFormat = 'dd/mm/yy') => {
     if (!isoString) return '';
     const date = new Date(isoString);
     const day = String(date.getDate()).padStart(2, '0');
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const year = String(date.getFullYear()).slice(-2);
     const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (dateFormat === 'yyyy-mm-dd') return `${toISODateString(date)} ${time}`;
+    if (dateFormat === 'mm/dd/yy') return `${month}/${day}/${year}, ${time}`;
     return `${day}/${month}/${year}, ${time}`;
 };
 
-// Formats an ISO date string into "Month Day" (e.g., "Aug 23").
-const formatDueDate = (isoDateString) => {
+// Formats a "YYYY-MM-DD" deadline as "Day Month" (e.g., "23 Aug"), "Month Day" or left as ISO, following the date format.
+const formatDueDate = (isoDateString, dateFormat = 'dd/mm/yy') => {
     if (!isoDateString) return '';
+    if (dateFormat === 'yyyy-mm-dd') return isoDateString;
     const date = new Date(isoDateString);
     // Add time to counteract timezone shifts that could change the date
     const adjustedDate = new Date(date.getTime() + date.getTimezoneOffset() * 60000);
-    return adjustedDate.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    const monthName = adjustedDate.toLocaleDateString([], { month: 'short' });
+    return dateFormat === 'mm/dd/yy' ? `${monthName} ${adjustedDate.getDate()}` : `${adjustedDate.getDate()} ${monthName}`;
 };
 
+// A to-do's deadline with its due time, if it has one (e.g. "23 Aug, 14:30").
+const formatDeadline = (item, dateFormat) => (
+    item.dueTime ? `${formatDueDate(item.deadline, dateFormat)}, ${item.dueTime}` : formatDueDate(item.deadline, dateFormat)
+);
 
 // Converts a Date object to a "YYYY-MM-DD" string, useful for date inputs and comparisons.
 const toISODateString = (date) => {
@@ -30,24 +59,62 @@ const toISODateString = (date) => {
     return `${year}-${month}-${day}`;
 };
 
+const CALENDAR_WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// Weekday headers for a calendar whose weeks start on `weekStart` (a Date#getDay() number, see WEEK_STARTS).
+const getWeekdayLabels = (weekStart) => CALENDAR_WEEKDAYS.map((_, i) => CALENDAR_WEEKDAYS[(i + weekStart) % 7]);
+
+// How many blank cells come before the 1st in a month grid.
+const getLeadingBlankDays = (year, month, weekStart) => (new Date(year, month, 1).getDay() - weekStart + 7) % 7;
+
+// A repeat rule in words for display, e.g. "Every 2 weeks on Monday"; empty when there is no rule.
+const describeRepeat = (repeat) => {
+    const rule = parseRule(repeat);
+    if (!rule) return '';
+    const text = describeRule(rule);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Triggers a browser download of a Blob under the given file name.
+const downloadFile = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Rebuilds the analysis input for a stored item. Screenshots are read back from storage as data URLs,
+// and links are analyzed from the page text saved with them.
+const getAnalysisDetails = async (storage, item) => {
+    if (item.type === 'link') return { note: item.extractedText || item.description };
+    if (!item.imageData) return { note: item.note };
+    if (item.imageData.startsWith('data:')) return { imageData: item.imageData };
+    const blob = await storage.getImage(item.id);
+    if (!blob) throw new Error("The screenshot could not be read from storage");
+    return { imageData: await blobToDataUrl(blob) };
+};
+
 // --- Offline Content Processing ---
 /**
  * Creates a simple extractive summary by finding the most "important" sentence.
- * This works entirely offline.
+ * The most frequent repeated words become tags. This works entirely offline.
  * @param {string} noteText - The text to be summarized.
- * @returns {object} - A structured object with title and summary.
+ * @returns {object} - A structured object with title, summary and tags.
  */
 const createInAppSummary = (noteText) => {
     if (!noteText || noteText.trim() === '') {
         return { title: "New Note", summary: "No content to summarize.", extractedText: noteText, highlights: [], tags: [] };
     }
 
-    const stopWords = new Set(['i','me','my','myself','we','our','ours','ourselves','you','your','yours','yourself','yourselves','he','him','his','himself','she','her','hers','herself','it','its','itself','they','them','their','theirs','themselves','what','which','who','whom','this','that','these','those','am','is','are','was','were','be','been','being','have','has','had','having','do','does','did','doing','a','an','the','and','but','if','or','because','as','until','while','of','at','by','for','with','about','against','between','into','through','during','before','after','above','below','to','from','up','down','in','out','on','off','over','under','again','further','then','once','here','there','when','where','why','how','all','any','both','each','few','more','most','other','some','such','no','nor','not','only','own','same','so','than','too','very','s','t','can','will','just','don','should','now']);
     const sentences = noteText.match(/[^.!?]+[.!?]+/g) || [noteText];
     const wordFrequencies = {};
     noteText.toLowerCase().replace(/\[|\]/g, ' ').split(/\s+/).forEach(word => {
         const cleanWord = word.replace(/[.,!?]/g, '');
-        if (!stopWords.has(cleanWord) && cleanWord.length > 0) {
+        if (!STOP_WORDS.has(cleanWord) && cleanWord.length > 0) {
             wordFrequencies[cleanWord] = (wordFrequencies[cleanWord] || 0) + 1;
         }
     });
@@ -68,60 +135,57 @@ const createInAppSummary = (noteText) => {
         }
     });
 
+    const tags = Object.entries(wordFrequencies)
+        .filter(([word, count]) => count > 1 && /^[a-z][a-z0-9-]{2,}$/.test(word))
+        .sort(([wordA, countA], [wordB, countB]) => countB - countA || wordA.localeCompare(wordB))
+        .slice(0, 3)
+        .map(([word]) => word);
+
     const title = noteText.split('\n')[0].substring(0, 40) || "New Note";
     return {
         title,
         summary: bestSentence.trim(),
         extractedText: noteText,
         highlights: [],
-        tags: []
+        tags
     };
 };
 
 
 // --- API Integration ---
-const callGeminiApi = async (payload, retries = 3, delay = 1000) => {
-    const model = 'gemini-2.5-flash-preview-05-20';
-    const apiKey = ""; // This will be handled by the environment
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            if (!response.ok) {
-                const errorBody = await response.text();
-                console.error("API Error Response:", errorBody);
-                throw new Error(`API request failed with status ${response.status}`);
-            }
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]) {
-                return result;
-            } else {
-                console.warn("Invalid response structure from Gemini API:", result);
-                throw new Error("Invalid response structure from Gemini API");
+const IMAGE_ANALYSIS_SCHEMA = {
+    type: "object",
+    properties: {
+        "title": { "type": "string" },
+        "summary": { "type": "string" },
+        "extractedText": { "type": "string" },
+        "tags": { "type": "array", "items": { "type": "string" } },
+        "highlights": {
+            "type": "array",
+            "items": {
+                "type": "object",
+                "properties": {
+                    "description": { "type": "string" },
+                    "date": { "type": "string", "description": "Date in YYYY-MM-DD format, if applicable" }
+                },
+                "required": ["description"]
             }
-        } catch (error) {
-            console.error(`Attempt ${i + 1} failed:`, error.message);
-            if (i === retries - 1) { throw error; }
-            await new Promise(res => setTimeout(res, delay * Math.pow(2, i)));
         }
-    }
-    throw new Error("API request failed after all retries.");
+    },
+    required: ["title", "summary", "extractedText", "tags", "highlights"]
 };
 
+const NOTE_ANALYSIS_SCHEMA = { type: "object", properties: { "title": { "type": "string" }, "summary": { "type": "string" }, "tags": { "type": "array", "items": { "type": "string" } } }, required: ["title", "summary", "tags"] };
+
 /**
- * Main content processing controller. Tries Gemini API first, then falls back to offline summary.
- * @param {object} details - An object containing either a 'note' string or 'imageData' string.
- * @returns {Promise<object>} - A structured object with title, summary, highlights, and tasks.
+ * Runs AI analysis on a note or screenshot. Throws when the provider fails, so callers decide on the fallback.
+ * @param {object} details - An object containing either a 'note' string or 'imageData' data URL.
+ * @param {object} provider - An AI provider from ai.js.
+ * @returns {Promise<object>} - A structured object with title, summary, extractedText, highlights, and tags.
  */
-const processContent = async (details) => {
+const analyzeContent = async (details, provider) => {
     if (details.imageData) {
-        try {
-            const prompt = `You are an intelligent assistant that analyzes images. Extract information from the provided screenshot.
+        const prompt = `You are an intelligent assistant that analyzes images. Extract information from the provided screenshot.
 1.  **Analyze the content**: Understand what the image is about.
 2.  **Extract all text**: Perform OCR to get all visible text.
 3.  **Generate a title**: Create a short, descriptive title (max 5 words).
@@ -131,71 +195,97 @@ const processContent = async (details) => {
 
 Respond ONLY with a valid JSON object following this exact schema. Do not include any other text or markdown formatting.
 The current date is ${new Date().toDateString()}.`;
-            const base64ImageData = details.imageData.split(',')[1];
-            const payload = {
-                contents: [{ parts: [{ text: prompt }, { inlineData: { mimeType: "image/png", data: base64ImageData } }] }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "OBJECT",
-                        properties: {
-                            "title": { "type": "STRING" },
-                            "summary": { "type": "STRING" },
-                            "extractedText": { "type": "STRING" },
-                            "tags": { "type": "ARRAY", "items": { "type": "STRING" } },
-                            "highlights": {
-                                "type": "ARRAY",
-                                "items": {
-                                    "type": "OBJECT",
-                                    "properties": {
-                                        "description": { "type": "STRING" },
-                                        "date": { "type": "STRING", "description": "Date in YYYY-MM-DD format, if applicable" }
-                                    },
-                                    "required": ["description"]
-                                }
-                            }
-                        },
-                        required: ["title", "summary", "extractedText", "tags", "highlights"]
-                    }
-                }
-            };
-            const result = await callGeminiApi(payload);
-            const data = JSON.parse(result.candidates[0].content.parts[0].text);
-            return {
-                title: data.title || "Screenshot",
-                summary: data.summary || "No summary available.",
-                extractedText: data.extractedText || "",
-                highlights: data.highlights || [],
-                tags: data.tags || [],
-            };
-        } catch (error) {
-            console.error("Error processing image with Gemini, creating fallback.", error);
-            return { title: "Screenshot", summary: "Could not analyze image content.", extractedText: "Analysis failed. No text could be extracted.", highlights: [], tags: [] };
-        }
+        const base64ImageData = details.imageData.split(',')[1];
+        const data = await provider.generateJson({
+            prompt,
+            image: { mimeType: getDataUrlMimeType(details.imageData), data: base64ImageData },
+            schema: IMAGE_ANALYSIS_SCHEMA
+        });
+        return {
+            title: data.title || "Screenshot",
+            summary: data.summary || "No summary available.",
+            extractedText: data.extractedText || "",
+            highlights: data.highlights || [],
+            tags: data.tags || [],
+        };
     }
 
     if (details.note) {
+        const prompt = `You are an intelligent assistant. Analyze the content and provide a concise title, a one-sentence summary, and 2-3 relevant keyword tags. Respond ONLY with a valid JSON object in the format: {"title": "string", "summary": "string", "tags": ["tag1", "tag2"]}.
+
+Note:`;
+        const data = await provider.generateJson({ prompt, content: details.note, schema: NOTE_ANALYSIS_SCHEMA });
+        return { title: data.title, summary: data.summary, tags: data.tags || [], extractedText: details.note, highlights: [] };
+    }
+
+    return { title: "New Item", summary: "", extractedText: "", highlights: [], tags: [] };
+};
+
+const ocrEngine = createTesseractOcr();
+
+/**
+ * What an item is saved with when AI analysis is unavailable. Screenshots are read with
+ * local OCR and the text is then summarized like a note.
+ * @param {object} details - An object containing either a 'note' string or 'imageData' data URL.
+ * @returns {Promise<object>} - A structured object with title, summary, extractedText, highlights, and tags.
+ */
+const createFallbackAnalysis = async (details) => {
+    if (details.note) return createInAppSummary(details.note);
+    if (details.imageData) {
+        let text = '';
         try {
-            const prompt = `You are an intelligent assistant. Analyze the content and provide a concise title, a one-sentence summary, and 2-3 relevant keyword tags. Respond ONLY with a valid JSON object in the format: {"title": "string", "summary": "string", "tags": ["tag1", "tag2"]}.`;
-            const payload = {
-                contents: [{ parts: [{ text: `${prompt}\n\nNote:\n${details.note}` }] }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: { type: "OBJECT", properties: { "title": { "type": "STRING" }, "summary": { "type": "STRING" }, "tags": { "type": "ARRAY", "items": { "type": "STRING" } } }, required: ["title", "summary", "tags"] }
-                }
-            };
-            const result = await callGeminiApi(payload);
-            const data = JSON.parse(result.candidates[0].content.parts[0].text);
-            return { ...data, extractedText: details.note, highlights: [] };
+            text = await ocrEngine.recognize(details.imageData);
         } catch (error) {
-            console.warn("Gemini API failed, falling back to offline summary.", error.message);
-            return createInAppSummary(details.note);
+            console.warn("Local OCR failed.", error);
         }
+        if (text) return createInAppSummary(text);
+        return { title: "Screenshot", summary: "", extractedText: "", highlights: [], tags: [] };
     }
-    
     return { title: "New Item", summary: "", extractedText: "", highlights: [], tags: [] };
 };
 
+/**
+ * Main content processing controller. Tries the configured AI provider first, then falls back to offline summary and OCR.
+ * Items saved with the fallback are marked as pending, so the analysis queue can retry them later.
+ * @param {object} details - An object containing either a 'note' string or 'imageData' string.
+ * @param {object|null} provider - An AI provider from ai.js, or null when AI processing is turned off.
+ * @returns {Promise<object>} - A structured object with title, summary, extractedText, highlights, tags, and analysisStatus.
+ */
+const processContent = async (details, provider) => {
+    // With AI turned off the offline analysis is final; nothing is waiting for a provider.
+    if (!provider) {
+        return { ...(await createFallbackAnalysis(details)), analysisStatus: 'done' };
+    }
+    try {
+        if (provider.requiresNetwork && !navigator.onLine) {
+            throw new Error("The browser is offline");
+        }
+        return { ...(await analyzeContent(details, provider)), analysisStatus: 'done' };
+    } catch (error) {
+        console.warn("AI analysis failed, saving an offline fallback and queueing it for later.", error.message);
+        const offlineData = await createFallbackAnalysis(details);
+        return { ...offlineData, summary: offlineData.summary || "Could not analyze image content yet.", analysisStatus: 'pending' };
+    }
+};
+
+
+/**
+ * Reads a link's page and analyzes its text like a note. The page's own title wins over the one the analysis suggests.
+ * @param {string} url - The link.
+ * @param {object} fetcher - A link fetcher from links.js.
+ * @param {object|null} provider - An AI provider from ai.js, or null when AI processing is turned off.
+ * @returns {Promise<{details: object, aiData: object}>} - The new item's details and analysis, ready for handleSaveMany.
+ */
+const processLink = async (url, fetcher, provider) => {
+    const page = await fetcher.fetchPage(url);
+    const details = { type: 'link', url, description: page.description, favicon: page.favicon };
+    const text = page.text || page.description;
+    if (!text) {
+        return { details, aiData: { title: page.title, summary: '', extractedText: '', highlights: [], tags: [], analysisStatus: 'done' } };
+    }
+    const aiData = await processContent({ note: text }, provider);
+    return { details, aiData: { ...aiData, title: page.title || aiData.title } };
+};
 
 // --- Components ---
 
@@ -214,8 +304,17 @@ const ThemeToggleButton = ({ theme, toggleTheme }) => (
     </div>
 );
 
-const CollectionMenu = ({ collection, onClose, onRemove, onDelete, position }) => {
+// A collection's icon, or a dot in its color.
+const CollectionBadge = ({ collection }) => (
+    collection.icon
+        ? <span className="flex-shrink-0 text-sm leading-none">{collection.icon}</span>
+        : <span className="flex-shrink-0 inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: collection.color || 'var(--secondary-text)' }}></span>
+);
+
+const CollectionMenu = ({ collection, onClose, onAddChild, onUpdate, onTogglePin, onRemove, onDelete, position }) => {
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(collection);
     const menuRef = useRef(null);
 
     useEffect(() => {
@@ -230,19 +329,58 @@ const CollectionMenu = ({ collection, onClose, onRemove, onDelete, position }) =
 
     if (!collection) return null;
 
+    const handleSaveEdit = () => {
+        if (!draft.name.trim()) return;
+        onUpdate({ ...draft, name: draft.name.trim(), icon: draft.icon && draft.icon.trim() ? draft.icon.trim() : null });
+        onClose();
+    };
+
     return (
-        <div ref={menuRef} style={{ top: position.top, left: position.left }} className="absolute z-50 bg-modal rounded-md shadow-lg w-48">
-            {!showDeleteConfirm ? (
+        <div ref={menuRef} style={{ top: position.top, left: position.left }} className={`absolute z-50 bg-modal rounded-md shadow-lg ${isEditing ? 'w-64' : 'w-48'}`}>
+            {isEditing ? (
+                <div className="p-4 space-y-3">
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleSaveEdit(); }}
+                        className="w-full bg-input border border-border-color rounded-md p-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                        placeholder="Name"
+                        autoFocus
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <button onClick={() => setDraft({ ...draft, color: null })} className={`w-5 h-5 rounded-full border border-border-color text-xs leading-none ${draft.color === null ? 'ring-2 ring-accent' : ''}`} title="No color">&times;</button>
+                        {COLLECTION_COLORS.map(color => (
+                            <button key={color} onClick={() => setDraft({ ...draft, color })} className={`w-5 h-5 rounded-full ${draft.color === color ? 'ring-2 ring-offset-1 ring-accent' : ''}`} style={{ backgroundColor: color }} title={color}></button>
+                        ))}
+                    </div>
+                    <input
+                        type="text"
+                        value={draft.icon || ''}
+                        onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+                        maxLength={4}
+                        className="w-full bg-input border border-border-color rounded-md p-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                        placeholder="Icon (an emoji, optional)"
+                    />
+                    <div className="flex justify-end space-x-2">
+                        <button onClick={() => setIsEditing(false)} className="px-3 py-1 rounded-md bg-surface hover:bg-hover text-xs font-semibold">Cancel</button>
+                        <button onClick={handleSaveEdit} disabled={!draft.name.trim()} className="px-3 py-1 rounded-md bg-accent hover:bg-blue-500 text-white text-xs font-semibold disabled:opacity-50">Save</button>
+                    </div>
+                </div>
+            ) : !showDeleteConfirm ? (
                 <div className="py-1">
-                    <a href="#" onClick={(e) => { e.preventDefault(); onRemove(collection.id); onClose(); }} className="block px-4 py-2 text-sm text-primary-text hover:bg-hover">Remove Collection</a>
-                    <a href="#" onClick={(e) => { e.preventDefault(); setShowDeleteConfirm(true); }} className="block px-4 py-2 text-sm text-red-500 hover:bg-hover">Delete Collection</a>
+                    <a href="#" onClick={(e) => { e.preventDefault(); setIsEditing(true); }} className="block px-4 py-2 text-sm text-primary-text hover:bg-hover">Rename &amp; Color</a>
+                    <a href="#" onClick={(e) => { e.preventDefault(); onTogglePin(collection.id); onClose(); }} className="block px-4 py-2 text-sm text-primary-text hover:bg-hover">{collection.pinned ? 'Unpin' : 'Pin to Sidebar'}</a>
+                    <a href="#" onClick={(e) => { e.preventDefault(); onAddChild(collection.id); onClose(); }} className="block px-4 py-2 text-sm text-primary-text hover:bg-hover">New Sub-collection</a>
+                    <a href="#" onClick={(e) => { e.preventDefault(); onRemove(collection.id); onClose(); }} className="block px-4 py-2 text-sm text-primary-text hover:bg-hover" title="Sub-collections and memories move up one level">Remove Collection</a>
+                    <a href="#" onClick={(e) => { e.preventDefault(); setShowDeleteConfirm(true); }} className="block px-4 py-2 text-sm text-red-500 hover:bg-hover">Move to Trash</a>
                 </div>
             ) : (
                  <div className="p-4">
-                    <p className="text-sm text-secondary-text mb-4">Delete collection and all memories?</p>
+                    <p className="text-sm text-secondary-text mb-4">Move this collection, its sub-collections and their memories to the Trash?</p>
                     <div className="flex justify-end space-x-2">
                         <button onClick={() => setShowDeleteConfirm(false)} className="px-3 py-1 rounded-md bg-surface hover:bg-hover text-xs font-semibold">Cancel</button>
-                        <button onClick={() => {onDelete(collection.id); onClose();}} className="px-3 py-1 rounded-md bg-red-600 hover:bg-red-700 text-white text-xs font-semibold">Delete</button>
+                        <button onClick={() => {onDelete(collection.id); onClose();}} className="px-3 py-1 rounded-md bg-red-600 hover:bg-red-700 text-white text-xs font-semibold">Move to Trash</button>
                     </div>
                 </div>
             )}
@@ -251,11 +389,46 @@ const CollectionMenu = ({ collection, onClose, onRemove, onDelete, position }) =
 };
 
 
-const Sidebar = ({ theme, toggleTheme, activePage, setActivePage, collections, onSaveCollection, onOpenCollectionMenu, onDropOnCollection, setSelectedCollectionId }) => {
+const Sidebar = ({ theme, toggleTheme, activePage, setActivePage, dueTodoCount, trashCount, collections, onSaveCollection, onOpenCollectionMenu, onDropOnCollection, setSelectedCollectionId, subCollectionParentId, onCloseSubCollectionInput, smartCollections, smartCollectionCounts, onOpenSmartCollection, onDeleteSmartCollection, onExport, onExportMarkdown, onExportCalendar, onImport, onImportCalendar }) => {
     const [isCollectionOpen, setIsCollectionOpen] = useState(false);
     const [newCollectionName, setNewCollectionName] = useState('');
     const [showInput, setShowInput] = useState(false);
     const [dragOver, setDragOver] = useState(null);
+    const [dropPosition, setDropPosition] = useState('inside');
+    const [expandedIds, setExpandedIds] = useState(() => new Set());
+    const importInputRef = useRef(null);
+    const calendarInputRef = useRef(null);
+    // Drag data can't be read during dragover, so the dragged collection (if any) is remembered here.
+    const draggedCollectionIdRef = useRef(null);
+
+    // Opening the "New Sub-collection" input also reveals where it is.
+    useEffect(() => {
+        if (subCollectionParentId !== null) {
+            setIsCollectionOpen(true);
+            setExpandedIds(prev => new Set(prev).add(subCollectionParentId));
+        }
+    }, [subCollectionParentId]);
+
+    const toggleExpanded = (id) => {
+        setExpandedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) {
+                next.delete(id);
+            } else {
+                next.add(id);
+            }
+            return next;
+        });
+    };
+
+    const handleImportChange = (onImportFile) => (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            onImportFile(file);
+        }
+        // Reset so picking the same file again still fires onChange.
+        e.target.value = '';
+    };
 
     const handleCollectionClick = (e) => {
         e.preventDefault();
@@ -263,30 +436,43 @@ const Sidebar = ({ theme, toggleTheme, activePage, setActivePage, collections, o
         setActivePage('collection');
     };
 
-    const handleSave = () => {
+    const closeNewCollectionInput = () => {
+        setNewCollectionName('');
+        setShowInput(false);
+        onCloseSubCollectionInput();
+    };
+
+    const handleSave = (parentId) => {
         if (newCollectionName.trim()) {
             onSaveCollection({
                 id: Date.now(),
                 name: newCollectionName,
+                parentId,
                 createdAt: new Date().toISOString(),
             });
-            setNewCollectionName('');
-            setShowInput(false);
+            closeNewCollectionInput();
         }
     };
 
-    const handleKeyDown = (e) => {
+    const handleKeyDown = (e, parentId) => {
         if (e.key === 'Enter') {
-            handleSave();
+            handleSave(parentId);
         } else if (e.key === 'Escape') {
-            setNewCollectionName('');
-            setShowInput(false);
+            closeNewCollectionInput();
         }
     };
 
-    const handleDragOver = (e, id) => {
+    // Dropping a collection on the top or bottom edge of another one reorders; anywhere else nests it.
+    const handleDragOver = (e, id, canReorder = false) => {
         e.preventDefault();
         setDragOver(id);
+        if (!canReorder || draggedCollectionIdRef.current === null) {
+            setDropPosition('inside');
+            return;
+        }
+        const rect = e.currentTarget.getBoundingClientRect();
+        const offset = (e.clientY - rect.top) / rect.height;
+        setDropPosition(offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside');
     };
 
     const handleDragLeave = () => {
@@ -294,10 +480,76 @@ const Sidebar = ({ theme, toggleTheme, activePage, setActivePage, collections, o
     };
 
     const handleDrop = (e, id) => {
-        const itemId = e.dataTransfer.getData('text/plain');
-        onDropOnCollection(itemId, id);
+        e.preventDefault();
+        e.stopPropagation();
+        onDropOnCollection(e.dataTransfer.getData('text/plain'), id, id === null ? 'inside' : dropPosition);
         setDragOver(null);
+        draggedCollectionIdRef.current = null;
+    };
+
+    // Collections share the memories' drag data, prefixed so the drop handler can tell them apart.
+    const handleCollectionDragStart = (e, collection) => {
+        e.stopPropagation();
+        e.dataTransfer.setData('text/plain', `collection:${collection.id}`);
+        e.dataTransfer.effectAllowed = 'move';
+        draggedCollectionIdRef.current = collection.id;
+    };
+
+    const dropIndicatorStyle = (id) => {
+        if (dragOver !== id || dropPosition === 'inside') return {};
+        return { boxShadow: `inset 0 ${dropPosition === 'before' ? '2px' : '-2px'} 0 var(--accent)` };
     };
+
+    const renderNewCollectionInput = (parentId, depth) => (
+        <div className="flex items-center mt-2" style={{ paddingLeft: `${depth * 0.75}rem` }}>
+            <input
+                type="text"
+                value={newCollectionName}
+                onChange={(e) => setNewCollectionName(e.target.value)}
+                onKeyDown={(e) => handleKeyDown(e, parentId)}
+                className="flex-1 min-w-0 bg-input border border-border-color rounded-md p-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                placeholder="New..."
+                autoFocus={parentId !== null}
+            />
+            <button onClick={() => handleSave(parentId)} className="ml-2 p-1 bg-accent rounded-full text-white">
+                &#10003;
+            </button>
+        </div>
+    );
+
+    const renderCollectionNodes = (nodes, depth) => nodes.map(({ collection, children }) => {
+        const isExpanded = expandedIds.has(collection.id);
+        return (
+            <React.Fragment key={collection.id}>
+                <div
+                    draggable
+                    onDragStart={(e) => handleCollectionDragStart(e, collection)}
+                    onDragEnd={() => { draggedCollectionIdRef.current = null; }}
+                    className={`p-2 border-b border-border-color/50 flex justify-between items-center cursor-pointer collection-item ${dragOver === collection.id && dropPosition === 'inside' ? 'bg-accent' : ''}`}
+                    style={{ paddingLeft: `${0.5 + depth * 0.75}rem`, ...dropIndicatorStyle(collection.id) }}
+                    onDragOver={(e) => handleDragOver(e, collection.id, true)}
+                    onDragLeave={handleDragLeave}
+                    onDrop={(e) => handleDrop(e, collection.id)}
+                    onClick={() => setSelectedCollectionId(collection.id)}
+                >
+                    <span className="flex items-center min-w-0">
+                        {children.length > 0 ? (
+                            <button onClick={(e) => { e.stopPropagation(); toggleExpanded(collection.id); }} className="w-4 mr-1 text-xs flex-shrink-0" title={isExpanded ? 'Collapse' : 'Expand'}>
+                                {isExpanded ? '▾' : '▸'}
+                            </button>
+                        ) : <span className="w-4 mr-1 flex-shrink-0"></span>}
+                        <CollectionBadge collection={collection} />
+                        <span className="ml-2 truncate-2-words">{collection.name}</span>
+                    </span>
+                    <button onClick={(e) => { e.stopPropagation(); onOpenCollectionMenu(collection, e.currentTarget); }} className="p-1 rounded-full hover:bg-hover">
+                        &hellip;
+                    </button>
+                </div>
+                {isExpanded && renderCollectionNodes(children, depth + 1)}
+                {subCollectionParentId === collection.id && renderNewCollectionInput(collection.id, depth + 1)}
+            </React.Fragment>
+        );
+    });
     
     return (
     <aside className="w-48 bg-sidebar p-4 flex flex-col space-y-4">
@@ -311,72 +563,161 @@ const Sidebar = ({ theme, toggleTheme, activePage, setActivePage, collections, o
             <a href="#" onClick={() => setActivePage('todo')} className={`nav-link ${activePage === 'todo' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}>
                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"></path></svg>
                 <span>To-Do</span>
+                {dueTodoCount > 0 && <span className="ml-auto text-xs font-semibold px-1.5 rounded-full bg-red-600" style={{ color: 'white' }} title="Overdue or due today">{dueTodoCount}</span>}
             </a>
-            <a href="#" onClick={handleCollectionClick} className={`nav-link ${activePage === 'collection' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}>
+            <a
+                href="#"
+                onClick={handleCollectionClick}
+                onDragOver={(e) => handleDragOver(e, 'top-level')}
+                onDragLeave={handleDragLeave}
+                onDrop={(e) => handleDrop(e, null)}
+                title="Drop here to move to the top level"
+                className={`nav-link ${activePage === 'collection' || dragOver === 'top-level' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}
+            >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"></path></svg>
                 <span>Collection</span>
             </a>
              {isCollectionOpen && (
                 <div className="pl-4 mt-2 border-l-2 border-border-color">
-                    {collections.map(collection => (
+                    {renderCollectionNodes(buildCollectionTree(collections), 0)}
+                    {showInput && renderNewCollectionInput(null, 0)}
+                    <button onClick={() => { onCloseSubCollectionInput(); setShowInput(true); }} className="mt-2 w-full text-left text-sm text-secondary-text hover:text-primary-text">+ Add New</button>
+                </div>
+            )}
+            {collections.some(collection => collection.pinned) && (
+                <div className="pt-2">
+                    <h3 className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-secondary-text">Pinned</h3>
+                    {collections.filter(collection => collection.pinned).sort(compareCollections).map(collection => (
                         <div
                             key={collection.id}
-                            className={`p-2 border-b border-border-color/50 flex justify-between items-center cursor-pointer collection-item ${dragOver === collection.id ? 'bg-accent' : ''}`}
-                            onDragOver={(e) => handleDragOver(e, collection.id)}
+                            className={`px-3 py-1 flex items-center cursor-pointer rounded-lg text-sm collection-item ${dragOver === `pinned-${collection.id}` ? 'bg-accent' : ''}`}
+                            onDragOver={(e) => handleDragOver(e, `pinned-${collection.id}`)}
                             onDragLeave={handleDragLeave}
-                            onDrop={(e) => handleDrop(e, collection.id)}
-                            onClick={() => setSelectedCollectionId(collection.id)}
+                            onDrop={(e) => { setDropPosition('inside'); handleDrop(e, collection.id); }}
+                            onClick={() => { setActivePage('collection'); setSelectedCollectionId(collection.id); }}
                         >
-                            <span className="truncate-2-words">{collection.name}</span>
-                            <button onClick={(e) => { e.stopPropagation(); onOpenCollectionMenu(collection, e.currentTarget); }} className="p-1 rounded-full hover:bg-hover">
-                                &hellip;
-                            </button>
+                            <CollectionBadge collection={collection} />
+                            <span className="ml-2 truncate-2-words">{collection.name}</span>
                         </div>
                     ))}
-                     {showInput && (
-                        <div className="flex items-center mt-2">
-                            <input
-                                type="text"
-                                value={newCollectionName}
-                                onChange={(e) => setNewCollectionName(e.target.value)}
-                                onKeyDown={handleKeyDown}
-                                className="flex-1 min-w-0 bg-input border border-border-color rounded-md p-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
-                                placeholder="New..."
-                            />
-                            <button onClick={handleSave} className="ml-2 p-1 bg-accent rounded-full text-white">
-                                &#10003;
-                            </button>
+                </div>
+            )}
+            {smartCollections.length > 0 && (
+                <div className="pt-2">
+                    <h3 className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-secondary-text">Smart Collections</h3>
+                    {smartCollections.map(smartCollection => (
+                        <div
+                            key={smartCollection.id}
+                            className="px-3 py-1 flex justify-between items-center cursor-pointer rounded-lg text-sm collection-item"
+                            onClick={() => onOpenSmartCollection(smartCollection)}
+                            title={smartCollection.query}
+                        >
+                            <span className="truncate-2-words">{smartCollection.name}</span>
+                            <span className="flex items-center space-x-1 flex-shrink-0">
+                                <span className="text-xs">{smartCollectionCounts.get(smartCollection.id)}</span>
+                                <button onClick={(e) => { e.stopPropagation(); onDeleteSmartCollection(smartCollection.id); }} className="p-1 rounded-full hover:bg-hover" title="Remove smart collection">&times;</button>
+                            </span>
                         </div>
-                    )}
-                    <button onClick={() => setShowInput(true)} className="mt-2 w-full text-left text-sm text-secondary-text hover:text-primary-text">+ Add New</button>
+                    ))}
                 </div>
             )}
+            <a href="#" onClick={() => setActivePage('tags')} className={`nav-link ${activePage === 'tags' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}>
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"></path></svg>
+                <span>Tags</span>
+            </a>
+            <a href="#" onClick={() => setActivePage('trash')} className={`nav-link ${activePage === 'trash' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}>
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                <span>Trash</span>
+                {trashCount > 0 && <span className="ml-auto text-xs text-secondary-text">{trashCount}</span>}
+            </a>
+            <a href="#" onClick={() => setActivePage('settings')} className={`nav-link ${activePage === 'settings' ? 'active' : ''} flex items-center space-x-3 px-3 py-2 rounded-lg`}>
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"></path><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>
+                <span>Settings</span>
+            </a>
         </nav>
+        <div className="mt-auto pt-4 border-t border-border-color flex flex-col space-y-1">
+            <button onClick={onExport} className="w-full text-left px-3 py-1 text-sm text-secondary-text hover:text-primary-text">Export Space</button>
+            <button onClick={onExportMarkdown} className="w-full text-left px-3 py-1 text-sm text-secondary-text hover:text-primary-text">Export Markdown</button>
+            <button onClick={onExportCalendar} className="w-full text-left px-3 py-1 text-sm text-secondary-text hover:text-primary-text">Export Calendar</button>
+            <button onClick={() => importInputRef.current?.click()} className="w-full text-left px-3 py-1 text-sm text-secondary-text hover:text-primary-text">Import Space</button>
+            <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImportChange(onImport)} />
+            <button onClick={() => calendarInputRef.current?.click()} className="w-full text-left px-3 py-1 text-sm text-secondary-text hover:text-primary-text">Import Calendar</button>
+            <input ref={calendarInputRef} type="file" accept="text/calendar,.ics" className="hidden" onChange={handleImportChange(onImportCalendar)} />
+        </div>
     </aside>
 )};
 
-const AddNote = ({ onSave, isProcessingScreenshot, onFullScreen }) => {
+const IMPORT_STATUS_LABELS = { queued: 'Waiting', done: 'Saved', failed: 'Failed' };
+
+const AddNote = ({ onSave, onSaveLink, importJobs, onImportFiles, onFullScreen, aiProvider }) => {
     const [note, setNote] = useState('');
     const [isProcessingNote, setIsProcessingNote] = useState(false);
+    const [isDragOver, setIsDragOver] = useState(false);
+    const fileInputRef = useRef(null);
 
+    // A note that is just a web address is saved as a link.
     const handleSave = async () => {
-        if (note.trim()) {
+        if (isUrl(note)) {
+            onSaveLink(note);
+            setNote('');
+        } else if (note.trim()) {
             setIsProcessingNote(true);
-            const aiData = await processContent({ note });
+            const aiData = await processContent({ note }, aiProvider);
             onSave({ note, type: 'memory' }, aiData);
             setNote('');
             setIsProcessingNote(false);
         }
     };
 
-    const isProcessing = isProcessingNote || isProcessingScreenshot;
+    // Pasting a link into the empty box saves it right away; anything else is pasted as text.
+    const handlePaste = (e) => {
+        const text = e.clipboardData.getData('text/plain');
+        if (!note.trim() && isUrl(text)) {
+            e.preventDefault();
+            onSaveLink(text);
+        }
+    };
+
+    // Only files are accepted here; to-dos dragged from the calendar are ignored.
+    const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+    const handleDragOver = (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDragOver(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false);
+    };
+
+    const handleDrop = (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        setIsDragOver(false);
+        onImportFiles(e.dataTransfer.files);
+    };
+
+    const handleFileChange = (e) => {
+        onImportFiles(e.target.files);
+        // Picking the same files again should import them again.
+        e.target.value = '';
+    };
+
+    const finishedCount = importJobs.filter(job => job.status === 'done' || job.status === 'failed').length;
 
     return (
         <section>
-            <h2 className="text-lg font-semibold mb-3">Add Note or Paste Screenshot</h2>
-            <div className={`bg-surface rounded-lg p-4 space-y-3 transition-all min-h-[150px] flex flex-col items-center justify-center relative`}>
+            <h2 className="text-lg font-semibold mb-3">Add Note or Link, Paste or Drop Files</h2>
+            <div
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                className={`file-drop bg-surface rounded-lg p-4 space-y-3 transition-all min-h-[150px] flex flex-col items-center justify-center relative ${isDragOver ? 'drag-over' : ''}`}
+            >
                 
-                {isProcessing ? (
+                {isProcessingNote ? (
                     <div className="text-center text-secondary-text">
                         <div className="processing-spinner inline-block"></div>
                         <p className="mt-2 text-sm font-semibold">✨ Analyzing Your Memory...</p>
@@ -386,16 +727,38 @@ const AddNote = ({ onSave, isProcessingScreenshot, onFullScreen }) => {
                         <textarea
                             value={note}
                             onChange={(e) => setNote(e.target.value)}
+                            onPaste={handlePaste}
                             className="w-full bg-input border border-border-color rounded-md p-2 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
                             rows="3"
-                            placeholder="Enter your note or paste screenshot"
+                            placeholder={isDragOver ? "Drop images, PDFs or text files to import them" : "Enter a note or link, paste a screenshot or drop files"}
                         ></textarea>
                         <button onClick={() => onFullScreen(note)} className="absolute top-0 right-0 mt-2 mr-2 text-xs bg-transparent border border-white rounded px-2 py-1 text-white hover:bg-white hover:text-black">
                            Click here for full screen
                         </button>
                         <div className="flex items-center space-x-2 mt-2">
                             <button onClick={handleSave} className="w-full bg-accent hover:bg-blue-500 text-white font-semibold py-2 rounded-lg transition-colors border border-blue-400">Save Note</button>
+                            <button onClick={() => fileInputRef.current?.click()} className="flex-shrink-0 px-3 py-2 text-sm font-semibold rounded-lg border border-border-color hover:bg-hover">Choose Files</button>
+                            <input ref={fileInputRef} type="file" multiple accept={IMPORT_ACCEPT} className="hidden" onChange={handleFileChange} />
+                        </div>
+                    </div>
+                )}
+                {importJobs.length > 0 && (
+                    <div className="w-full space-y-1">
+                        <div className="flex items-center justify-between text-xs font-semibold text-secondary-text">
+                            <span>Importing {Math.min(finishedCount + 1, importJobs.length)} of {importJobs.length}</span>
+                            <div className="processing-spinner" style={{ width: '14px', height: '14px', borderWidth: '2px' }}></div>
+                        </div>
+                        <div className="h-1 w-full bg-input rounded">
+                            <div className="h-1 bg-accent rounded transition-all" style={{ width: `${(finishedCount / importJobs.length) * 100}%` }}></div>
                         </div>
+                        {importJobs.map(job => (
+                            <div key={job.id} className="flex items-center justify-between text-xs">
+                                <span className="truncate mr-2">{job.name}</span>
+                                <span className={`flex-shrink-0 ${job.status === 'failed' ? 'text-red-500' : 'text-secondary-text'}`}>
+                                    {job.status === 'processing' ? job.progress : IMPORT_STATUS_LABELS[job.status]}
+                                </span>
+                            </div>
+                        ))}
                     </div>
                 )}
             </div>
@@ -403,7 +766,7 @@ const AddNote = ({ onSave, isProcessingScreenshot, onFullScreen }) => {
     );
 };
 
-const FullScreenNoteModal = ({ initialNote, onSave, onClose }) => {
+const FullScreenNoteModal = ({ initialNote, onSave, onClose, aiProvider }) => {
     const [note, setNote] = useState(initialNote);
     const [isProcessingNote, setIsProcessingNote] = useState(false);
 
@@ -420,7 +783,7 @@ const FullScreenNoteModal = ({ initialNote, onSave, onClose }) => {
     const handleSave = async () => {
         if (note.trim()) {
             setIsProcessingNote(true);
-            const aiData = await processContent({ note });
+            const aiData = await processContent({ note }, aiProvider);
             onSave({ note, type: 'memory' }, aiData);
             setNote('');
             setIsProcessingNote(false);
@@ -455,8 +818,59 @@ const FullScreenNoteModal = ({ initialNote, onSave, onClose }) => {
     );
 };
 
-const TodoList = ({ items, onToggle, onSelectTodo, onShowDatePicker }) => {
-    const todos = items.filter(item => item.type === 'todo').sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+const PRIORITY_COLORS = { 1: '#ef4444', 2: '#f97316', 3: '#3b82f6' };
+
+// P4 means "no priority" and gets no badge.
+const PriorityBadge = ({ priority }) => (
+    priority < DEFAULT_PRIORITY
+        ? <span className="ml-2 flex-shrink-0 text-xs font-semibold" style={{ color: PRIORITY_COLORS[priority] }}>P{priority}</span>
+        : null
+);
+
+// A to-do's checkbox, title, priority and subtask progress, with its subtasks nested below.
+const TaskItem = ({ item, onToggle, onSelectTodo, idPrefix, title, actions }) => {
+    const isDone = isTodoDone(item);
+    const completedSubtasks = item.subtasks.filter(subtask => subtask.completedAt).length;
+    return (
+        <div>
+            <div className="todo-item flex items-center justify-between text-sm group">
+                <div className="flex items-center min-w-0">
+                    <input
+                        type="checkbox"
+                        id={`${idPrefix}-${item.id}`}
+                        className="mr-2 accent-accent flex-shrink-0"
+                        checked={isDone}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => onToggle(item.id)}
+                    />
+                    <span onClick={() => onSelectTodo(item)} className={`cursor-pointer truncate ${isDone ? 'text-secondary-text line-through' : ''}`}>{title || item.title}</span>
+                    <PriorityBadge priority={item.priority} />
+                    {item.repeat && <span className="ml-2 flex-shrink-0 text-xs text-secondary-text" title={describeRepeat(item.repeat)}>↻</span>}
+                    {item.reminders?.length > 0 && <span className="ml-2 flex-shrink-0 text-xs text-secondary-text" title={item.reminders.map(offset => REMINDER_OFFSETS[offset] || `${offset} minutes before`).join(', ')}>🔔</span>}
+                    {item.subtasks.length > 0 && <span className="ml-2 flex-shrink-0 text-xs text-secondary-text">{completedSubtasks}/{item.subtasks.length}</span>}
+                </div>
+                {actions}
+            </div>
+            {item.subtasks.map(subtask => (
+                <div key={subtask.id} className="flex items-center text-sm pl-6">
+                    <input
+                        type="checkbox"
+                        id={`${idPrefix}-${item.id}-${subtask.id}`}
+                        className="mr-2 accent-accent flex-shrink-0"
+                        checked={Boolean(subtask.completedAt)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => onToggle(item.id, subtask.id)}
+                    />
+                    <label htmlFor={`${idPrefix}-${item.id}-${subtask.id}`} className={`cursor-pointer truncate ${subtask.completedAt ? 'text-secondary-text line-through' : ''}`}>{subtask.title}</label>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const TodoList = ({ items, onToggle, onSelectTodo, onShowDatePicker, dateFormat }) => {
+    const todos = sortTasks(items.filter(item => item.type === 'todo'), 'deadline');
+    const today = toISODateString(new Date());
     const buttonRefs = useRef({});
 
     if (todos.length === 0) {
@@ -467,48 +881,32 @@ const TodoList = ({ items, onToggle, onSelectTodo, onShowDatePicker }) => {
         <div className="space-y-2 max-h-32 overflow-y-auto">
             {todos.map(item => (
                 <div key={item.id} className="p-2 border-b border-border-color/50">
-                    {item.note.split('\n').map((line, index) => {
-                        const match = line.match(/-\s*\[( |x|X)\]\s*(.*)/);
-                        if (!match) return null;
-                        const text = match[2];
-                        const isChecked = match[1].toLowerCase() === 'x';
-                        const checkboxId = `center-todo-${item.id}-${index}`;
-                        return (
-                            <div key={index} className="todo-item flex items-center justify-between text-sm group" >
-                                <div className="flex items-center cursor-pointer" onClick={() => onSelectTodo(item)}>
-                                    <input
-                                        type="checkbox"
-                                        id={checkboxId}
-                                        className="mr-2 accent-accent"
-                                        checked={isChecked}
-                                        onChange={(e) => {
-                                            e.stopPropagation();
-                                            onToggle(item.id, index);
-                                        }}
-                                    />
-                                    <label htmlFor={checkboxId} className="flex items-center cursor-pointer">
-                                        <span className={isChecked ? 'text-secondary-text line-through' : ''}>{text}</span>
-                                    </label>
-                                </div>
-                                <div className="relative">
-                                    {!item.deadline ? (
-                                        <button ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className="text-xs bg-input px-2 py-1 rounded-full text-white">Add Date</button>
-                                    ) : (
-                                        <span ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]);}} className="text-xs bg-input px-2 py-1 rounded-full text-secondary-text cursor-pointer">{formatDueDate(item.deadline)}</span>
-                                    )}
-                                </div>
+                    <TaskItem
+                        item={item}
+                        onToggle={onToggle}
+                        onSelectTodo={onSelectTodo}
+                        idPrefix="center-todo"
+                        actions={(
+                            <div className="relative">
+                                {!item.deadline ? (
+                                    <button ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className="text-xs bg-input px-2 py-1 rounded-full text-white">Add Date</button>
+                                ) : (
+                                    <span ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]);}} className={`text-xs bg-input px-2 py-1 rounded-full cursor-pointer ${isOverdue(item, today) ? 'text-red-500' : 'text-secondary-text'}`} title={isOverdue(item, today) ? 'Overdue' : undefined}>{formatDeadline(item, dateFormat)}</span>
+                                )}
                             </div>
-                        );
-                    })}
+                        )}
+                    />
                 </div>
             ))}
         </div>
     );
 };
 
-const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDatePicker }, ref) => {
+const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDatePicker, dateFormat, weekStart }, ref) => {
     const [task, setTask] = useState('');
     const [selectedDate, setSelectedDate] = useState(null);
+    const [dueTime, setDueTime] = useState(null);
+    const [reminders, setReminders] = useState([]);
     const [isDatePickerOpen, setIsDatePickerOpen] = useState(false);
     const datePickerRef = useRef(null);
     const taskInputRef = useRef(null);
@@ -534,10 +932,12 @@ const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDateP
 
     const handleAdd = () => {
         if (task.trim()) {
-            const aiData = { title: task, summary: '', highlights: [], tasks: [] };
-            onSave({ note: `- [ ] ${task}`, type: 'todo', deadline: selectedDate }, aiData);
+            const aiData = { title: task, summary: '', highlights: [] };
+            onSave(createTask({ title: task, deadline: selectedDate, dueTime, reminders }), aiData);
             setTask('');
             setSelectedDate(null);
+            setDueTime(null);
+            setReminders([]);
         }
     };
     
@@ -551,7 +951,7 @@ const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDateP
         <section>
             <h2 className="text-lg font-semibold mb-3">To-Do</h2>
             <div className="bg-surface rounded-lg p-4 space-y-2">
-                <TodoList items={items} onToggle={onToggle} onSelectTodo={onSelectTodo} onShowDatePicker={onShowDatePicker} />
+                <TodoList items={items} onToggle={onToggle} onSelectTodo={onSelectTodo} onShowDatePicker={onShowDatePicker} dateFormat={dateFormat} />
                 <div className="flex items-center space-x-2 pt-2 border-t border-border-color relative">
                     <input
                         ref={taskInputRef}
@@ -568,12 +968,23 @@ const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDateP
                             className={`bg-input border border-border-color rounded-md hover:bg-hover transition-all ${selectedDate ? 'ring-2 ring-accent px-3 py-2 text-xs' : 'p-2'}`}
                         >
                             {selectedDate ? (
-                                <span className="font-semibold">{formatDueDate(selectedDate)}</span>
+                                <span className="font-semibold">{formatDeadline({ deadline: selectedDate, dueTime }, dateFormat)}{reminders.length > 0 && ' 🔔'}</span>
                             ) : (
                                 <svg className="w-4 h-4 text-secondary-text" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" clipRule="evenodd"></path></svg>
                             )}
                         </button>
-                        {isDatePickerOpen && <DatePickerWidget onSelect={setSelectedDate} close={() => setIsDatePickerOpen(false)} />}
+                        {isDatePickerOpen && (
+                            <DatePickerWidget
+                                value={selectedDate}
+                                onSelect={setSelectedDate}
+                                time={dueTime}
+                                onTimeChange={setDueTime}
+                                reminders={reminders}
+                                onRemindersChange={setReminders}
+                                weekStart={weekStart}
+                                close={() => setIsDatePickerOpen(false)}
+                            />
+                        )}
                     </div>
                     <button onClick={handleAdd} className="bg-accent hover:bg-blue-500 text-white font-semibold px-4 py-2 rounded-lg transition-colors">Add</button>
                 </div>
@@ -582,10 +993,14 @@ const AddTodo = forwardRef(({ onSave, items, onToggle, onSelectTodo, onShowDateP
     );
 });
 
-const DatePickerWidget = ({ onSelect, close, anchorRef }) => {
-    const [date, setDate] = useState(new Date());
+// Picks a deadline. Given `onTimeChange`, it also offers a due time and reminders and stays open until Done,
+// so all three can be set at once; otherwise picking a day closes it.
+const DatePickerWidget = ({ onSelect, close, anchorRef, value = null, time = null, onTimeChange, reminders = [], onRemindersChange, weekStart = 0 }) => {
+    const [date, setDate] = useState(() => (value ? new Date(`${value}T00:00`) : new Date()));
     const [position, setPosition] = useState({ top: 0, left: 0 });
+    const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
     const pickerRef = useRef(null);
+    const hasDetails = Boolean(onTimeChange);
 
     useEffect(() => {
         // The anchorRef can be a ref object or a direct DOM element.
@@ -610,11 +1025,11 @@ const DatePickerWidget = ({ onSelect, close, anchorRef }) => {
     const renderDays = () => {
         const year = date.getFullYear();
         const month = date.getMonth();
-        const firstDay = new Date(year, month, 1).getDay();
+        const leadingBlankDays = getLeadingBlankDays(year, month, weekStart);
         const daysInMonth = new Date(year, month + 1, 0).getDate();
         const days = [];
 
-        for (let i = 0; i < firstDay; i++) {
+        for (let i = 0; i < leadingBlankDays; i++) {
             days.push(<div key={`empty-${i}`}></div>);
         }
 
@@ -624,8 +1039,12 @@ const DatePickerWidget = ({ onSelect, close, anchorRef }) => {
             days.push(
                 <div
                     key={i}
-                    onClick={() => { onSelect(dateStr); close(); }}
-                    className="date-picker-day flex items-center justify-center text-xs rounded-full cursor-pointer hover:bg-hover"
+                    onClick={() => {
+                        onSelect(dateStr);
+                        if (!hasDetails) close();
+                    }}
+                    className={`date-picker-day flex items-center justify-center text-xs rounded-full cursor-pointer hover:bg-hover ${dateStr === value ? 'bg-accent' : ''}`}
+                    style={dateStr === value ? { color: 'white' } : undefined}
                 >
                     {i}
                 </div>
@@ -633,6 +1052,23 @@ const DatePickerWidget = ({ onSelect, close, anchorRef }) => {
         }
         return days;
     };
+
+    // The first reminder set is the moment to ask for notifications; without them reminders show in the app.
+    const toggleReminder = (offset) => {
+        if (reminders.includes(offset)) {
+            onRemindersChange(reminders.filter(o => o !== offset));
+            return;
+        }
+        onRemindersChange([...reminders, offset].sort((a, b) => a - b));
+        requestNotificationPermission().then(setNotificationPermission).catch(e => console.error("Failed to ask for notification permission", e));
+    };
+
+    const handleClear = () => {
+        onSelect(null);
+        onTimeChange(null);
+        onRemindersChange([]);
+        close();
+    };
     
     const style = anchorRef ? { position: 'fixed', top: `${position.top}px`, left: `${position.left}px` } : { position: 'absolute', bottom: '100%', right: 0 };
 
@@ -644,21 +1080,133 @@ const DatePickerWidget = ({ onSelect, close, anchorRef }) => {
                 <button onClick={() => setDate(new Date(date.setMonth(date.getMonth() + 1)))}>&gt;</button>
             </div>
             <div className="grid grid-cols-7 text-center text-secondary-text text-xs mb-1">
-                <div>Su</div><div>Mo</div><div>Tu</div><div>We</div><div>Th</div><div>Fr</div><div>Sa</div>
+                {getWeekdayLabels(weekStart).map(label => <div key={label}>{label}</div>)}
             </div>
             <div className="grid grid-cols-7 gap-1">{renderDays()}</div>
+            {hasDetails && (
+                <div className="mt-2 pt-2 border-t border-border-color space-y-2 text-xs">
+                    <label className="flex items-center justify-between">
+                        <span>Time</span>
+                        <input
+                            type="time"
+                            value={time || ''}
+                            onChange={(e) => onTimeChange(e.target.value || null)}
+                            disabled={!value}
+                            className="bg-input border border-border-color rounded-md px-1 py-0.5 text-xs focus:outline-none focus:ring-1 focus:ring-accent disabled:opacity-50"
+                        />
+                    </label>
+                    <div>
+                        <span className="block mb-1">Remind me</span>
+                        <div className="flex flex-wrap gap-1">
+                            {Object.entries(REMINDER_OFFSETS).map(([offset, label]) => {
+                                const isOn = reminders.includes(Number(offset));
+                                return (
+                                    <button
+                                        key={offset}
+                                        onClick={() => toggleReminder(Number(offset))}
+                                        disabled={!value}
+                                        className={`px-2 py-0.5 rounded-full border border-border-color disabled:opacity-50 ${isOn ? 'bg-accent' : 'bg-surface hover:bg-hover'}`}
+                                        style={isOn ? { color: 'white' } : undefined}
+                                    >
+                                        {label}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        {reminders.length > 0 && !time && <p className="mt-1 text-secondary-text">Without a time, reminders count back from {DEFAULT_DUE_TIME}.</p>}
+                        {reminders.length > 0 && notificationPermission !== 'granted' && (
+                            <p className="mt-1 text-secondary-text">Notifications are off, so reminders only show while the app is open.</p>
+                        )}
+                    </div>
+                    <div className="flex justify-between">
+                        <button onClick={handleClear} className="px-2 py-1 rounded-md hover:bg-hover text-secondary-text">Clear</button>
+                        <button onClick={close} className="px-2 py-1 rounded-md bg-accent hover:bg-blue-500 font-semibold" style={{ color: 'white' }}>Done</button>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
 
-const MemoriesFeed = ({ items, onSelect, selectedCollectionId }) => {
-    const [query, setQuery] = useState('');
-    
-    const memories = items.filter(item => {
-        const inCollection = selectedCollectionId ? item.collectionId === selectedCollectionId : true;
-        const matchesQuery = !query || item.title.toLowerCase().includes(query.toLowerCase()) || (item.tags && item.tags.some(tag => tag.toLowerCase().includes(query.toLowerCase())));
-        return item.type === 'memory' && inCollection && matchesQuery;
-    }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+const HighlightedText = ({ segments }) => (
+    <>
+        {segments.map((segment, index) => (
+            segment.match ? <mark key={index} className="search-match">{segment.text}</mark> : <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ))}
+    </>
+);
+
+// A search box for the query language, with parse errors underneath and a way to keep the query as a smart collection.
+const QueryInput = ({ query, onQueryChange, errors, onSaveQuery, placeholder, className }) => {
+    const [isNaming, setIsNaming] = useState(false);
+    const [name, setName] = useState('');
+
+    const handleSave = () => {
+        if (name.trim()) {
+            onSaveQuery(name.trim(), query.trim());
+            setName('');
+            setIsNaming(false);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            handleSave();
+        } else if (e.key === 'Escape') {
+            setName('');
+            setIsNaming(false);
+        }
+    };
+
+    return (
+        <div className={`relative ${className}`}>
+            <div className="flex items-center space-x-2">
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => onQueryChange(e.target.value)}
+                    className="flex-1 min-w-0 bg-surface border border-border-color rounded-full px-4 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                    placeholder={placeholder}
+                    title='Filters: tag:x collection:"Name" type:memory|note|screenshot|todo due:<2026-11-01 has:image is:done created:last-7d'
+                />
+                {query.trim() && errors.length === 0 && !isNaming && (
+                    <button onClick={() => setIsNaming(true)} className="text-xs text-secondary-text hover:text-primary-text whitespace-nowrap" title="Save as smart collection">☆ Save</button>
+                )}
+            </div>
+            {isNaming && (
+                <div className="flex items-center mt-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        className="flex-1 min-w-0 bg-input border border-border-color rounded-md p-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                        placeholder="Smart collection name..."
+                        autoFocus
+                    />
+                    <button onClick={handleSave} className="ml-2 p-1 bg-accent rounded-full text-white">&#10003;</button>
+                </div>
+            )}
+            {errors.length > 0 && (
+                <ul className="absolute right-0 mt-1 z-10 bg-modal border border-border-color rounded-md px-3 py-2 shadow-lg">
+                    {errors.map((error, index) => <li key={index} className="text-xs text-red-500">{error}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const MemoriesFeed = ({ items, collections, search, query, onQueryChange, onSaveQuery, onSelect, selectedCollectionId, onSelectCollection, dateFormat }) => {
+    // With free text the feed is in relevance order; otherwise newest first.
+    const result = useMemo(() => (query.trim() ? runQuery(query, { items, collections, search }) : null), [items, collections, search, query]);
+    const matchedTerms = result ? result.terms : new Map();
+    const matches = result ? result.items : items;
+    // A collection shows the memories of its sub-collections too.
+    const shownCollectionIds = selectedCollectionId ? getDescendantIds(collections, selectedCollectionId) : null;
+    const memories = (result && result.ranked ? matches : [...matches].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)))
+        .filter(item => (item.type === 'memory' || item.type === 'link') && (shownCollectionIds ? item.collectionIds.some(id => shownCollectionIds.has(id)) : true));
+    const breadcrumbs = selectedCollectionId ? getCollectionPath(collections, selectedCollectionId) : [];
+    const collectionsById = new Map(collections.map(collection => [collection.id, collection]));
 
     const handleDragStart = (e, item) => {
         e.dataTransfer.setData('text/plain', String(item.id));
@@ -667,140 +1215,429 @@ const MemoriesFeed = ({ items, onSelect, selectedCollectionId }) => {
 
     return (
         <section className="flex-1 flex flex-col">
+            {breadcrumbs.length > 0 && (
+                <nav className="flex items-center flex-wrap text-sm mb-2" aria-label="Breadcrumb">
+                    <button onClick={() => onSelectCollection(null)} className="text-secondary-text hover:underline">All Memories</button>
+                    {breadcrumbs.map((collection, index) => (
+                        <React.Fragment key={collection.id}>
+                            <span className="mx-2 text-secondary-text">›</span>
+                            {index === breadcrumbs.length - 1
+                                ? <span className="font-medium">{collection.name}</span>
+                                : <button onClick={() => onSelectCollection(collection.id)} className="text-secondary-text hover:underline">{collection.name}</button>}
+                        </React.Fragment>
+                    ))}
+                </nav>
+            )}
             <div className="flex justify-between items-center mb-3">
                 <h2 className="text-lg font-semibold">Memories</h2>
-                <input
-                    type="text"
-                    value={query}
-                    onChange={(e) => setQuery(e.target.value)}
-                    className="w-1/2 bg-surface border border-border-color rounded-full px-4 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                <QueryInput
+                    query={query}
+                    onQueryChange={onQueryChange}
+                    errors={result ? result.errors : []}
+                    onSaveQuery={onSaveQuery}
                     placeholder="Search memories..."
+                    className="w-1/2"
                 />
             </div>
             {memories.length === 0 ? (
                 <div className="text-center py-10">
-                    <p className="text-lg font-medium text-secondary-text">Your space is empty.</p>
+                    <p className="text-lg font-medium text-secondary-text">{result ? 'No memories match your search.' : 'Your space is empty.'}</p>
                 </div>
             ) : (
                 <div id="feed-container" className="grid grid-cols-1 md:grid-cols-2 gap-6 flex-1 overflow-y-auto pb-6">
-                    {memories.map(item => (
-                        <div key={item.id} draggable onDragStart={(e) => handleDragStart(e, item)} className="card rounded-xl overflow-hidden flex flex-col" onClick={() => onSelect(item)}>
-                            {item.imageData && <img src={item.imageData} className="w-full h-40 object-cover" alt="Memory" />}
-                            <div className="p-4 flex flex-col flex-grow">
-                                <h3 className="font-semibold text-sm mb-1" style={{wordWrap: 'break-word'}}>{item.title}</h3>
-                                <span className="text-xs text-secondary-text mb-2">{formatDate(item.createdAt)}</span>
+                    {memories.map(item => {
+                        const terms = matchedTerms.get(item.id);
+                        const snippet = terms && createSnippet(item, terms);
+                        const itemCollections = item.collectionIds.map(id => collectionsById.get(id)).filter(Boolean);
+                        const accentColor = itemCollections.map(collection => collection.color).find(Boolean);
+                        const cardStyle = accentColor ? { borderTop: `4px solid ${accentColor}` } : undefined;
+                        const cardDetails = (
+                            <>
+                                {snippet && <p className="text-xs text-secondary-text line-clamp-2 mb-1"><HighlightedText segments={snippet} /></p>}
+                                {itemCollections.length > 0 && (
+                                    <div className="flex flex-wrap gap-1 mb-1">
+                                        {itemCollections.map(collection => (
+                                            <span key={collection.id} className="flex items-center text-xs px-2 py-0.5 rounded-full bg-input">
+                                                <CollectionBadge collection={collection} />
+                                                <span className="ml-1">{collection.name}</span>
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
+                                {item.analysisStatus === 'pending' && (
+                                    <span className="self-start text-xs font-medium px-2 py-0.5 rounded-full bg-input text-yellow-500" title="AI analysis will run again when possible">⏳ Pending</span>
+                                )}
                                 <div className="flex-grow"></div>
-                                {item.tags && item.tags.length > 0 && (
+                                {item.tags.length > 0 && (
                                      <div className="mt-3 flex flex-wrap gap-1">
                                         {item.tags.slice(0, 3).map((tag, index) => (
-                                            <span key={index} className="bg-input text-xs font-medium px-2 py-0.5 rounded-full">{tag}</span>
+                                            <span key={index} className="bg-input text-xs font-medium px-2 py-0.5 rounded-full">{terms ? <HighlightedText segments={highlightText(tag, terms)} /> : tag}</span>
                                         ))}
                                     </div>
                                 )}
+                            </>
+                        );
+                        // A link card opens its page; its details (tags, collections, summary) are one click away.
+                        if (item.type === 'link') {
+                            return (
+                            <div key={item.id} draggable onDragStart={(e) => handleDragStart(e, item)} className="card link-card rounded-xl overflow-hidden flex flex-col" style={cardStyle} onClick={() => window.open(item.url, '_blank', 'noopener,noreferrer')} title={item.url}>
+                                <div className="p-4 flex flex-col flex-grow">
+                                    <div className="flex items-center text-xs text-secondary-text mb-2 min-w-0">
+                                        {item.favicon && <img src={item.favicon} alt="" className="w-4 h-4 mr-2 flex-shrink-0" onError={(e) => { e.currentTarget.style.display = 'none'; }} />}
+                                        <span className="truncate">{getHostname(item.url)}</span>
+                                        <button onClick={(e) => { e.stopPropagation(); onSelect(item); }} className="ml-auto pl-2 flex-shrink-0 hover:text-primary-text" title="Show details">Details</button>
+                                    </div>
+                                    <h3 className="font-semibold text-sm mb-1" style={{wordWrap: 'break-word'}}>🔗 {terms ? <HighlightedText segments={highlightText(item.title, terms)} /> : item.title}</h3>
+                                    <span className="text-xs text-secondary-text mb-2">{formatDate(item.createdAt, dateFormat)}</span>
+                                    {!snippet && (item.description || item.summary) && <p className="text-xs text-secondary-text line-clamp-2 mb-1">{item.description || item.summary}</p>}
+                                    {cardDetails}
+                                </div>
+                            </div>
+                            );
+                        }
+                        return (
+                        <div key={item.id} draggable onDragStart={(e) => handleDragStart(e, item)} className="card rounded-xl overflow-hidden flex flex-col" style={cardStyle} onClick={() => onSelect(item)}>
+                            {item.imageData && <img src={item.thumbnail || item.imageData} loading="lazy" decoding="async" className="w-full h-40 object-cover" alt="Memory" />}
+                            <div className="p-4 flex flex-col flex-grow">
+                                <h3 className="font-semibold text-sm mb-1" style={{wordWrap: 'break-word'}}>{terms ? <HighlightedText segments={highlightText(item.title, terms)} /> : item.title}</h3>
+                                <span className="text-xs text-secondary-text mb-2">{formatDate(item.createdAt, dateFormat)}</span>
+                                {cardDetails}
                             </div>
                         </div>
-                    ))}
+                        );
+                    })}
                 </div>
             )}
         </section>
     );
 };
 
-const RightSidebar = ({ items, onAddTaskFromCalendar, onToggle, onSelectTodo }) => {
+const CALENDAR_VIEWS = { month: 'Month', week: 'Week', agenda: 'Agenda' };
+
+// Set on to-dos dragged from the calendar, so days only accept to-dos (memory cards carry a plain id).
+const TODO_DRAG_TYPE = 'application/x-essential-space-todo';
+
+// A day heading for the week and agenda views, e.g. "Today", "Tomorrow" or "Thu 23 Aug".
+const formatDayHeading = (dateStr, today, dateFormat) => {
+    if (dateStr === today) return 'Today';
+    if (dateStr === shiftDate(today, 1)) return 'Tomorrow';
+    return `${new Date(`${dateStr}T00:00`).toLocaleDateString([], { weekday: 'short' })} ${formatDueDate(dateStr, dateFormat)}`;
+};
+
+const RightSidebar = ({ items, onAddTaskFromCalendar, onToggle, onSelectTodo, onReschedule, dateFormat, weekStart }) => {
+    const [view, setView] = useState('month');
     const [currentDate, setCurrentDate] = useState(new Date());
     const [selectedDate, setSelectedDate] = useState(toISODateString(new Date()));
+    const [dragOverDate, setDragOverDate] = useState(null);
+    const today = toISODateString(new Date());
+
+    // Open to-dos by deadline, for the day indicators and the week view.
+    const openTodos = items.filter(item => item.type === 'todo' && !isTodoDone(item));
+    const openTodosByDate = new Map();
+    sortTasks(openTodos.filter(item => item.deadline), 'deadline').forEach(item => {
+        openTodosByDate.set(item.deadline, [...(openTodosByDate.get(item.deadline) || []), item]);
+    });
+
+    // Later occurrences of open recurring to-dos, which only become to-dos once the current one is done.
+    const getUpcomingOccurrences = (from, to) => {
+        const byDate = new Map();
+        openTodos.filter(item => item.repeat && item.deadline).forEach(item => {
+            const rule = parseRule(item.repeat);
+            if (!rule) return;
+            listOccurrences(rule, item.deadline, from, to).forEach(date => byDate.set(date, [...(byDate.get(date) || []), item]));
+        });
+        return byDate;
+    };
+
+    // The week the selected date falls in.
+    const weekDates = Array.from({ length: 7 }, (_, i) => {
+        const offset = (new Date(`${selectedDate}T00:00`).getDay() - weekStart + 7) % 7;
+        return shiftDate(selectedDate, i - offset);
+    });
+    const upcomingThisMonth = getUpcomingOccurrences(
+        toISODateString(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1)),
+        toISODateString(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0)),
+    );
+    const upcomingThisWeek = view === 'week' ? getUpcomingOccurrences(weekDates[0], weekDates[6]) : new Map();
+    const upcomingForSelectedDate = getUpcomingOccurrences(selectedDate, selectedDate).get(selectedDate) || [];
+
+    // Every day in the month and week views takes a dropped to-do, which moves its deadline there.
+    const getDropTargetProps = (dateStr) => ({
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(TODO_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            setDragOverDate(dateStr);
+        },
+        onDragLeave: () => setDragOverDate(prev => (prev === dateStr ? null : prev)),
+        onDrop: (e) => {
+            const todoId = Number(e.dataTransfer.getData(TODO_DRAG_TYPE));
+            setDragOverDate(null);
+            if (!todoId) return;
+            e.preventDefault();
+            onReschedule(todoId, dateStr);
+        },
+    });
+
+    const renderTask = (item, idPrefix) => (
+        <div
+            key={item.id}
+            draggable
+            onDragStart={(e) => {
+                e.dataTransfer.setData(TODO_DRAG_TYPE, String(item.id));
+                e.dataTransfer.effectAllowed = 'move';
+            }}
+            className="cursor-grab"
+            title="Drag onto a day to reschedule"
+        >
+            <TaskItem item={item} onToggle={onToggle} onSelectTodo={onSelectTodo} idPrefix={idPrefix} />
+        </div>
+    );
+
+    // A projected occurrence of a recurring to-do; clicking it opens the to-do.
+    const renderOccurrence = (item, dateStr) => (
+        <div key={`upcoming-${item.id}-${dateStr}`} onClick={() => onSelectTodo(item)} className="flex items-center text-sm cursor-pointer" title={describeRepeat(item.repeat)}>
+            <span className="mr-2 text-secondary-text">↻</span>
+            <span className="truncate text-secondary-text">{item.title}</span>
+        </div>
+    );
 
     const renderCalendarDays = () => {
         const year = currentDate.getFullYear();
         const month = currentDate.getMonth();
-        const firstDay = new Date(year, month, 1).getDay();
+        const leadingBlankDays = getLeadingBlankDays(year, month, weekStart);
         const daysInMonth = new Date(year, month + 1, 0).getDate();
         const days = [];
 
-        for (let i = 0; i < firstDay; i++) {
+        for (let i = 0; i < leadingBlankDays; i++) {
             days.push(<div key={`empty-${i}`}></div>);
         }
 
         for (let i = 1; i <= daysInMonth; i++) {
             const dayDate = new Date(year, month, i);
             const dateStr = toISODateString(dayDate);
-            const isToday = toISODateString(new Date()) === dateStr;
+            const isToday = today === dateStr;
+            const dayTodos = openTodosByDate.get(dateStr) || [];
+            const occurrences = upcomingThisMonth.get(dateStr) || [];
+            const titles = [...dayTodos, ...occurrences].map(item => item.title);
             days.push(
                 <div
                     key={i}
                     onClick={() => setSelectedDate(dateStr)}
-                    className={`calendar-day ${dateStr === selectedDate ? 'selected' : ''} ${isToday ? 'today' : ''}`}
+                    {...getDropTargetProps(dateStr)}
+                    className={`calendar-day ${dateStr === selectedDate ? 'selected' : ''} ${isToday ? 'today' : ''} ${dragOverDate === dateStr ? 'drag-over' : ''}`}
+                    title={titles.length > 0 ? titles.join(', ') : undefined}
                 >
                     {i}
+                    {dayTodos.length > 0 && <span className={`calendar-count ${dateStr < today ? 'overdue' : ''}`}>{dayTodos.length}</span>}
+                    {dayTodos.length === 0 && occurrences.length > 0 && <span className="block mx-auto w-1 h-1 rounded-full" style={{ backgroundColor: 'var(--accent)' }}></span>}
                 </div>
             );
         }
         return days;
     };
 
-    const todosForSelectedDate = items.filter(item => item.type === 'todo' && item.deadline === selectedDate);
+    const todosForSelectedDate = items.filter(item => item.type === 'todo' && item.deadline === selectedDate).sort(compareTasks);
+    const overdueTodos = openTodos.filter(item => isOverdue(item, today));
+    const agendaDates = Array.from(openTodosByDate.keys()).filter(dateStr => dateStr >= today).sort();
 
-    return (
-        <aside className="w-64 bg-sidebar p-4 flex flex-col space-y-6">
+    const handlePrevious = () => {
+        if (view === 'week') {
+            setSelectedDate(shiftDate(selectedDate, -7));
+        } else {
+            setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1));
+        }
+    };
+
+    const handleNext = () => {
+        if (view === 'week') {
+            setSelectedDate(shiftDate(selectedDate, 7));
+        } else {
+            setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1));
+        }
+    };
+
+    return (
+        <aside className="w-64 bg-sidebar p-4 flex flex-col space-y-6">
             <section>
-                <h2 className="text-lg font-semibold mb-3">Calendar</h2>
-                <div className="bg-surface rounded-lg p-3">
-                    <div className="flex justify-between items-center mb-2 px-1">
-                        <button onClick={() => setCurrentDate(new Date(currentDate.setMonth(currentDate.getMonth() - 1)))}>&lt;</button>
-                        <h3 className="font-semibold text-sm">{currentDate.toLocaleString('default', { month: 'long' })} {currentDate.getFullYear()}</h3>
-                        <button onClick={() => setCurrentDate(new Date(currentDate.setMonth(currentDate.getMonth() + 1)))}>&gt;</button>
+                <div className="flex justify-between items-center mb-3">
+                    <h2 className="text-lg font-semibold">Calendar</h2>
+                    <div className="flex text-xs bg-surface rounded-md overflow-hidden">
+                        {Object.entries(CALENDAR_VIEWS).map(([id, label]) => (
+                            <button key={id} onClick={() => setView(id)} className={`px-2 py-1 ${view === id ? 'bg-accent' : 'hover:bg-hover'}`} style={view === id ? { color: 'white' } : undefined}>{label}</button>
+                        ))}
                     </div>
-                    <div className="grid grid-cols-7 gap-2 text-secondary-text text-xs mb-2 text-center">
-                        <div>Su</div><div>Mo</div><div>Tu</div><div>We</div><div>Th</div><div>Fr</div><div>Sa</div>
+                </div>
+                {view === 'month' && (
+                    <div className="bg-surface rounded-lg p-3">
+                        <div className="flex justify-between items-center mb-2 px-1">
+                            <button onClick={handlePrevious}>&lt;</button>
+                            <h3 className="font-semibold text-sm">{currentDate.toLocaleString('default', { month: 'long' })} {currentDate.getFullYear()}</h3>
+                            <button onClick={handleNext}>&gt;</button>
+                        </div>
+                        <div className="grid grid-cols-7 gap-2 text-secondary-text text-xs mb-2 text-center">
+                            {getWeekdayLabels(weekStart).map(label => <div key={label}>{label}</div>)}
+                        </div>
+                        <div className="grid grid-cols-7 gap-1">
+                            {renderCalendarDays()}
+                        </div>
                     </div>
-                    <div className="grid grid-cols-7 gap-1">
-                        {renderCalendarDays()}
+                )}
+                {view === 'week' && (
+                    <div className="bg-surface rounded-lg p-3">
+                        <div className="flex justify-between items-center mb-2 px-1">
+                            <button onClick={handlePrevious}>&lt;</button>
+                            <h3 className="font-semibold text-sm">{formatDueDate(weekDates[0], dateFormat)} – {formatDueDate(weekDates[6], dateFormat)}</h3>
+                            <button onClick={handleNext}>&gt;</button>
+                        </div>
+                        <div className="space-y-2">
+                            {weekDates.map(dateStr => (
+                                <div key={dateStr} {...getDropTargetProps(dateStr)} className={`rounded-md p-1 ${dragOverDate === dateStr ? 'bg-hover' : ''}`}>
+                                    <button
+                                        onClick={() => setSelectedDate(dateStr)}
+                                        className={`text-xs font-semibold mb-1 ${dateStr === selectedDate ? 'text-accent' : ''} ${dateStr < today && (openTodosByDate.get(dateStr) || []).length > 0 ? 'text-red-500' : ''}`}
+                                        style={dateStr === selectedDate ? { color: 'var(--accent)' } : undefined}
+                                    >
+                                        {formatDayHeading(dateStr, today, dateFormat)}
+                                    </button>
+                                    {(openTodosByDate.get(dateStr) || []).map(item => renderTask(item, `week-todo-${dateStr}`))}
+                                    {(upcomingThisWeek.get(dateStr) || []).map(item => renderOccurrence(item, dateStr))}
+                                </div>
+                            ))}
+                        </div>
                     </div>
-                </div>
-                <button onClick={() => onAddTaskFromCalendar(selectedDate)} className="mt-3 w-full bg-surface hover:bg-hover text-primary-text text-sm py-2 rounded-lg transition-colors">Add To-Do</button>
-            </section>
-            <section>
-                <h2 className="text-lg font-semibold mb-3">To-Do</h2>
-                <div className="bg-surface rounded-lg p-4 space-y-2">
-                    {todosForSelectedDate.length > 0 ? (
-                        todosForSelectedDate.map(item => (
-                             <div key={item.id} onClick={() => onSelectTodo(item)} className="cursor-pointer">
-                                {item.note.split('\n').map((line, index) => {
-                                    const match = line.match(/-\s*\[( |x|X)\]\s*(.*)/);
-                                    if (!match) return null;
-                                    const text = match[2];
-                                    const isChecked = match[1].toLowerCase() === 'x';
-                                    const checkboxId = `sidebar-todo-${item.id}-${index}`;
-                                    return (
-                                        <div key={index} className="todo-item flex items-center text-sm">
-                                            <input
-                                                type="checkbox"
-                                                id={checkboxId}
-                                                className="mr-2 accent-accent"
-                                                checked={isChecked}
-                                                onChange={(e) => {
-                                                    e.stopPropagation();
-                                                    onToggle(item.id, index);
-                                                }}
-                                            />
-                                            <label htmlFor={checkboxId} className="flex items-center cursor-pointer">
-                                                <span className={isChecked ? 'text-secondary-text line-through' : ''}>{text}</span>
-                                            </label>
-                                        </div>
-                                    );
-                                })}
+                )}
+                {view === 'agenda' && (
+                    <div className="bg-surface rounded-lg p-3 max-h-96 overflow-y-auto space-y-3">
+                        {overdueTodos.length > 0 && (
+                            <div>
+                                <h3 className="text-xs font-semibold mb-1 text-red-500">Overdue</h3>
+                                {sortTasks(overdueTodos, 'deadline').map(item => renderTask(item, 'agenda-overdue'))}
                             </div>
-                        ))
-                    ) : (
-                        <p className="text-secondary-text text-sm">No tasks for selected date.</p>
-                    )}
-                </div>
+                        )}
+                        {agendaDates.map(dateStr => (
+                            <div key={dateStr} {...getDropTargetProps(dateStr)} className={`rounded-md ${dragOverDate === dateStr ? 'bg-hover' : ''}`}>
+                                <h3 className="text-xs font-semibold mb-1">{formatDayHeading(dateStr, today, dateFormat)}</h3>
+                                {openTodosByDate.get(dateStr).map(item => renderTask(item, `agenda-todo-${dateStr}`))}
+                            </div>
+                        ))}
+                        {overdueTodos.length === 0 && agendaDates.length === 0 && <p className="text-secondary-text text-sm">Nothing coming up.</p>}
+                    </div>
+                )}
+                {view !== 'agenda' && (
+                    <button onClick={() => onAddTaskFromCalendar(selectedDate)} className="mt-3 w-full bg-surface hover:bg-hover text-primary-text text-sm py-2 rounded-lg transition-colors">Add To-Do</button>
+                )}
             </section>
+            {view === 'month' && (
+                <section>
+                    <h2 className="text-lg font-semibold mb-3">To-Do</h2>
+                    <div className="bg-surface rounded-lg p-4 space-y-2">
+                        {todosForSelectedDate.length > 0 || upcomingForSelectedDate.length > 0 ? (
+                            <>
+                                {todosForSelectedDate.map(item => renderTask(item, 'sidebar-todo'))}
+                                {upcomingForSelectedDate.map(item => renderOccurrence(item, selectedDate))}
+                            </>
+                        ) : (
+                            <p className="text-secondary-text text-sm">No tasks for selected date.</p>
+                        )}
+                    </div>
+                </section>
+            )}
         </aside>
     );
 };
 
-const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
+// Editable tag chips: click a tag to rename it, × to remove it, and type to add one with suggestions from existing tags.
+const TagEditor = ({ tags, tagCounts, onChange }) => {
+    const [input, setInput] = useState('');
+    const [activeSuggestion, setActiveSuggestion] = useState(-1);
+    const [editingIndex, setEditingIndex] = useState(null);
+    const [editingValue, setEditingValue] = useState('');
+    const suggestions = suggestTags(tagCounts, input, tags);
+
+    const handleChange = (newTags) => {
+        if (newTags !== tags) onChange(newTags);
+    };
+
+    const handleAdd = (tag) => {
+        handleChange(addTag(tags, tag));
+        setInput('');
+        setActiveSuggestion(-1);
+    };
+
+    // An emptied name removes the tag; renaming to a tag already present merges the two.
+    const handleRename = (index) => {
+        handleChange(tags.map((tag, i) => (i === index ? editingValue : tag)).reduce((kept, tag) => addTag(kept, tag), []));
+        setEditingIndex(null);
+    };
+
+    const handleInputKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveSuggestion(index => Math.max(-1, Math.min(suggestions.length - 1, index + step)));
+        } else if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            handleAdd(activeSuggestion >= 0 ? suggestions[activeSuggestion] : input);
+        } else if (e.key === 'Escape' && input) {
+            e.stopPropagation();
+            setInput('');
+            setActiveSuggestion(-1);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {tags.map((tag, index) => (
+                editingIndex === index ? (
+                    <input
+                        key={index}
+                        type="text"
+                        value={editingValue}
+                        onChange={(e) => setEditingValue(e.target.value)}
+                        onBlur={() => handleRename(index)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleRename(index);
+                            if (e.key === 'Escape') { e.stopPropagation(); setEditingIndex(null); }
+                        }}
+                        className="bg-input border border-border-color rounded-full px-2.5 py-1 text-base w-32 focus:outline-none focus:ring-1 focus:ring-accent"
+                        autoFocus
+                    />
+                ) : (
+                    <span key={index} className="bg-input text-base font-medium pl-2.5 pr-1 py-1 rounded-full flex items-center">
+                        <button onClick={() => { setEditingIndex(index); setEditingValue(tag); }} title="Rename tag">{tag}</button>
+                        <button onClick={() => handleChange(tags.filter((_, i) => i !== index))} className="ml-1 px-1 rounded-full hover:bg-hover text-secondary-text" title="Remove tag">&times;</button>
+                    </span>
+                )
+            ))}
+            <div className="relative">
+                <input
+                    type="text"
+                    value={input}
+                    onChange={(e) => { setInput(e.target.value); setActiveSuggestion(-1); }}
+                    onKeyDown={handleInputKeyDown}
+                    className="bg-input border border-border-color rounded-full px-3 py-1 text-sm w-32 focus:outline-none focus:ring-1 focus:ring-accent"
+                    placeholder="+ Add tag"
+                />
+                {suggestions.length > 0 && (
+                    <ul className="absolute left-0 mt-1 z-10 w-48 bg-surface border border-border-color rounded-md shadow-lg py-1">
+                        {suggestions.map((suggestion, index) => (
+                            <li
+                                key={suggestion}
+                                onMouseDown={(e) => { e.preventDefault(); handleAdd(suggestion); }}
+                                className={`px-3 py-1 text-sm cursor-pointer hover:bg-hover ${index === activeSuggestion ? 'bg-input' : ''}`}
+                            >
+                                {suggestion}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const Modal = ({ item, collections, tagCounts, onClose, onUpdate, onDelete, onSaveTodo, onReanalyze, dateFormat, weekStart }) => {
     const [isMenuOpen, setIsMenuOpen] = useState(false);
     const [isEditingTitle, setIsEditingTitle] = useState(false);
     const [isEditingSummary, setIsEditingSummary] = useState(false);
@@ -830,6 +1667,12 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
     }, [isDatePickerOpen, isMenuOpen, onClose]);
 
 
+    // Picks up results that arrive while the modal is open, e.g. from the analysis queue.
+    useEffect(() => {
+        setTitle(item.title);
+        setSummary(item.summary);
+    }, [item.title, item.summary]);
+
     useEffect(() => {
         if (isEditingTitle && titleRef.current) {
             titleRef.current.focus();
@@ -862,11 +1705,7 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
     };
 
     const handleAddTask = (task) => {
-        onSaveTodo({
-            note: `- [ ] ${task.description}`,
-            type: 'todo',
-            deadline: task.date || null
-        }, {
+        onSaveTodo(createTask({ title: task.description, deadline: task.date || null, sourceItemId: item.id }), {
             title: task.description,
             summary: `Task created from '${item.title}'.`,
         });
@@ -875,11 +1714,7 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
 
     const handleAddSummaryAsTodo = (date) => {
         if (!summary) return;
-        onSaveTodo({
-            note: `- [ ] ${summary}`,
-            type: 'todo',
-            deadline: date
-        }, {
+        onSaveTodo(createTask({ title: summary, deadline: date, sourceItemId: item.id }), {
             title: summary,
             summary: `Task created from '${item.title}'.`
         });
@@ -922,12 +1757,22 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
                         {isMenuOpen && (
                             <div className="absolute right-0 mt-2 w-48 rounded-md shadow-lg z-50 ring-1 ring-border-color bg-surface">
                                 <a href="#" onClick={(e) => { e.preventDefault(); setIsEditingTitle(true); setIsMenuOpen(false); }} className="block px-4 py-2 text-base text-primary-text hover:bg-hover rounded-t-md border-b border-border-color">Rename</a>
-                                <a href="#" onClick={(e) => { e.preventDefault(); setShowDeleteConfirm(true); setIsMenuOpen(false); }} className="block px-4 py-2 text-base text-red-500 hover:bg-hover rounded-b-md">Delete</a>
+                                <a href="#" onClick={(e) => { e.preventDefault(); onReanalyze(item); setIsMenuOpen(false); }} className="block px-4 py-2 text-base text-primary-text hover:bg-hover border-b border-border-color">Re-analyze</a>
+                                <a href="#" onClick={(e) => { e.preventDefault(); setShowDeleteConfirm(true); setIsMenuOpen(false); }} className="block px-4 py-2 text-base text-red-500 hover:bg-hover rounded-b-md">Move to Trash</a>
                             </div>
                         )}
                     </div>
                 </div>
                 <div className="overflow-y-auto p-6 space-y-6 text-base modal-content">
+                    {item.type === 'link' && (
+                        <div className="bg-input rounded-lg p-4">
+                            <a href={item.url} target="_blank" rel="noopener noreferrer" className="flex items-center font-medium text-accent hover:underline break-all">
+                                {item.favicon && <img src={item.favicon} alt="" className="w-4 h-4 mr-2 flex-shrink-0" onError={(e) => { e.currentTarget.style.display = 'none'; }} />}
+                                {item.url}
+                            </a>
+                            {item.description && <p className="mt-2 text-sm text-secondary-text">{item.description}</p>}
+                        </div>
+                    )}
                     {item.imageData && (
                         <div className="bg-black rounded-lg flex items-center justify-center p-2 cursor-pointer">
                             <a href={item.imageData} target="_blank" rel="noopener noreferrer">
@@ -936,15 +1781,33 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
                         </div>
                     )}
                     <div>
-                        <span className="text-sm text-secondary-text">{formatDate(item.createdAt)}</span>
+                        <span className="text-sm text-secondary-text">{formatDate(item.createdAt, dateFormat)}</span>
+                        {item.analysisStatus === 'pending' && <span className="ml-3 text-sm text-yellow-500">⏳ Waiting for AI analysis</span>}
                     </div>
-                    {item.tags && item.tags.length > 0 && (
-                         <div>
-                            <h3 className="font-semibold mb-2">📌 Tags</h3>
-                            <div className="flex flex-wrap gap-2">
-                                {item.tags.map((tag, index) => (
-                                    <span key={index} className="bg-input text-base font-medium px-2.5 py-1 rounded-full">{tag}</span>
+                    <div>
+                        <h3 className="font-semibold mb-2">📌 Tags</h3>
+                        <TagEditor tags={item.tags} tagCounts={tagCounts} onChange={(tags) => onUpdate({ ...item, tags })} />
+                    </div>
+                    {collections.length > 0 && (
+                        <div>
+                            <h3 className="font-semibold mb-2">📁 Collections</h3>
+                            <div className="flex flex-wrap items-center gap-2">
+                                {item.collectionIds.map(id => (
+                                    <span key={id} className="bg-input text-base font-medium pl-2.5 pr-1 py-1 rounded-full flex items-center">
+                                        {getCollectionPath(collections, id).map(collection => collection.name).join(' / ')}
+                                        <button onClick={() => onUpdate({ ...item, collectionIds: item.collectionIds.filter(collectionId => collectionId !== id) })} className="ml-1 px-1 rounded-full hover:bg-hover text-secondary-text" title="Remove from collection">&times;</button>
+                                    </span>
                                 ))}
+                                <select
+                                    value=""
+                                    onChange={(e) => onUpdate({ ...item, collectionIds: [...item.collectionIds, Number(e.target.value)] })}
+                                    className="bg-input border border-border-color rounded-full px-3 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                                >
+                                    <option value="" disabled>+ Add to collection</option>
+                                    {collections.filter(collection => !item.collectionIds.includes(collection.id)).map(collection => (
+                                        <option key={collection.id} value={collection.id}>{getCollectionPath(collections, collection.id).map(c => c.name).join(' / ')}</option>
+                                    ))}
+                                </select>
                             </div>
                         </div>
                     )}
@@ -980,12 +1843,13 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
                                         handleAddSummaryAsTodo(date);
                                     }} 
                                     close={() => setIsDatePickerOpen(false)} 
+                                    weekStart={weekStart}
                                 />
                              )}
                         </div>
                     </div>
 
-                    {item.highlights && item.highlights.length > 0 && (
+                    {item.highlights.length > 0 && (
                         <div>
                             <h3 className="font-semibold mb-2">💡 Highlights</h3>
                             <div className="space-y-2">
@@ -995,7 +1859,7 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
                                         <div key={index} className="flex items-center justify-between bg-input p-2 rounded-md text-base">
                                             <div>
                                                 <span>{task.description}</span>
-                                                {task.date && <span className="ml-2 text-sm bg-surface px-2 py-1 rounded-full text-secondary-text">{formatDueDate(task.date)}</span>}
+                                                {task.date && <span className="ml-2 text-sm bg-surface px-2 py-1 rounded-full text-secondary-text">{formatDueDate(task.date, dateFormat)}</span>}
                                             </div>
                                             <button
                                                 onClick={() => handleAddTask(task)}
@@ -1033,10 +1897,10 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
                 <div className="absolute inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.5)'}}>
                     <div className="bg-modal rounded-lg p-6 shadow-xl">
                         <h3 className="font-semibold mb-4">Are you sure?</h3>
-                        <p className="text-sm text-secondary-text mb-6">This memory will be permanently deleted.</p>
+                        <p className="text-sm text-secondary-text mb-6">This memory will be moved to the Trash. You can restore it from there.</p>
                         <div className="flex justify-end space-x-3">
                             <button onClick={() => setShowDeleteConfirm(false)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
-                            <button onClick={() => {onDelete(item.id); setShowDeleteConfirm(false);}} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-semibold">Delete</button>
+                            <button onClick={() => {onDelete(item.id); setShowDeleteConfirm(false);}} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-semibold">Move to Trash</button>
                         </div>
                     </div>
                 </div>
@@ -1045,9 +1909,105 @@ const Modal = ({ item, onClose, onUpdate, onDelete, onSaveTodo }) => {
     );
 };
 
-const TodoDetailModal = ({ item, onClose, onUpdate }) => {
-    const [taskText, setTaskText] = useState(item ? item.note.match(/-\s*\[( |x|X)\]\s*(.*)/)[2] : '');
+const REPEAT_KINDS = { none: 'Does not repeat', DAILY: 'Daily', WEEKDAYS: 'Every weekday', WEEKLY: 'Weekly', MONTHLY: 'Monthly' };
+const REPEAT_UNITS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+const WEEKDAY_INITIALS = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+
+// Edits a repeat rule (an RRULE string, see recurrence.js). New rules start from the deadline's weekday or day of the month.
+const RepeatEditor = ({ value, deadline, onChange }) => {
+    const rule = parseRule(value);
+    const position = getDatePosition(deadline || toISODateString(new Date()));
+    const isWeekdays = rule && rule.interval === 1 && describeRule({ ...rule, until: null }) === 'every weekday';
+    const kind = !rule ? 'none' : isWeekdays ? 'WEEKDAYS' : rule.freq;
+    const baseRule = { freq: 'DAILY', interval: 1, byDay: [], byMonthDay: null, until: null };
+    const weekdays = (days) => days.map(weekday => ({ weekday, ordinal: null }));
+
+    const handleKindChange = (newKind) => {
+        switch (newKind) {
+            case 'none': onChange(null); break;
+            case 'WEEKDAYS': onChange(formatRule({ ...baseRule, freq: 'WEEKLY', byDay: weekdays(WEEKDAYS.slice(0, 5)) })); break;
+            case 'WEEKLY': onChange(formatRule({ ...baseRule, freq: 'WEEKLY', byDay: weekdays([position.weekday]) })); break;
+            case 'MONTHLY': onChange(formatRule({ ...baseRule, freq: 'MONTHLY', byMonthDay: position.dayOfMonth })); break;
+            default: onChange(formatRule({ ...baseRule, freq: newKind }));
+        }
+    };
+
+    const update = (changes) => onChange(formatRule({ ...rule, ...changes }));
+
+    const toggleWeekday = (weekday) => {
+        const selected = rule.byDay.map(day => day.weekday);
+        const next = selected.includes(weekday) ? selected.filter(day => day !== weekday) : [...selected, weekday];
+        if (next.length === 0) return;
+        update({ byDay: weekdays(WEEKDAYS.filter(day => next.includes(day))) });
+    };
+
+    // "On the 20th", "on the third Tuesday" and, in the last week of a month, "on the last Tuesday".
+    const monthlyOptions = [
+        { byMonthDay: position.dayOfMonth, byDay: [] },
+        ...position.ordinals.filter(ordinal => ordinal > 0 || ordinal === -1)
+            .map(ordinal => ({ byMonthDay: null, byDay: [{ weekday: position.weekday, ordinal }] })),
+    ].map(changes => formatRule({ ...baseRule, freq: 'MONTHLY', ...changes }));
+    const monthlyValue = rule && rule.freq === 'MONTHLY' ? formatRule({ ...rule, interval: 1, until: null }) : null;
+    if (monthlyValue && !monthlyOptions.includes(monthlyValue)) monthlyOptions.unshift(monthlyValue);
+
+    const selectClassName = "bg-surface border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent";
+
+    return (
+        <div className="space-y-2">
+            <select value={kind} onChange={(e) => handleKindChange(e.target.value)} className={selectClassName}>
+                {Object.entries(REPEAT_KINDS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            {rule && kind !== 'WEEKDAYS' && (
+                <div className="flex items-center space-x-2 text-sm">
+                    <span>Every</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max="99"
+                        value={rule.interval}
+                        onChange={(e) => { const interval = parseInt(e.target.value); if (interval >= 1) update({ interval }); }}
+                        className={`${selectClassName} w-16`}
+                    />
+                    <span>{REPEAT_UNITS[rule.freq]}</span>
+                </div>
+            )}
+            {rule && kind === 'WEEKLY' && (
+                <div className="flex space-x-1">
+                    {WEEKDAYS.map((weekday, index) => {
+                        const isSelected = rule.byDay.some(day => day.weekday === weekday);
+                        return (
+                            <button
+                                key={weekday}
+                                onClick={() => toggleWeekday(weekday)}
+                                className={`w-7 h-7 rounded-full text-xs font-semibold ${isSelected ? 'bg-accent' : 'bg-surface hover:bg-hover border border-border-color'}`}
+                                style={isSelected ? { color: 'white' } : undefined}
+                            >
+                                {WEEKDAY_INITIALS[index]}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+            {rule && kind === 'MONTHLY' && (
+                <select value={monthlyValue} onChange={(e) => update({ ...parseRule(e.target.value), interval: rule.interval, until: rule.until })} className={selectClassName}>
+                    {monthlyOptions.map(option => <option key={option} value={option}>{describeRepeat(option)}</option>)}
+                </select>
+            )}
+            {rule && <p className="text-xs text-secondary-text">{describeRepeat(value)}</p>}
+        </div>
+    );
+};
+
+const TodoDetailModal = ({ item, sourceItem, onOpenSource, onClose, onUpdate, dateFormat, weekStart }) => {
+    const [title, setTitle] = useState(item ? item.title : '');
+    const [priority, setPriority] = useState(item ? item.priority : DEFAULT_PRIORITY);
+    const [note, setNote] = useState(item ? item.note : '');
+    const [subtasks, setSubtasks] = useState(item ? item.subtasks : []);
+    const [newSubtask, setNewSubtask] = useState('');
     const [deadline, setDeadline] = useState(item ? item.deadline : null);
+    const [repeat, setRepeat] = useState(item ? item.repeat : null);
+    const [dueTime, setDueTime] = useState(item ? item.dueTime : null);
+    const [reminders, setReminders] = useState(item ? item.reminders : []);
     const [isDatePickerOpen, setIsDatePickerOpen] = useState(false);
     const datePickerButtonRef = useRef(null);
 
@@ -1062,109 +2022,874 @@ const TodoDetailModal = ({ item, onClose, onUpdate }) => {
     }, [onClose]);
 
     const handleSave = () => {
-        const updatedNote = item.note.replace(/-\s*\[( |x|X)\]\s*(.*)/, `- [${item.note.includes('[x]') || item.note.includes('[X]') ? 'x' : ' '}] ${taskText}`);
-        onUpdate({ ...item, note: updatedNote, deadline });
+        if (!title.trim()) return;
+        // A subtask typed but not yet added with Enter is kept too.
+        const finalSubtasks = addSubtask(subtasks, newSubtask).filter(subtask => subtask.title.trim());
+        // A repeating to-do needs a first occurrence; without a deadline it is the next matching day from today.
+        const rule = parseRule(repeat);
+        const finalDeadline = rule && !deadline ? firstOccurrence(rule, toISODateString(new Date())) : deadline;
+        onUpdate({
+            ...item,
+            title: title.trim(),
+            priority,
+            note,
+            subtasks: finalSubtasks,
+            deadline: finalDeadline,
+            dueTime: finalDeadline ? dueTime : null,
+            reminders: finalDeadline ? reminders : [],
+            repeat: rule ? repeat : null,
+        });
         onClose();
     };
 
+    const handleAddSubtask = () => {
+        setSubtasks(addSubtask(subtasks, newSubtask));
+        setNewSubtask('');
+    };
+
+    const updateSubtask = (id, changes) => {
+        setSubtasks(subtasks.map(subtask => (subtask.id === id ? { ...subtask, ...changes } : subtask)));
+    };
+
     if (!item) return null;
 
+    const inputClassName = "w-full bg-input border border-border-color rounded-md p-2 text-sm focus:outline-none focus:ring-1 focus:ring-accent";
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(5px)' }}>
-            <div className="bg-modal rounded-lg p-6 shadow-xl w-full max-w-md">
+            <div className="bg-modal rounded-lg p-6 shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto modal-content">
                 <h3 className="font-semibold mb-4 text-lg">Edit Task</h3>
                 <textarea
-                    value={taskText}
-                    onChange={(e) => setTaskText(e.target.value)}
-                    className="w-full bg-input border border-border-color rounded-md p-2 text-sm focus:outline-none focus:ring-1 focus:ring-accent mb-4"
-                    rows="3"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    className={`${inputClassName} mb-4`}
+                    rows="2"
                 />
+                <div className="flex items-center justify-between mb-4">
+                    <span className="text-sm font-medium">Priority:</span>
+                    <div className="flex space-x-1">
+                        {PRIORITIES.map(p => (
+                            <button
+                                key={p}
+                                onClick={() => setPriority(p)}
+                                className={`px-2 py-1 rounded-md text-xs font-semibold border border-border-color ${priority === p ? 'bg-accent text-white' : 'bg-surface hover:bg-hover'}`}
+                                style={priority === p ? { color: 'white' } : { color: PRIORITY_COLORS[p] }}
+                            >
+                                P{p}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="mb-4">
+                    <span className="block text-sm font-medium mb-2">Subtasks</span>
+                    {subtasks.map(subtask => (
+                        <div key={subtask.id} className="flex items-center mb-1">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(subtask.completedAt)}
+                                onChange={() => updateSubtask(subtask.id, { completedAt: subtask.completedAt ? null : new Date().toISOString() })}
+                                className="mr-2 accent-accent flex-shrink-0"
+                            />
+                            <input
+                                type="text"
+                                value={subtask.title}
+                                onChange={(e) => updateSubtask(subtask.id, { title: e.target.value })}
+                                className={`flex-1 bg-transparent text-sm focus:outline-none ${subtask.completedAt ? 'line-through text-secondary-text' : ''}`}
+                            />
+                            <button onClick={() => setSubtasks(subtasks.filter(s => s.id !== subtask.id))} className="ml-2 text-secondary-text hover:text-red-500" title="Remove subtask">&times;</button>
+                        </div>
+                    ))}
+                    <input
+                        type="text"
+                        value={newSubtask}
+                        onChange={(e) => setNewSubtask(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleAddSubtask(); }}
+                        className={inputClassName}
+                        placeholder="Add a subtask..."
+                    />
+                </div>
+                <div className="flex items-start justify-between mb-4">
+                    <span className="text-sm font-medium">Repeat:</span>
+                    <RepeatEditor value={repeat} deadline={deadline} onChange={setRepeat} />
+                </div>
+                <label className="block text-sm font-medium mb-4">
+                    Notes
+                    <textarea
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className={`${inputClassName} mt-1`}
+                        rows="3"
+                    />
+                </label>
+                {sourceItem && (
+                    <div className="flex items-center justify-between mb-4 text-sm">
+                        <span className="font-medium">From:</span>
+                        <button onClick={() => onOpenSource(sourceItem)} className="truncate ml-4 text-accent hover:underline" style={{ color: 'var(--accent)' }}>{sourceItem.title || 'Memory'}</button>
+                    </div>
+                )}
                 <div className="flex items-center justify-between mb-6">
                     <span className="text-sm font-medium">Deadline:</span>
                     <div className="relative">
                         <button ref={datePickerButtonRef} onClick={() => setIsDatePickerOpen(prev => !prev)} className="text-sm border border-border-color bg-surface hover:bg-hover px-3 py-1 rounded-md transition-colors">
-                            {deadline ? formatDueDate(deadline) : 'Set Date'}
+                            {deadline ? formatDeadline({ deadline, dueTime }, dateFormat) : 'Set Date'}{deadline && reminders.length > 0 && ' 🔔'}
                         </button>
                         {isDatePickerOpen && (
-                            <DatePickerWidget 
+                            <DatePickerWidget
                                 anchorRef={datePickerButtonRef}
-                                onSelect={(date) => {
-                                setDeadline(date);
-                                setIsDatePickerOpen(false);
-                            }} close={() => setIsDatePickerOpen(false)} />
+                                value={deadline}
+                                onSelect={setDeadline}
+                                time={dueTime}
+                                onTimeChange={setDueTime}
+                                reminders={reminders}
+                                onRemindersChange={setReminders}
+                                weekStart={weekStart}
+                                close={() => setIsDatePickerOpen(false)}
+                            />
                         )}
                     </div>
                 </div>
                 <div className="flex justify-end space-x-3">
                     <button onClick={onClose} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
-                    <button onClick={handleSave} className="px-4 py-2 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold">Save</button>
+                    <button onClick={handleSave} disabled={!title.trim()} className="px-4 py-2 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold disabled:opacity-50">Save</button>
                 </div>
             </div>
         </div>
     );
 };
 
-export default function App() {
+// Lists the reminders that fell due while the app was closed, leaving out to-dos done or deleted since.
+const MissedRemindersDialog = ({ reminders, items, onOpen, onDismiss, dateFormat }) => {
+    const missed = reminders
+        .map(reminder => ({ ...reminder, item: items.find(item => item.id === reminder.itemId) }))
+        .filter(reminder => reminder.item && !isTodoDone(reminder.item));
+    // Several reminders for the same to-do show up once.
+    const todos = missed.filter((reminder, index) => missed.findIndex(r => r.itemId === reminder.itemId) === index).map(reminder => reminder.item);
+
+    if (todos.length === 0) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(5px)' }}>
+            <div className="bg-modal rounded-lg p-6 shadow-xl w-full max-w-sm modal-content">
+                <h3 className="font-semibold mb-2 text-lg">Missed reminders</h3>
+                <p className="text-sm text-secondary-text mb-4">These came due while Essential Space was closed.</p>
+                <div className="space-y-2 mb-6 max-h-64 overflow-y-auto">
+                    {todos.map(item => (
+                        <button key={item.id} onClick={() => onOpen(item)} className="w-full flex items-center justify-between text-left text-sm p-2 rounded-md bg-surface hover:bg-hover">
+                            <span className="truncate">{item.title}</span>
+                            <span className="ml-2 flex-shrink-0 text-xs text-secondary-text">{formatDeadline(item, dateFormat)}</span>
+                        </button>
+                    ))}
+                </div>
+                <div className="flex justify-end">
+                    <button onClick={onDismiss} className="px-4 py-2 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold">Dismiss</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const TagManager = ({ tagCounts, onRenameTags }) => {
+    const [filter, setFilter] = useState('');
+    const [selectedTags, setSelectedTags] = useState([]);
+    const [editingTag, setEditingTag] = useState(null);
+    const [editingValue, setEditingValue] = useState('');
+    const [mergeTarget, setMergeTarget] = useState('');
+
+    const shownTags = tagCounts.filter(({ tag }) => tag.toLowerCase().includes(filter.trim().toLowerCase()));
+
+    const handleSelectTag = (tag) => {
+        const next = selectedTags.includes(tag) ? selectedTags.filter(t => t !== tag) : [...selectedTags, tag];
+        setSelectedTags(next);
+        if (!mergeTarget || !next.includes(mergeTarget)) setMergeTarget(next[0] || '');
+    };
+
+    const handleRename = () => {
+        if (normalizeTag(editingValue) && editingValue !== editingTag) {
+            onRenameTags([editingTag], editingValue);
+        }
+        setEditingTag(null);
+    };
+
+    const handleMerge = () => {
+        if (!normalizeTag(mergeTarget)) return;
+        onRenameTags(selectedTags, mergeTarget);
+        setSelectedTags([]);
+        setMergeTarget('');
+    };
+
+    return (
+        <div className="bg-surface rounded-lg p-6 h-full flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold">Tags</h2>
+                <input
+                    type="text"
+                    value={filter}
+                    onChange={(e) => setFilter(e.target.value)}
+                    className="bg-input border border-border-color rounded-full px-4 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                    placeholder="Filter tags..."
+                />
+            </div>
+            {selectedTags.length > 1 && (
+                <div className="flex items-center space-x-2 mb-4 p-3 bg-input rounded-lg text-sm">
+                    <span>Merge {selectedTags.length} tags into</span>
+                    <input
+                        type="text"
+                        value={mergeTarget}
+                        onChange={(e) => setMergeTarget(e.target.value)}
+                        className="bg-surface border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                    />
+                    <button onClick={handleMerge} disabled={!normalizeTag(mergeTarget)} className="px-3 py-1 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold disabled:opacity-50">Merge</button>
+                    <button onClick={() => setSelectedTags([])} className="px-3 py-1 rounded-md hover:bg-hover text-sm">Cancel</button>
+                </div>
+            )}
+            {tagCounts.length === 0 ? (
+                <p className="text-secondary-text">No tags yet. Tags added by the AI or in a memory's details show up here.</p>
+            ) : (
+                <div className="flex-1 overflow-y-auto">
+                    {shownTags.map(({ tag, count }) => (
+                        <div key={tag} className="flex items-center justify-between p-2 border-b border-border-color/50 text-sm">
+                            <div className="flex items-center min-w-0">
+                                <input type="checkbox" checked={selectedTags.includes(tag)} onChange={() => handleSelectTag(tag)} className="mr-4 accent-accent h-4 w-4" title="Select to merge" />
+                                {editingTag === tag ? (
+                                    <input
+                                        type="text"
+                                        value={editingValue}
+                                        onChange={(e) => setEditingValue(e.target.value)}
+                                        onBlur={handleRename}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); if (e.key === 'Escape') setEditingTag(null); }}
+                                        className="bg-input border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                                        autoFocus
+                                    />
+                                ) : (
+                                    <span className="bg-input font-medium px-2.5 py-0.5 rounded-full truncate">{tag}</span>
+                                )}
+                            </div>
+                            <div className="flex items-center space-x-4 flex-shrink-0">
+                                <span className="text-secondary-text">{count} {count === 1 ? 'item' : 'items'}</span>
+                                <button onClick={() => { setEditingTag(tag); setEditingValue(tag); }} className="text-sm font-medium hover:text-accent">Rename</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const TrashPage = ({ entries, retentionDays, onRestore, onPurge, onEmpty, dateFormat }) => {
+    const [showEmptyConfirm, setShowEmptyConfirm] = useState(false);
+
+    const entryTitle = ({ type, record }) => {
+        if (type === 'collection') return record.name;
+        return record.title || (record.note || '').split('\n')[0] || 'Untitled';
+    };
+
+    return (
+        <div className="bg-surface rounded-lg p-6 h-full flex flex-col">
+            <div className="flex justify-between items-center mb-2">
+                <h2 className="text-2xl font-bold">Trash</h2>
+                <button
+                    onClick={() => setShowEmptyConfirm(true)}
+                    disabled={entries.length === 0}
+                    className="text-sm font-medium text-red-500 disabled:text-gray-500 hover:text-red-400 disabled:cursor-not-allowed"
+                >
+                    Empty Trash
+                </button>
+            </div>
+            <p className="text-sm text-secondary-text mb-4">
+                {retentionDays > 0
+                    ? `Items in the Trash are deleted for good after ${retentionDays} days.`
+                    : 'Items stay in the Trash until you empty it.'}
+            </p>
+            {entries.length === 0 ? (
+                <p className="text-secondary-text">The Trash is empty.</p>
+            ) : (
+                <div className="flex-1 overflow-y-auto">
+                    {entries.map(entry => (
+                        <div key={`${entry.type}-${entry.record.id}`} className="flex items-center justify-between p-2 border-b border-border-color/50 text-sm">
+                            <div className="flex items-center min-w-0">
+                                {entry.type === 'collection' && <CollectionBadge collection={entry.record} />}
+                                <span className="ml-2 truncate">{entryTitle(entry)}</span>
+                                <span className="ml-3 flex-shrink-0 text-xs text-secondary-text">
+                                    {entry.type === 'collection'
+                                        ? `Collection · ${entry.itemCount} ${entry.itemCount === 1 ? 'memory' : 'memories'}`
+                                        : entry.record.type === 'todo' ? 'To-do' : 'Memory'}
+                                    {` · deleted ${formatDate(entry.record.deletedAt, dateFormat)}`}
+                                </span>
+                            </div>
+                            <div className="flex items-center space-x-2 flex-shrink-0">
+                                <button onClick={() => onRestore(entry)} className="px-3 py-1 rounded-md bg-input hover:bg-hover text-xs font-semibold">Restore</button>
+                                <button onClick={() => onPurge(entry)} className="px-3 py-1 rounded-md hover:bg-hover text-xs font-semibold text-red-500">Delete Forever</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {showEmptyConfirm && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.5)'}}>
+                    <div className="bg-modal rounded-lg p-6 shadow-xl">
+                        <h3 className="font-semibold mb-4">Empty the Trash?</h3>
+                        <p className="text-sm text-secondary-text mb-6">Everything in the Trash will be permanently deleted.</p>
+                        <div className="flex justify-end space-x-3">
+                            <button onClick={() => setShowEmptyConfirm(false)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
+                            <button onClick={() => { onEmpty(); setShowEmptyConfirm(false); }} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-semibold">Empty Trash</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SettingsPage = ({ settings, onSave }) => {
+    const [draft, setDraft] = useState(settings);
+    const errors = validateSettings(draft);
+    const hasErrors = Object.keys(errors).length > 0;
+
+    const updateAi = (field, value) => {
+        setDraft(prev => ({ ...prev, ai: { ...prev.ai, [field]: value } }));
+    };
+
+    const updateProvider = (section, field, value) => {
+        setDraft(prev => ({ ...prev, ai: { ...prev.ai, [section]: { ...prev.ai[section], [field]: value } } }));
+    };
+
+    // An emptied number field is kept as NaN so validation reports it instead of silently saving 0.
+    const toNumber = (value) => (value === '' ? NaN : Number(value));
+
+    const inputClassName = "w-full bg-input border border-border-color rounded-md p-2 text-sm focus:outline-none focus:ring-1 focus:ring-accent disabled:opacity-50";
+    const fieldError = (path) => errors[path] && <span className="block mt-1 text-xs text-red-500">{errors[path]}</span>;
+    const aiDisabled = !draft.ai.enabled;
+    const provider = draft.ai.provider;
+
+    return (
+        <div className="bg-surface rounded-lg p-6 h-full flex flex-col overflow-y-auto">
+            <h2 className="text-2xl font-bold mb-6">Settings</h2>
+            <section className="max-w-lg space-y-4 mb-8">
+                <h3 className="text-lg font-semibold">AI Processing</h3>
+                <label className="flex items-center text-sm font-medium cursor-pointer">
+                    <input type="checkbox" checked={draft.ai.enabled} onChange={(e) => updateAi('enabled', e.target.checked)} className="mr-2 accent-accent" />
+                    Analyze notes and screenshots with AI
+                </label>
+                {aiDisabled && <p className="text-xs text-secondary-text">Notes are summarized offline and screenshots are saved without analysis.</p>}
+                <label className="block text-sm font-medium">
+                    Provider
+                    <select value={provider} disabled={aiDisabled} onChange={(e) => updateAi('provider', e.target.value)} className={`${inputClassName} mt-1`}>
+                        {Object.entries(AI_PROVIDERS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    {fieldError('ai.provider')}
+                </label>
+                {provider === 'gemini' && (
+                    <>
+                        <label className="block text-sm font-medium">
+                            API Key
+                            <input type="password" value={draft.ai.gemini.apiKey} disabled={aiDisabled} onChange={(e) => updateProvider('gemini', 'apiKey', e.target.value)} className={`${inputClassName} mt-1`} autoComplete="off" />
+                        </label>
+                        <label className="block text-sm font-medium">
+                            Model
+                            <input type="text" value={draft.ai.gemini.model} disabled={aiDisabled} onChange={(e) => updateProvider('gemini', 'model', e.target.value)} className={`${inputClassName} mt-1`} />
+                            {fieldError('ai.gemini.model')}
+                        </label>
+                    </>
+                )}
+                {provider === 'openai' && (
+                    <>
+                        <label className="block text-sm font-medium">
+                            Base URL
+                            <input type="url" value={draft.ai.openai.baseUrl} disabled={aiDisabled} onChange={(e) => updateProvider('openai', 'baseUrl', e.target.value)} className={`${inputClassName} mt-1`} placeholder="http://localhost:11434/v1" />
+                            {fieldError('ai.openai.baseUrl')}
+                        </label>
+                        <label className="block text-sm font-medium">
+                            API Key <span className="text-secondary-text">(optional for local servers)</span>
+                            <input type="password" value={draft.ai.openai.apiKey} disabled={aiDisabled} onChange={(e) => updateProvider('openai', 'apiKey', e.target.value)} className={`${inputClassName} mt-1`} autoComplete="off" />
+                        </label>
+                        <label className="block text-sm font-medium">
+                            Model
+                            <input type="text" value={draft.ai.openai.model} disabled={aiDisabled} onChange={(e) => updateProvider('openai', 'model', e.target.value)} className={`${inputClassName} mt-1`} />
+                            {fieldError('ai.openai.model')}
+                        </label>
+                    </>
+                )}
+                {provider === 'mock' && (
+                    <p className="text-sm text-secondary-text">Generates predictable titles, summaries and tags without any network access.</p>
+                )}
+                <div className="flex space-x-4">
+                    <label className="block flex-1 text-sm font-medium">
+                        Attempts per request
+                        <input type="number" min={RETRY_LIMITS.minRetries} max={RETRY_LIMITS.maxRetries} value={Number.isNaN(draft.ai.retries) ? '' : draft.ai.retries} disabled={aiDisabled} onChange={(e) => updateAi('retries', toNumber(e.target.value))} className={`${inputClassName} mt-1`} />
+                        {fieldError('ai.retries')}
+                    </label>
+                    <label className="block flex-1 text-sm font-medium">
+                        Initial backoff (ms)
+                        <input type="number" min="0" max={RETRY_LIMITS.maxDelay} step="100" value={Number.isNaN(draft.ai.retryDelay) ? '' : draft.ai.retryDelay} disabled={aiDisabled} onChange={(e) => updateAi('retryDelay', toNumber(e.target.value))} className={`${inputClassName} mt-1`} />
+                        {fieldError('ai.retryDelay')}
+                    </label>
+                </div>
+                <p className="text-xs text-secondary-text">Keys are stored only in this browser. The backoff doubles after each failed attempt.</p>
+            </section>
+            <section className="max-w-lg space-y-4 mb-8">
+                <h3 className="text-lg font-semibold">General</h3>
+                <label className="block text-sm font-medium">
+                    Date format
+                    <select value={draft.dateFormat} onChange={(e) => setDraft(prev => ({ ...prev, dateFormat: e.target.value }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(DATE_FORMATS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    {fieldError('dateFormat')}
+                </label>
+                <label className="block text-sm font-medium">
+                    Open on
+                    <select value={draft.landingPage} onChange={(e) => setDraft(prev => ({ ...prev, landingPage: e.target.value }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(LANDING_PAGES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    {fieldError('landingPage')}
+                </label>
+                <label className="block text-sm font-medium">
+                    Weeks start on
+                    <select value={draft.weekStart} onChange={(e) => setDraft(prev => ({ ...prev, weekStart: Number(e.target.value) }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(WEEK_STARTS).map(([day, label]) => <option key={day} value={day}>{label}</option>)}
+                    </select>
+                    {fieldError('weekStart')}
+                </label>
+                <label className="block text-sm font-medium">
+                    Keep deleted items in the Trash for
+                    <select value={draft.trashRetentionDays} onChange={(e) => setDraft(prev => ({ ...prev, trashRetentionDays: Number(e.target.value) }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(TRASH_RETENTION_DAYS).map(([days, label]) => <option key={days} value={days}>{label}</option>)}
+                    </select>
+                    {fieldError('trashRetentionDays')}
+                </label>
+                <label className="flex items-center text-sm font-medium cursor-pointer">
+                    <input type="checkbox" checked={draft.exportHighlightsToCalendar} onChange={(e) => setDraft(prev => ({ ...prev, exportHighlightsToCalendar: e.target.checked }))} className="mr-2 accent-accent" />
+                    Include dated highlights from memories as events in calendar exports
+                </label>
+                <label className="block text-sm font-medium">
+                    Proxy for reading links <span className="text-secondary-text">(optional)</span>
+                    <input type="url" value={draft.linkProxyUrl} onChange={(e) => setDraft(prev => ({ ...prev, linkProxyUrl: e.target.value }))} className={`${inputClassName} mt-1`} placeholder="https://proxy.example/?url=" />
+                    {fieldError('linkProxyUrl')}
+                </label>
+                <p className="text-xs text-secondary-text">Most sites don't let the app read their pages. Saved links then only get their address; with a CORS proxy (the page address is appended to it) they also get their title, description and text.</p>
+            </section>
+            <section className="max-w-lg space-y-4">
+                <h3 className="text-lg font-semibold">Screenshots</h3>
+                <p className="text-sm text-secondary-text">Images are scaled down and compressed before they are saved. Screenshots saved earlier keep their size.</p>
+                <label className="block text-sm font-medium">
+                    Maximum size (longer side)
+                    <select value={draft.images.maxSize} onChange={(e) => setDraft(prev => ({ ...prev, images: { ...prev.images, maxSize: Number(e.target.value) } }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(IMAGE_MAX_SIZES).map(([size, label]) => <option key={size} value={size}>{label}</option>)}
+                    </select>
+                    {fieldError('images.maxSize')}
+                </label>
+                <label className="block text-sm font-medium">
+                    Format
+                    <select value={draft.images.format} onChange={(e) => setDraft(prev => ({ ...prev, images: { ...prev.images, format: e.target.value } }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(IMAGE_FORMATS).map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+                    </select>
+                    {fieldError('images.format')}
+                </label>
+                <label className="block text-sm font-medium">
+                    Quality
+                    <select value={draft.images.quality} onChange={(e) => setDraft(prev => ({ ...prev, images: { ...prev.images, quality: Number(e.target.value) } }))} className={`${inputClassName} mt-1`}>
+                        {Object.entries(IMAGE_QUALITIES).map(([quality, label]) => <option key={quality} value={quality}>{label}</option>)}
+                    </select>
+                    {fieldError('images.quality')}
+                </label>
+            </section>
+            <div className="mt-6 flex items-center space-x-3">
+                <button onClick={() => onSave(draft)} disabled={hasErrors} className="bg-accent hover:bg-blue-500 text-white font-semibold px-4 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed">Save Settings</button>
+                <button onClick={() => setDraft(DEFAULT_SETTINGS)} className="px-4 py-2 rounded-lg bg-input hover:bg-hover text-sm font-semibold">Restore Defaults</button>
+            </div>
+        </div>
+    );
+};
+
+const ImportDialog = ({ archive, onImport, onClose, dateFormat }) => {
+    const [showReplaceConfirm, setShowReplaceConfirm] = useState(false);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(5px)' }}>
+            <div className="bg-modal rounded-lg p-6 shadow-xl w-full max-w-md">
+                <h3 className="font-semibold mb-2 text-lg">Import Space</h3>
+                <p className="text-sm text-secondary-text mb-6">
+                    {archive.items.length} items and {archive.collections.length} collections{archive.exportedAt ? `, exported ${formatDate(archive.exportedAt, dateFormat)}` : ''}.
+                </p>
+                {!showReplaceConfirm ? (
+                    <div className="flex justify-end space-x-3">
+                        <button onClick={onClose} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
+                        <button onClick={() => setShowReplaceConfirm(true)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-red-500 text-sm font-semibold">Replace</button>
+                        <button onClick={() => onImport('merge')} className="px-4 py-2 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold">Merge</button>
+                    </div>
+                ) : (
+                    <div>
+                        <p className="text-sm text-secondary-text mb-4">Everything currently in your space will be permanently replaced by this file.</p>
+                        <div className="flex justify-end space-x-3">
+                            <button onClick={() => setShowReplaceConfirm(false)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
+                            <button onClick={() => onImport('replace')} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-semibold">Replace Everything</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Shown instead of an empty space when stored data cannot be read or migrated,
+// so nothing is overwritten before the user has had a chance to save it.
+const RecoveryScreen = ({ error, recoveryData, onRetry, onRestoreBackup, onDownload, onReset, dateFormat }) => {
+    const [showResetConfirm, setShowResetConfirm] = useState(false);
+    const backup = recoveryData?.backup;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ backgroundColor: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(5px)' }}>
+            <div className="bg-modal rounded-lg p-6 shadow-xl w-full max-w-lg">
+                <h3 className="font-semibold mb-2 text-lg">Your Essential Space could not be loaded</h3>
+                <p className="text-sm text-secondary-text mb-4">Nothing has been deleted. Download your data before trying anything else.</p>
+                <pre className="w-full bg-input rounded-md p-2 text-xs whitespace-pre-wrap font-sans max-h-24 overflow-y-auto mb-4">{error.message}</pre>
+                {backup && (
+                    <p className="text-sm text-secondary-text mb-4">
+                        A backup from {formatDate(backup.createdAt, dateFormat)} ({backup.items.length} items, {backup.collections.length} collections) was saved before the last upgrade.
+                    </p>
+                )}
+                {!showResetConfirm ? (
+                    <div className="flex flex-wrap justify-end gap-2">
+                        <button onClick={onDownload} disabled={!recoveryData} className="px-4 py-2 rounded-md bg-accent hover:bg-blue-500 text-white text-sm font-semibold disabled:opacity-50">Download Data</button>
+                        {backup && <button onClick={onRestoreBackup} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Restore Backup</button>}
+                        <button onClick={onRetry} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Retry</button>
+                        <button onClick={() => setShowResetConfirm(true)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-red-500 text-sm font-semibold">Start Over</button>
+                    </div>
+                ) : (
+                    <div>
+                        <p className="text-sm text-secondary-text mb-4">All stored memories, to-dos and collections will be permanently deleted.</p>
+                        <div className="flex justify-end space-x-3">
+                            <button onClick={() => setShowResetConfirm(false)} className="px-4 py-2 rounded-md bg-surface hover:bg-hover text-sm font-semibold">Cancel</button>
+                            <button onClick={onReset} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm font-semibold">Delete Everything</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const defaultStorage = createStorage();
+
+// `createLinkFetcher` builds the fetcher links are read with; tests pass one that returns stub pages.
+export default function App({ storage = defaultStorage, createLinkFetcher = createHttpLinkFetcher }) {
+    const [settings, setSettings] = useState(loadSettings);
     const [items, setItems] = useState([]);
     const [collections, setCollections] = useState([]);
     const [selectedItem, setSelectedItem] = useState(null);
     const [selectedTodo, setSelectedTodo] = useState(null);
     const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
-    const [isProcessingScreenshot, setIsProcessingScreenshot] = useState(false);
-    const [activePage, setActivePage] = useState('home');
+    // Files waiting to be imported or being imported, for the progress list under Add Note.
+    const [importJobs, setImportJobs] = useState([]);
+    const [activePage, setActivePage] = useState(settings.landingPage);
     const addTodoRef = useRef(null);
     const [toast, setToast] = useState(null);
     const [datePickerState, setDatePickerState] = useState({ isOpen: false, itemId: null, anchorRef: null });
     const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+    const [subCollectionParentId, setSubCollectionParentId] = useState(null);
     const [collectionMenuState, setCollectionMenuState] = useState({ isOpen: false, collection: null, position: { top: 0, left: 0 } });
     const [isFullScreenNote, setIsFullScreenNote] = useState(false);
     const [fullScreenNoteContent, setFullScreenNoteContent] = useState('');
+    const [loadError, setLoadError] = useState(null);
+    const [loadAttempt, setLoadAttempt] = useState(0);
+    const [recoveryData, setRecoveryData] = useState(null);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const aiProvider = useMemo(() => createAiProvider(settings.ai), [settings.ai]);
+    const linkFetcher = useMemo(() => createLinkFetcher({ proxyUrl: settings.linkProxyUrl }), [createLinkFetcher, settings.linkProxyUrl]);
+    const [smartCollections, setSmartCollections] = useState([]);
+    const [memoryQuery, setMemoryQuery] = useState('');
+    const [todoQuery, setTodoQuery] = useState('');
+    // When reminders were last delivered; null until loaded. Reminders due since then are on the timer below.
+    const [remindersCheckedAt, setRemindersCheckedAt] = useState(null);
+    const [missedReminders, setMissedReminders] = useState([]);
+    // Trashed records stay in `items` and `collections` until they are purged; every view but the Trash uses these.
+    const liveItems = useMemo(() => items.filter(item => !isTrashed(item)), [items]);
+    const liveCollections = useMemo(() => collections.filter(collection => !isTrashed(collection)), [collections]);
+    const trashEntries = useMemo(() => getTrashEntries({ items, collections }), [items, collections]);
+    // What the To-Do badge counts: open to-dos that are overdue or due today.
+    const dueTodoCount = useMemo(() => {
+        const today = toISODateString(new Date());
+        return liveItems.filter(item => item.type === 'todo' && ['overdue', 'today'].includes(getTodoGroup(item, today))).length;
+    }, [liveItems]);
+    const searchIndex = useMemo(() => createSearchIndex(), []);
+    const tagCounts = useMemo(() => collectTagCounts(liveItems), [liveItems]);
+    // Syncing compares records by reference, so only the items touched by handleSave, handleUpdate,
+    // handleDelete (or an import) are re-indexed. A new `search` function tells the feeds to search again.
+    const search = useMemo(() => {
+        searchIndex.sync(liveItems);
+        return (query) => searchIndex.search(query);
+    }, [searchIndex, liveItems]);
+    const analysisQueue = useMemo(() => createAnalysisQueue(storage), [storage]);
+    const history = useMemo(() => createHistory(), []);
+    const itemsRef = useRef(items);
+    const collectionsRef = useRef(collections);
+    const settingsRef = useRef(settings);
+    const toastTimerRef = useRef(null);
+    const isAnalyzingRef = useRef(false);
+    const importQueueRef = useRef([]);
+    const isImportingRef = useRef(false);
+    const saveManyRef = useRef(null);
+    const isThumbnailingRef = useRef(false);
+    // Screenshots that couldn't be decoded aren't tried again until the next session.
+    const failedThumbnailsRef = useRef(new Set());
+
+    // Async work that outlives a render (the analysis queue, imports, loading) reads the latest state from here.
+    // Saves also update these right away, so a save that follows another before the next render builds on it.
+    useEffect(() => {
+        itemsRef.current = items;
+    }, [items]);
 
+    useEffect(() => {
+        collectionsRef.current = collections;
+    }, [collections]);
 
     useEffect(() => {
-        const items = JSON.parse(localStorage.getItem('essentialSpaceItems')||'[]');
-        items.forEach(i=>{ if(!('collectionId' in i)) i.collectionId = null });
-        localStorage.setItem('essentialSpaceItems', JSON.stringify(items));
-    }, []);
+        settingsRef.current = settings;
+    }, [settings]);
 
     useEffect(() => {
         localStorage.setItem('theme', theme);
     }, [theme]);
 
     useEffect(() => {
+        Promise.all([loadAndMigrate(storage), storage.getMeta(SMART_COLLECTIONS_KEY), storage.getMeta(REMINDERS_CHECKED_KEY)])
+            .then(([stored, storedSmartCollections, storedRemindersCheckedAt]) => {
+                // Trash past its retention period is purged on load.
+                const { trashRetentionDays } = settingsRef.current;
+                const { items: storedItems, collections: storedCollections, purged } = purgeTrash(stored, record => isTrashExpired(record, trashRetentionDays));
+                if (purged > 0) {
+                    const itemChanges = diffRecords(stored.items, storedItems);
+                    const collectionChanges = diffRecords(stored.collections, storedCollections);
+                    Promise.all([
+                        storage.putItems(itemChanges.changed),
+                        storage.deleteItems(itemChanges.removedIds),
+                        storage.putCollections(collectionChanges.changed),
+                        storage.deleteCollections(collectionChanges.removedIds),
+                    ]).catch(e => console.error("Failed to purge expired trash", e));
+                }
+                setItems(storedItems);
+                setCollections(storedCollections);
+                setSmartCollections(storedSmartCollections || []);
+                // Reminders that fell due while the app was closed couldn't be delivered, so they are listed instead.
+                const now = new Date();
+                if (storedRemindersCheckedAt) {
+                    setMissedReminders(getDueReminders(storedItems, new Date(storedRemindersCheckedAt), now).map(({ item, at }) => ({ itemId: item.id, at })));
+                }
+                setRemindersCheckedAt(now.toISOString());
+                storage.setMeta(REMINDERS_CHECKED_KEY, now.toISOString()).catch(e => console.error("Failed to store the reminder check", e));
+                setIsLoaded(true);
+            })
+            .catch((e) => {
+                console.error("Failed to load items from storage", e);
+                setLoadError(e);
+                collectRecoveryData(storage).then(setRecoveryData);
+            });
+    }, [storage, loadAttempt]);
+
+    const handleRetryLoad = () => {
+        history.clear();
+        setIsLoaded(false);
+        setLoadError(null);
+        setRecoveryData(null);
+        setLoadAttempt(attempt => attempt + 1);
+    };
+
+    const handleRestoreBackup = async () => {
         try {
-            const storedItems = JSON.parse(localStorage.getItem('essentialSpaceItems')) || [];
-            const storedCollections = JSON.parse(localStorage.getItem('essentialSpaceCollections')) || [];
-            setItems(storedItems);
-            setCollections(storedCollections);
+            await restoreBackup(storage);
+            handleRetryLoad();
         } catch (e) {
-            console.error("Failed to parse items from localStorage", e);
-            setItems([]);
-            setCollections([]);
+            console.error("Failed to restore backup", e);
+            setLoadError(e);
         }
-    }, []);
+    };
+
+    const handleResetStorage = async () => {
+        try {
+            await storage.clearAll();
+            handleRetryLoad();
+        } catch (e) {
+            console.error("Failed to reset storage", e);
+            setLoadError(e);
+        }
+    };
 
-    const saveItems = (newItems) => {
+    const handleDownloadRecoveryData = () => {
+        const blob = new Blob([JSON.stringify(recoveryData, null, 2)], { type: 'application/json' });
+        downloadFile(`essential-space-recovery-${toISODateString(new Date())}.json`, blob);
+    };
+
+    // A toast shown right after a recorded change offers to undo it.
+    const showToast = useCallback((message) => {
+        setToast({ message, canUndo: history.justRecorded() });
+        clearTimeout(toastTimerRef.current);
+        toastTimerRef.current = setTimeout(() => setToast(null), 3000);
+    }, [history]);
+
+    // Writes are fire-and-forget, so a failure (usually a full quota) is reported here instead of being lost.
+    const handleStorageError = useCallback((error) => {
+        console.error("Failed to persist changes", error);
+        showToast(error?.name === 'QuotaExceededError' ? "Storage is full, changes were not saved" : "Could not save changes");
+    }, [showToast]);
+
+    // While the recovery screen is up nothing is written, so the unreadable data stays as it was.
+    // Saves are recorded for undo unless they delete records for good (see handleEmptyTrash).
+    const saveItems = (newItems, { undoable = true } = {}) => {
+        if (loadError) return;
+        if (undoable) history.record('items', createChange(itemsRef.current, newItems));
+        const { changed, removedIds } = diffRecords(itemsRef.current, newItems);
+        itemsRef.current = newItems;
         setItems(newItems);
-        localStorage.setItem('essentialSpaceItems', JSON.stringify(newItems));
+        Promise.all([storage.putItems(changed), storage.deleteItems(removedIds)]).catch(handleStorageError);
     };
 
-    const saveCollections = (newCollections) => {
+    const saveCollections = (newCollections, { undoable = true } = {}) => {
+        if (loadError) return;
+        if (undoable) history.record('collections', createChange(collectionsRef.current, newCollections));
+        const { changed, removedIds } = diffRecords(collectionsRef.current, newCollections);
+        collectionsRef.current = newCollections;
         setCollections(newCollections);
-        localStorage.setItem('essentialSpaceCollections', JSON.stringify(newCollections));
+        Promise.all([storage.putCollections(changed), storage.deleteCollections(removedIds)]).catch(handleStorageError);
     };
 
-    const handleSave = (details, aiData) => {
-        const newItem = {
-            id: Date.now(),
+    const saveSmartCollections = (newSmartCollections) => {
+        if (loadError) return;
+        setSmartCollections(newSmartCollections);
+        storage.setMeta(SMART_COLLECTIONS_KEY, newSmartCollections).catch(handleStorageError);
+    };
+
+    // --- Reminders ---
+    const deliverReminder = useCallback(({ item }) => {
+        const body = item.deadline ? `Due ${formatDeadline(item, settingsRef.current.dateFormat)}` : '';
+        showReminderNotification({ title: item.title, body, todoId: item.id })
+            .then(shown => {
+                if (!shown) showToast(`Reminder: ${item.title}`);
+            })
+            .catch(e => {
+                console.error("Failed to show a reminder", e);
+                showToast(`Reminder: ${item.title}`);
+            });
+    }, [showToast]);
+
+    // Only the next reminder is on a timer. When it fires, everything due since the last check is delivered
+    // and the check moves forward, which schedules the one after. Edits to the to-dos reschedule it too.
+    useEffect(() => {
+        if (!remindersCheckedAt) return undefined;
+        const next = getNextReminder(liveItems, new Date(remindersCheckedAt));
+        if (!next) return undefined;
+        const timer = setTimeout(() => {
+            const now = new Date();
+            getDueReminders(liveItems, new Date(remindersCheckedAt), now).forEach(deliverReminder);
+            setRemindersCheckedAt(now.toISOString());
+            storage.setMeta(REMINDERS_CHECKED_KEY, now.toISOString()).catch(handleStorageError);
+        }, Math.min(Math.max(next.at - Date.now(), 0), MAX_TIMER_DELAY));
+        return () => clearTimeout(timer);
+    }, [liveItems, remindersCheckedAt, deliverReminder, storage, handleStorageError]);
+
+    useEffect(() => {
+        registerReminderWorker().catch(e => console.error("Failed to register the reminder service worker", e));
+    }, []);
+
+    // A clicked notification opens its to-do, in this window (via the service worker) or in a new one (via ?todo=).
+    const openTodoById = useCallback((todoId) => {
+        const todo = itemsRef.current.find(item => item.id === Number(todoId) && item.type === 'todo' && !isTrashed(item));
+        if (todo) setSelectedTodo(todo);
+    }, []);
+
+    useEffect(() => {
+        if (!('serviceWorker' in navigator)) return undefined;
+        const handleMessage = (event) => {
+            if (event.data?.type === 'open-todo') openTodoById(event.data.todoId);
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+    }, [openTodoById]);
+
+    useEffect(() => {
+        if (!isLoaded) return;
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has('todo')) return;
+        openTodoById(url.searchParams.get('todo'));
+        url.searchParams.delete('todo');
+        window.history.replaceState(null, '', url);
+    }, [isLoaded, openTodoById]);
+
+    const handleSaveSmartCollection = (name, query) => {
+        saveSmartCollections([...smartCollections, { id: Date.now(), name, query, createdAt: new Date().toISOString() }]);
+        showToast(`Saved "${name}" as a smart collection`);
+    };
+
+    const handleDeleteSmartCollection = (id) => {
+        saveSmartCollections(smartCollections.filter(smartCollection => smartCollection.id !== id));
+    };
+
+    // Queries that filter on to-dos open on the To-Do page; everything else opens in the memories feed.
+    const handleOpenSmartCollection = (smartCollection) => {
+        const isTodoQuery = parseQuery(smartCollection.query).filters.some(filter => filter.key === 'type' && filter.value === 'todo' && !filter.negated);
+        if (isTodoQuery) {
+            setTodoQuery(smartCollection.query);
+            setActivePage('todo');
+        } else {
+            setMemoryQuery(smartCollection.query);
+            setSelectedCollectionId(null);
+            setActivePage('home');
+        }
+    };
+
+    // Counts update live, since they are recomputed whenever items or collections change.
+    const smartCollectionCounts = useMemo(() => new Map(smartCollections.map(smartCollection => [
+        smartCollection.id,
+        runQuery(smartCollection.query, { items: liveItems, collections: liveCollections, search }).items.length,
+    ])), [smartCollections, liveItems, liveCollections, search]);
+
+    // Every new item goes through here, whether typed, pasted or imported. Several are saved at once
+    // (and undone at once) when an import brings them in together. Imports call it after awaiting their
+    // analysis, so it builds on the latest items rather than this render's.
+    const handleSaveMany = (entries) => {
+        const currentItems = itemsRef.current;
+        const createdAt = new Date().toISOString();
+        const allocateId = createIdAllocator(currentItems.map(item => item.id));
+        const newItems = entries.map(({ details, aiData }) => ({
+            id: allocateId(),
+            title: '',
+            summary: '',
+            extractedText: '',
+            highlights: [],
+            tags: [],
+            deadline: null,
+            analysisStatus: 'done',
+            deletedAt: null,
             ...details,
             ...aiData,
-            createdAt: new Date().toISOString(),
-            collectionId: null,
-        };
-        saveItems([...items, newItem]);
+            createdAt,
+            collectionIds: [],
+        }));
+        saveItems([...currentItems, ...newItems]);
+        newItems.filter(newItem => newItem.analysisStatus === 'pending').forEach(newItem => {
+            analysisQueue.enqueue(newItem.id).catch(handleStorageError);
+        });
+    };
+
+    const handleSave = (details, aiData) => {
+        handleSaveMany([{ details, aiData }]);
     };
 
+    // Imports save when their analysis finishes, long after the render that started them, so they call the latest handleSaveMany.
+    useEffect(() => {
+        saveManyRef.current = handleSaveMany;
+    });
+
     const handleUpdate = (updatedItem) => {
         const newItems = items.map(item => item.id === updatedItem.id ? updatedItem : item);
         saveItems(newItems);
@@ -1176,51 +2901,350 @@ export default function App() {
         }
     };
 
-    const handleDelete = (id) => {
-        const newItems = items.filter(item => item.id !== id);
+    // Re-runs AI analysis for queued items until each has been tried once in this pass. Results are merged
+    // into the latest version of the item, since it may have been edited or deleted while the request ran.
+    const processAnalysisQueue = useCallback(async () => {
+        if (!aiProvider || isAnalyzingRef.current) return;
+        if (aiProvider.requiresNetwork && !navigator.onLine) return;
+        isAnalyzingRef.current = true;
+        const attempted = new Set();
+        try {
+            let job;
+            while ((job = (await analysisQueue.list()).find(j => !attempted.has(j.itemId)))) {
+                const { itemId } = job;
+                attempted.add(itemId);
+                const item = itemsRef.current.find(i => i.id === itemId);
+                if (!item) {
+                    await analysisQueue.complete(itemId);
+                    continue;
+                }
+                try {
+                    const aiData = await analyzeContent(await getAnalysisDetails(storage, item), aiProvider);
+                    const latest = itemsRef.current.find(i => i.id === itemId);
+                    if (latest) {
+                        // A link keeps its page's title.
+                        const updated = { ...latest, ...aiData, ...(latest.type === 'link' ? { title: latest.title } : {}), analysisStatus: 'done' };
+                        itemsRef.current = itemsRef.current.map(i => (i.id === itemId ? updated : i));
+                        setItems(prev => prev.map(i => i.id === itemId ? updated : i));
+                        setSelectedItem(prev => prev && prev.id === itemId ? updated : prev);
+                        storage.putItems([updated]).catch(handleStorageError);
+                    }
+                    await analysisQueue.complete(itemId);
+                } catch (error) {
+                    console.warn(`Analysis of item ${itemId} failed again.`, error.message);
+                    await analysisQueue.fail(itemId, error);
+                }
+            }
+        } catch (error) {
+            console.error("Failed to process the analysis queue", error);
+        } finally {
+            isAnalyzingRef.current = false;
+        }
+    }, [aiProvider, analysisQueue, storage, handleStorageError]);
+
+    // Picks up jobs left from an earlier session (or a changed provider), and retries whenever the connection comes back.
+    useEffect(() => {
+        if (!isLoaded) return;
+        analysisQueue.reconcile(itemsRef.current)
+            .then(() => processAnalysisQueue())
+            .catch(handleStorageError);
+    }, [isLoaded, analysisQueue, processAnalysisQueue, handleStorageError]);
+
+    useEffect(() => {
+        window.addEventListener('online', processAnalysisQueue);
+        return () => window.removeEventListener('online', processAnalysisQueue);
+    }, [processAnalysisQueue]);
+
+    // Undo and redo write the recorded records back directly, so they aren't recorded again. They read the
+    // latest state from refs because they also run from the keyboard shortcut listener. A restored item may
+    // still be pending analysis whose job has long finished, so pending items are queued again.
+    const applyHistory = useCallback((direction) => {
+        if (loadError) return false;
+        const entry = direction === 'undo' ? history.undo() : history.redo();
+        if (!entry) return false;
+        const newItems = applyChange(itemsRef.current, entry.items, direction);
+        const newCollections = applyChange(collectionsRef.current, entry.collections, direction);
+        const itemChanges = diffRecords(itemsRef.current, newItems);
+        const collectionChanges = diffRecords(collectionsRef.current, newCollections);
+        itemsRef.current = newItems;
+        collectionsRef.current = newCollections;
+        setItems(newItems);
+        setCollections(newCollections);
+        const findLive = (prev) => prev && (newItems.find(i => i.id === prev.id && !isTrashed(i)) || null);
+        setSelectedItem(findLive);
+        setSelectedTodo(findLive);
+        Promise.all([
+            storage.putItems(itemChanges.changed),
+            storage.deleteItems(itemChanges.removedIds),
+            storage.putCollections(collectionChanges.changed),
+            storage.deleteCollections(collectionChanges.removedIds),
+        ]).catch(handleStorageError);
+        const pendingIds = itemChanges.changed.filter(item => item.analysisStatus === 'pending').map(item => item.id);
+        if (pendingIds.length > 0) {
+            Promise.all(pendingIds.map(id => analysisQueue.enqueue(id)))
+                .then(() => processAnalysisQueue())
+                .catch(handleStorageError);
+        }
+        return true;
+    }, [loadError, history, storage, analysisQueue, processAnalysisQueue, handleStorageError]);
+
+    const handleUndo = useCallback(() => {
+        showToast(applyHistory('undo') ? "Undone" : "Nothing to undo");
+    }, [applyHistory, showToast]);
+
+    const handleRedo = useCallback(() => {
+        showToast(applyHistory('redo') ? "Redone" : "Nothing to redo");
+    }, [applyHistory, showToast]);
+
+    // Ctrl/Cmd+Z undoes and Shift+Ctrl/Cmd+Z redoes; text fields keep their own undo.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                handleRedo();
+            } else {
+                handleUndo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [handleUndo, handleRedo]);
+
+    // Screenshots saved before thumbnails existed, or imported from an archive, get one in the background.
+    // Like analysis results, each thumbnail is merged into the latest version of its item and isn't undoable.
+    const createMissingThumbnails = useCallback(async () => {
+        if (isThumbnailingRef.current) return;
+        isThumbnailingRef.current = true;
+        const needsThumbnail = (item) => item.imageData && !item.thumbnail && !failedThumbnailsRef.current.has(item.id);
+        try {
+            let item;
+            while ((item = itemsRef.current.find(needsThumbnail))) {
+                const { id, imageData } = item;
+                try {
+                    const thumbnail = await createThumbnail(imageData, settingsRef.current.images.format);
+                    const latest = itemsRef.current.find(i => i.id === id);
+                    if (latest && latest.imageData === imageData) {
+                        const updated = { ...latest, thumbnail };
+                        itemsRef.current = itemsRef.current.map(i => (i.id === id ? updated : i));
+                        setItems(prev => prev.map(i => (i.id === id ? updated : i)));
+                        storage.putItems([updated]).catch(handleStorageError);
+                    }
+                } catch (error) {
+                    console.warn(`Could not create a thumbnail for item ${id}.`, error.message);
+                    failedThumbnailsRef.current.add(id);
+                }
+            }
+        } finally {
+            isThumbnailingRef.current = false;
+        }
+    }, [storage, handleStorageError]);
+
+    useEffect(() => {
+        if (isLoaded) createMissingThumbnails();
+    }, [isLoaded, items, createMissingThumbnails]);
+
+    const handleReanalyze = (item) => {
+        if (!aiProvider) {
+            showToast("Turn on AI processing in Settings to re-analyze");
+            return;
+        }
+        handleUpdate({ ...item, analysisStatus: 'pending' });
+        analysisQueue.enqueue(item.id)
+            .then(() => processAnalysisQueue())
+            .catch(handleStorageError);
+        showToast(aiProvider.requiresNetwork && !navigator.onLine ? "Queued until you're back online" : "Re-analyzing...");
+    };
+
+    // Renaming several tags to one name merges them.
+    const handleRenameTags = (fromTags, toTag) => {
+        const { items: newItems, changed } = renameTags(items, fromTags, toTag);
+        if (changed === 0) return;
         saveItems(newItems);
+        showToast(fromTags.length > 1
+            ? `Merged ${fromTags.length} tags into "${normalizeTag(toTag)}"`
+            : `Renamed "${fromTags[0]}" to "${normalizeTag(toTag)}" on ${changed} ${changed === 1 ? 'item' : 'items'}`);
+    };
+
+    const handleDelete = (id) => {
+        saveItems(trashItems(items, [id]));
         setSelectedItem(null);
+        showToast("Moved to Trash");
     };
 
-    const handleToggleTodo = (itemId, lineIndex) => {
+    const handleDeleteItems = (ids) => {
+        saveItems(trashItems(items, ids));
+        showToast(`${ids.length} ${ids.length === 1 ? 'item' : 'items'} moved to Trash`);
+    };
+
+    // A bulk action is one save, so one undo reverts it for every selected to-do. Completing recurring
+    // to-dos creates their next occurrences, as ticking them off one by one does.
+    const handleBulkUpdateTodos = (ids, action) => {
+        const idSet = new Set(ids);
+        const now = new Date();
+        const allocateId = createIdAllocator(items.map(item => item.id));
+        const nextOccurrences = [];
+        let count = 0;
         const newItems = items.map(item => {
-            if (item.id === itemId && item.type === 'todo') {
-                let lines = item.note.split('\n');
-                if (lines[lineIndex]) {
-                    const isChecked = lines[lineIndex].includes('[x]') || lines[lineIndex].includes('[X]');
-                    lines[lineIndex] = isChecked ? lines[lineIndex].replace(/\[x\]/i, '[ ]') : lines[lineIndex].replace(/\[ \]/, '[x]');
-                    return { ...item, note: lines.join('\n') };
-                }
-            }
-            return item;
+            if (!idSet.has(item.id) || item.type !== 'todo') return item;
+            const updated = applyTaskAction(item, action, now);
+            if (updated === item) return item;
+            count++;
+            const next = action.type === 'done' && action.done ? createNextOccurrence(item, toISODateString(now)) : null;
+            if (!next) return updated;
+            nextOccurrences.push({ ...next, id: allocateId(), createdAt: now.toISOString() });
+            return { ...updated, repeat: null };
         });
-        saveItems(newItems);
+        if (count === 0) {
+            showToast("Nothing to change");
+            return;
+        }
+        saveItems([...newItems, ...nextOccurrences]);
+        const todos = `${count} ${count === 1 ? 'to-do' : 'to-dos'}`;
+        const target = action.type === 'collection' && collections.find(c => c.id === action.collectionId);
+        const messages = {
+            done: () => `${todos} marked ${action.done ? 'done' : 'not done'}`,
+            deadline: () => (action.deadline ? `${todos} due ${formatDueDate(action.deadline, settings.dateFormat)}` : `Deadline cleared for ${todos}`),
+            shift: () => `${todos} moved ${Math.abs(action.days)} ${Math.abs(action.days) === 1 ? 'day' : 'days'} ${action.days > 0 ? 'later' : 'earlier'}`,
+            collection: () => (target ? `${todos} moved to ${target.name}` : `${todos} removed from their collections`),
+            priority: () => `${todos} set to P${action.priority}`,
+        };
+        showToast(messages[action.type]());
     };
 
-    const handlePaste = useCallback(async (event) => {
-        const imageItem = Array.from(event.clipboardData.items).find(item => item.type.startsWith('image/'));
-        if (imageItem) {
-            event.preventDefault();
-            setIsProcessingScreenshot(true);
-            const file = imageItem.getAsFile();
-            if (!file) {
-                setIsProcessingScreenshot(false);
-                return;
-            }
+    const handleRestoreFromTrash = (entry) => {
+        const result = restoreFromTrash({ items, collections }, entry.type === 'collection' ? { collectionIds: [entry.record.id] } : { itemIds: [entry.record.id] });
+        saveCollections(result.collections);
+        saveItems(result.items);
+        showToast(entry.type === 'collection' ? `${entry.record.name} restored` : "Memory restored");
+    };
+
+    const handlePurgeFromTrash = (entry) => {
+        const batch = entry.type === 'collection'
+            ? getTrashedWith({ items, collections }, entry.record.id)
+            : { collectionIds: new Set(), itemIds: new Set([entry.record.id]) };
+        const result = purgeTrash({ items, collections }, (record, kind) => (kind === 'collection' ? batch.collectionIds : batch.itemIds).has(record.id));
+        saveCollections(result.collections, { undoable: false });
+        saveItems(result.items, { undoable: false });
+        history.clear();
+        showToast("Deleted forever");
+    };
+
+    const handleEmptyTrash = () => {
+        // Purged screenshots are gone from storage, so older history entries could no longer bring them back.
+        const result = purgeTrash({ items, collections });
+        saveCollections(result.collections, { undoable: false });
+        saveItems(result.items, { undoable: false });
+        history.clear();
+        showToast(`Trash emptied, ${result.purged} ${result.purged === 1 ? 'record' : 'records'} deleted`);
+    };
+
+    // Without a subtask id the to-do itself is ticked on or off. Completing a recurring to-do creates its
+    // next occurrence, which takes over the repeat rule so unticking and ticking again doesn't add another.
+    const handleToggleTodo = (itemId, subtaskId = null) => {
+        const item = items.find(i => i.id === itemId && i.type === 'todo');
+        if (!item) return;
+        const toggled = toggleTask(item, subtaskId);
+        const next = subtaskId === null && isTodoDone(toggled) ? createNextOccurrence(item, toISODateString(new Date())) : null;
+        if (!next) {
+            handleUpdate(toggled);
+            return;
+        }
+        const completed = { ...toggled, repeat: null };
+        const allocateId = createIdAllocator(items.map(i => i.id));
+        saveItems([...items.map(i => (i.id === itemId ? completed : i)), { ...next, id: allocateId(), createdAt: new Date().toISOString() }]);
+        setSelectedTodo(prev => (prev && prev.id === itemId ? completed : prev));
+        showToast(`Next one due ${formatDueDate(next.deadline, settings.dateFormat)}`);
+    };
 
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                const imageData = e.target.result;
-                const aiData = await processContent({ imageData });
-                handleSave({ imageData, type: 'memory' }, aiData);
-                setIsProcessingScreenshot(false);
-            };
-            reader.onerror = () => {
-                setIsProcessingScreenshot(false);
+    // --- File Import ---
+    // Dropped, picked and pasted files, and links, are imported one at a time, each saved as soon as it is analyzed.
+    const processImportQueue = useCallback(async () => {
+        if (isImportingRef.current) return;
+        isImportingRef.current = true;
+        const updateJob = (id, changes) => setImportJobs(prev => prev.map(job => (job.id === id ? { ...job, ...changes } : job)));
+        let imported = 0;
+        const failed = [];
+        try {
+            let job;
+            while ((job = importQueueRef.current.shift())) {
+                const { id, file, url, name } = job;
+                updateJob(id, { status: 'processing', progress: url ? 'Reading page' : 'Reading' });
+                try {
+                    if (url) {
+                        // Read the ref after the await: one taken before it may belong to a render older than the last save.
+                        const entry = await processLink(url, linkFetcher, aiProvider);
+                        saveManyRef.current([entry]);
+                    } else {
+                        let details = await readImportFile(file, (page, pageCount) => updateJob(id, { progress: `Page ${page} of ${pageCount}` }));
+                        if (details.imageData) {
+                            updateJob(id, { progress: 'Compressing' });
+                            details = await compressImage(details.imageData, settingsRef.current.images);
+                        }
+                        updateJob(id, { progress: 'Analyzing' });
+                        const aiData = await processContent(details, aiProvider);
+                        saveManyRef.current([{ details: { ...details, type: 'memory' }, aiData }]);
+                    }
+                    updateJob(id, { status: 'done' });
+                    imported++;
+                } catch (error) {
+                    console.warn(`Importing ${name} failed.`, error);
+                    failed.push(`${name} (${error.message})`);
+                    updateJob(id, { status: 'failed' });
+                }
             }
-            reader.readAsDataURL(file);
+        } finally {
+            isImportingRef.current = false;
+        }
+        setImportJobs([]);
+        if (failed.length > 0) {
+            showToast(`Imported ${imported} of ${imported + failed.length} files. Failed: ${failed.join(', ')}`);
+        } else if (imported > 1) {
+            showToast(`Imported ${imported} files`);
+        }
+    }, [aiProvider, linkFetcher, showToast]);
+
+    const enqueueImports = useCallback((jobs) => {
+        importQueueRef.current.push(...jobs);
+        setImportJobs(prev => [...prev, ...jobs]);
+        processImportQueue();
+    }, [processImportQueue]);
+
+    const handleImportFiles = useCallback((fileList) => {
+        const files = Array.from(fileList);
+        const supported = files.filter(file => getFileKind(file));
+        if (supported.length < files.length) {
+            showToast(`Skipped ${files.length - supported.length} unsupported ${files.length - supported.length === 1 ? 'file' : 'files'}`);
+        }
+        if (supported.length === 0) return;
+        enqueueImports(supported.map((file, index) => ({ id: `${Date.now()}-${index}`, file, name: file.name || 'Pasted image', status: 'queued', progress: '' })));
+    }, [enqueueImports, showToast]);
+
+    const handleSaveLink = useCallback((text) => {
+        const url = normalizeUrl(text);
+        enqueueImports([{ id: `${Date.now()}-link`, url, name: url, status: 'queued', progress: '' }]);
+    }, [enqueueImports]);
+
+    // Pasted text goes into whatever is focused as usual; only pasted files (e.g. a screenshot) are imported,
+    // and a link pasted while no text field has focus is saved.
+    const handlePaste = useCallback((event) => {
+        const files = Array.from(event.clipboardData.items)
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(file => file && getFileKind(file));
+        if (files.length > 0) {
+            event.preventDefault();
+            handleImportFiles(files);
+            return;
         }
-    }, [items]); 
+        const text = event.clipboardData.getData('text/plain');
+        const isEditable = event.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+        if (!isEditable && isUrl(text)) {
+            event.preventDefault();
+            handleSaveLink(text);
+        }
+    }, [handleImportFiles, handleSaveLink]);
 
     useEffect(() => {
         window.addEventListener('paste', handlePaste);
@@ -1231,39 +3255,102 @@ export default function App() {
         setTheme(prevTheme => prevTheme === 'dark' ? 'light' : 'dark');
     };
 
-    const showToast = (message) => {
-        setToast(message);
-        setTimeout(() => setToast(null), 3000);
+    const handleSaveCollection = (collection) => {
+        saveCollections([...collections, {
+            color: null,
+            icon: null,
+            pinned: false,
+            sortOrder: nextSortOrder(collections, collection.parentId),
+            deletedAt: null,
+            ...collection,
+        }]);
+        showToast(collection.parentId === null ? "Collection created" : "Sub-collection created");
     };
 
-    const handleSaveCollection = (collection) => {
-        saveCollections([...collections, collection]);
-        showToast("Collection created");
+    const handleUpdateCollection = (updatedCollection) => {
+        saveCollections(collections.map(c => c.id === updatedCollection.id ? updatedCollection : c));
+        showToast("Collection updated");
     };
 
+    const handleTogglePinCollection = (id) => {
+        const collection = collections.find(c => c.id === id);
+        saveCollections(collections.map(c => c.id === id ? { ...c, pinned: !c.pinned } : c));
+        showToast(collection.pinned ? `${collection.name} unpinned` : `${collection.name} pinned`);
+    };
+
+    // Deleting a collection moves its whole subtree to the trash: every sub-collection and every memory
+    // filed only in those collections. Memories that also belong to a collection outside the subtree stay.
     const handleDeleteCollection = (id) => {
-        const newCollections = collections.filter(c => c.id !== id);
-        const newItems = items.filter(i => i.collectionId !== id);
-        saveCollections(newCollections);
-        saveItems(newItems);
-        showToast("Collection deleted & memories removed");
+        const deletedIds = getDescendantIds(collections, id);
+        const result = trashCollection({ items, collections }, id);
+        saveCollections(result.collections);
+        saveItems(result.items);
+        if (deletedIds.has(selectedCollectionId)) {
+            setSelectedCollectionId(null);
+        }
+        showToast(result.trashedCollections > 1 || result.trashedItems > 0
+            ? `Collection and ${result.trashedItems} ${result.trashedItems === 1 ? 'memory' : 'memories'} moved to Trash`
+            : "Collection moved to Trash");
     };
 
+    // Removing a collection keeps its contents: its sub-collections and memories move up to its parent
+    // (a removed top-level collection leaves them at the top level and unfiled).
     const handleRemoveCollection = (id) => {
-        const newCollections = collections.filter(c => c.id !== id);
-        const newItems = items.map(i => i.collectionId === id ? { ...i, collectionId: null } : i);
+        const removed = collections.find(c => c.id === id);
+        const parentId = removed ? removed.parentId : null;
+        const newCollections = collections.filter(c => c.id !== id).map(c => c.parentId === id ? { ...c, parentId } : c);
+        const newItems = items.map(i => {
+            if (!i.collectionIds.includes(id)) return i;
+            const collectionIds = i.collectionIds.filter(collectionId => collectionId !== id);
+            return { ...i, collectionIds: parentId === null || collectionIds.includes(parentId) ? collectionIds : [...collectionIds, parentId] };
+        });
         saveCollections(newCollections);
         saveItems(newItems);
+        if (selectedCollectionId === id) {
+            setSelectedCollectionId(parentId);
+        }
         showToast("Collection removed");
     };
 
-    const handleDropOnCollection = (itemId, collectionId) => {
-        const newItems = items.map(i => i.id === parseInt(itemId) ? { ...i, collectionId } : i);
-        saveItems(newItems);
-        const collection = collections.find(c => c.id === collectionId);
-        showToast(`Memory moved to ${collection.name}`);
+    // Drag data is a memory id, or "collection:<id>" when a collection is dragged to nest it
+    // ('inside') or reorder it next to the target ('before'/'after').
+    // Dropping a memory on a collection adds it there, keeping its other collections; dropping it
+    // on the top level (a null collectionId) takes it out of every collection.
+    const handleDropOnCollection = (dragData, collectionId, position = 'inside') => {
+        const target = collections.find(c => c.id === collectionId);
+        if (dragData.startsWith('collection:')) {
+            const id = parseInt(dragData.slice('collection:'.length));
+            const collection = collections.find(c => c.id === id);
+            if (!collection || id === collectionId || (position === 'inside' && collection.parentId === collectionId)) return;
+            const newCollections = moveCollection(collections, id, collectionId, position);
+            if (!newCollections) {
+                showToast("A collection can't be moved into itself");
+                return;
+            }
+            saveCollections(newCollections);
+            if (position === 'inside') {
+                showToast(target ? `${collection.name} moved into ${target.name}` : `${collection.name} moved to the top level`);
+            }
+            return;
+        }
+        const item = items.find(i => i.id === parseInt(dragData));
+        if (!item) return;
+        if (target && item.collectionIds.includes(collectionId)) {
+            showToast(`Memory is already in ${target.name}`);
+            return;
+        }
+        handleUpdate({ ...item, collectionIds: target ? [...item.collectionIds, collectionId] : [] });
+        showToast(target ? `Memory added to ${target.name}` : "Memory removed from its collections");
     };
     
+    // Dropping a to-do on a calendar day moves its deadline there; its due time and reminders stay as they were.
+    const handleRescheduleTodo = (itemId, date) => {
+        const item = items.find(i => i.id === itemId && i.type === 'todo');
+        if (!item || item.deadline === date) return;
+        handleUpdate({ ...item, deadline: date });
+        showToast(`Moved to ${formatDueDate(date, settings.dateFormat)}`);
+    };
+
     const handleShowDatePicker = (itemId, anchorRef) => {
         setDatePickerState({ isOpen: true, itemId, anchorRef });
     };
@@ -1286,6 +3373,93 @@ export default function App() {
         setCollectionMenuState({ isOpen: false, collection: null, position: { top: 0, left: 0 } });
     };
 
+    const handleExport = async () => {
+        try {
+            const archive = await createArchive(storage, { items, collections, theme });
+            const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+            downloadFile(`essential-space-${toISODateString(new Date())}.json`, blob);
+        } catch (e) {
+            console.error("Failed to export space", e);
+            showToast("Export failed");
+        }
+    };
+
+    const handleExportMarkdown = async () => {
+        try {
+            const zip = await createMarkdownVault(storage, { items: liveItems, collections: liveCollections });
+            downloadFile(`essential-space-vault-${toISODateString(new Date())}.zip`, zip);
+        } catch (e) {
+            console.error("Failed to export Markdown vault", e);
+            showToast("Export failed");
+        }
+    };
+
+    const handleExportCalendar = () => {
+        const calendar = createCalendar(items, { includeHighlights: settings.exportHighlightsToCalendar });
+        if (calendar.todos + calendar.events === 0) {
+            showToast("No dated to-dos to export");
+            return;
+        }
+        downloadFile(`essential-space-${toISODateString(new Date())}.ics`, new Blob([calendar.text], { type: 'text/calendar' }));
+    };
+
+    // Entries whose UID the space already has (including exports of its own to-dos) are skipped.
+    const handleImportCalendar = async (file) => {
+        try {
+            const todos = parseCalendar(await file.text());
+            const knownUids = collectCalendarUids(itemsRef.current);
+            const newTodos = todos.filter(todo => !todo.icsUid || !knownUids.has(todo.icsUid))
+                .filter((todo, index, list) => !todo.icsUid || list.findIndex(other => other.icsUid === todo.icsUid) === index);
+            if (newTodos.length > 0) {
+                handleSaveMany(newTodos.map(todo => ({ details: todo })));
+            }
+            const skipped = todos.length - newTodos.length;
+            showToast(skipped > 0 ? `Imported ${newTodos.length} to-dos, ${skipped} already present` : `Imported ${newTodos.length} to-dos`);
+        } catch (e) {
+            console.error("Failed to read calendar file", e);
+            showToast(e.message);
+        }
+    };
+
+    const handleImportFile = async (file) => {
+        try {
+            setPendingImport(parseArchive(await file.text()));
+        } catch (e) {
+            console.error("Failed to read import file", e);
+            showToast(e.message);
+        }
+    };
+
+    const handleConfirmImport = (mode) => {
+        const result = combineArchive({ items, collections }, pendingImport, mode);
+        // Replacing deletes the current screenshots, so only a merge can be undone.
+        const undoable = mode !== 'replace';
+        saveCollections(result.collections, { undoable });
+        saveItems(result.items, { undoable });
+        if (!undoable) {
+            history.clear();
+        }
+        if (mode === 'replace' && pendingImport.theme) {
+            setTheme(pendingImport.theme);
+        }
+        setSelectedCollectionId(null);
+        setPendingImport(null);
+        showToast(result.skipped > 0 ? `Imported ${result.added} items, ${result.skipped} already present` : `Imported ${result.added} items`);
+    };
+
+    // A shorter retention period applies right away instead of at the next load.
+    const handleSaveSettings = (newSettings) => {
+        setSettings(newSettings);
+        saveSettings(newSettings);
+        const result = purgeTrash({ items, collections }, record => isTrashExpired(record, newSettings.trashRetentionDays));
+        if (result.purged > 0) {
+            saveCollections(result.collections, { undoable: false });
+            saveItems(result.items, { undoable: false });
+            history.clear();
+        }
+        showToast("Settings saved");
+    };
+
     const handleFullScreenNote = (note) => {
         setFullScreenNoteContent(note);
         setIsFullScreenNote(true);
@@ -1355,6 +3529,12 @@ export default function App() {
             .calendar-day:hover { background-color: var(--hover); }
             .calendar-day.selected { background-color: var(--accent); color: white; }
             .calendar-day.today { box-shadow: inset 0 0 0 1px var(--accent); }
+            .calendar-day.drag-over { background-color: var(--hover); box-shadow: inset 0 0 0 2px var(--accent); }
+            .file-drop.drag-over { box-shadow: inset 0 0 0 2px var(--accent); }
+            .card.link-card { border-left: 4px solid var(--accent); }
+            .calendar-count { display: block; font-size: 0.6rem; line-height: 1; font-weight: 600; color: var(--accent); }
+            .calendar-count.overdue { color: #ef4444; }
+            .calendar-day.selected .calendar-count { color: white; }
             .processing-spinner {
                 width: 24px;
                 height: 24px;
@@ -1397,6 +3577,9 @@ export default function App() {
                 border-radius: 5px;
                 z-index: 100;
             }
+            .toast span, .toast button {
+                color: white;
+            }
             .truncate-2-words {
                 overflow: hidden;
                 text-overflow: ellipsis;
@@ -1405,6 +3588,11 @@ export default function App() {
                 -webkit-box-orient: vertical;
                 word-break: break-all;
             }
+            .search-match {
+                background-color: rgba(59, 130, 246, 0.35);
+                color: inherit;
+                border-radius: 2px;
+            }
             .collection-item.bg-accent, .collection-item:hover {
                 background-color: var(--accent);
             }
@@ -1418,53 +3606,92 @@ export default function App() {
                 toggleTheme={toggleTheme} 
                 activePage={activePage} 
                 setActivePage={setActivePage} 
-                collections={collections}
+                dueTodoCount={dueTodoCount}
+                trashCount={trashEntries.length}
+                collections={liveCollections}
                 onSaveCollection={handleSaveCollection}
                 onOpenCollectionMenu={handleOpenCollectionMenu}
                 onDropOnCollection={handleDropOnCollection}
                 setSelectedCollectionId={setSelectedCollectionId}
+                subCollectionParentId={subCollectionParentId}
+                onCloseSubCollectionInput={() => setSubCollectionParentId(null)}
+                smartCollections={smartCollections}
+                smartCollectionCounts={smartCollectionCounts}
+                onOpenSmartCollection={handleOpenSmartCollection}
+                onDeleteSmartCollection={handleDeleteSmartCollection}
+                onExport={handleExport}
+                onExportMarkdown={handleExportMarkdown}
+                onExportCalendar={handleExportCalendar}
+                onImport={handleImportFile}
+                onImportCalendar={handleImportCalendar}
             />
             <main className="flex-1 flex flex-col overflow-y-auto p-6 space-y-6">
                 {activePage === 'home' || activePage === 'collection' ? (
                     <>
-                        <AddNote onSave={handleSave} isProcessingScreenshot={isProcessingScreenshot} onFullScreen={handleFullScreenNote} />
-                        <AddTodo ref={addTodoRef} onSave={handleSave} items={items} onToggle={handleToggleTodo} onSelectTodo={setSelectedTodo} onShowDatePicker={handleShowDatePicker} />
-                        <MemoriesFeed items={items} onSelect={setSelectedItem} selectedCollectionId={selectedCollectionId} />
+                        <AddNote onSave={handleSave} onSaveLink={handleSaveLink} importJobs={importJobs} onImportFiles={handleImportFiles} onFullScreen={handleFullScreenNote} aiProvider={aiProvider} />
+                        <AddTodo ref={addTodoRef} onSave={handleSave} items={liveItems} onToggle={handleToggleTodo} onSelectTodo={setSelectedTodo} onShowDatePicker={handleShowDatePicker} dateFormat={settings.dateFormat} weekStart={settings.weekStart} />
+                        <MemoriesFeed items={liveItems} collections={liveCollections} search={search} query={memoryQuery} onQueryChange={setMemoryQuery} onSaveQuery={handleSaveSmartCollection} onSelect={setSelectedItem} selectedCollectionId={selectedCollectionId} onSelectCollection={setSelectedCollectionId} dateFormat={settings.dateFormat} />
                     </>
                 ) : null}
                 {activePage === 'todo' && (
-                    <TodoPage items={items} onToggle={handleToggleTodo} onSelectTodo={setSelectedTodo} saveItems={saveItems} onShowDatePicker={handleShowDatePicker} />
+                    <TodoPage items={liveItems} collections={liveCollections} search={search} query={todoQuery} onQueryChange={setTodoQuery} onSaveQuery={handleSaveSmartCollection} onToggle={handleToggleTodo} onSelectTodo={setSelectedTodo} onDeleteItems={handleDeleteItems} onBulkUpdate={handleBulkUpdateTodos} onShowDatePicker={handleShowDatePicker} dateFormat={settings.dateFormat} weekStart={settings.weekStart} />
+                )}
+                {activePage === 'tags' && (
+                    <TagManager tagCounts={tagCounts} onRenameTags={handleRenameTags} />
+                )}
+                {activePage === 'trash' && (
+                    <TrashPage entries={trashEntries} retentionDays={settings.trashRetentionDays} onRestore={handleRestoreFromTrash} onPurge={handlePurgeFromTrash} onEmpty={handleEmptyTrash} dateFormat={settings.dateFormat} />
+                )}
+                {activePage === 'settings' && (
+                    <SettingsPage settings={settings} onSave={handleSaveSettings} />
                 )}
             </main>
             <RightSidebar 
-                items={items} 
+                items={liveItems} 
                 onToggle={handleToggleTodo}
                 onAddTaskFromCalendar={(date) => addTodoRef.current?.setFocusAndDate(date)} 
                 onSelectTodo={setSelectedTodo}
+                onReschedule={handleRescheduleTodo}
+                dateFormat={settings.dateFormat}
+                weekStart={settings.weekStart}
             />
             {selectedItem && <Modal 
                 item={selectedItem} 
+                collections={liveCollections}
+                tagCounts={tagCounts}
                 onClose={() => setSelectedItem(null)} 
                 onUpdate={handleUpdate} 
                 onDelete={handleDelete}
                 onSaveTodo={handleSave}
+                onReanalyze={handleReanalyze}
+                dateFormat={settings.dateFormat}
+                weekStart={settings.weekStart}
             />}
             {selectedTodo && <TodoDetailModal
+                key={selectedTodo.id}
                 item={selectedTodo}
+                sourceItem={liveItems.find(i => i.id === selectedTodo.sourceItemId)}
+                onOpenSource={(source) => { setSelectedTodo(null); setSelectedItem(source); }}
                 onClose={() => setSelectedTodo(null)}
                 onUpdate={handleUpdate}
+                dateFormat={settings.dateFormat}
+                weekStart={settings.weekStart}
             />}
             {datePickerState.isOpen && (
                 <DatePickerWidget
                     anchorRef={datePickerState.anchorRef}
                     onSelect={handleDateSelect}
                     close={() => setDatePickerState({ isOpen: false, itemId: null, anchorRef: null })}
+                    weekStart={settings.weekStart}
                 />
             )}
             {collectionMenuState.isOpen && (
                 <CollectionMenu
                     collection={collectionMenuState.collection}
                     onClose={handleCloseCollectionMenu}
+                    onAddChild={setSubCollectionParentId}
+                    onUpdate={handleUpdateCollection}
+                    onTogglePin={handleTogglePinCollection}
                     onRemove={handleRemoveCollection}
                     onDelete={handleDeleteCollection}
                     position={collectionMenuState.position}
@@ -1475,21 +3702,76 @@ export default function App() {
                     initialNote={fullScreenNoteContent}
                     onSave={handleSave}
                     onClose={() => setIsFullScreenNote(false)}
+                    aiProvider={aiProvider}
+                />
+            )}
+            {pendingImport && (
+                <ImportDialog
+                    archive={pendingImport}
+                    onImport={handleConfirmImport}
+                    onClose={() => setPendingImport(null)}
+                    dateFormat={settings.dateFormat}
+                />
+            )}
+            {missedReminders.length > 0 && (
+                <MissedRemindersDialog
+                    reminders={missedReminders}
+                    items={liveItems}
+                    onOpen={(item) => { setMissedReminders([]); setSelectedTodo(item); }}
+                    onDismiss={() => setMissedReminders([])}
+                    dateFormat={settings.dateFormat}
+                />
+            )}
+            {toast && (
+                <div className="toast flex items-center space-x-4">
+                    <span>{toast.message}</span>
+                    {toast.canUndo && <button onClick={handleUndo} className="font-semibold underline">Undo</button>}
+                </div>
+            )}
+            {loadError && (
+                <RecoveryScreen
+                    error={loadError}
+                    recoveryData={recoveryData}
+                    onRetry={handleRetryLoad}
+                    onRestoreBackup={handleRestoreBackup}
+                    onDownload={handleDownloadRecoveryData}
+                    onReset={handleResetStorage}
+                    dateFormat={settings.dateFormat}
                 />
             )}
-            {toast && <div className="toast">{toast}</div>}
         </div>
         </>
     );
 }
 
-const TodoPage = ({ items, onToggle, onSelectTodo, saveItems, onShowDatePicker }) => {
+const TodoPage = ({ items, collections, search, query, onQueryChange, onSaveQuery, onToggle, onSelectTodo, onDeleteItems, onBulkUpdate, onShowDatePicker, dateFormat, weekStart }) => {
     const [selectedTodos, setSelectedTodos] = useState([]);
-    const todos = items.filter(item => item.type === 'todo');
+    const [groupSorts, setGroupSorts] = useState(() => Object.fromEntries(TODO_GROUPS.map(group => [group.id, group.sortBy])));
+    const [collapsedGroups, setCollapsedGroups] = useState(['completed']);
+    const [isBulkDatePickerOpen, setIsBulkDatePickerOpen] = useState(false);
+    const [shiftDays, setShiftDays] = useState('1');
+    const result = useMemo(() => (query.trim() ? runQuery(query, { items, collections, search }) : null), [items, collections, search, query]);
+    const matchedTerms = result ? result.terms : new Map();
+    const todos = (result ? result.items : items).filter(item => item.type === 'todo');
+    const today = toISODateString(new Date());
+    const groups = groupTodos(todos, today)
+        .filter(group => group.items.length > 0)
+        .map(group => ({ ...group, items: sortTasks(group.items, groupSorts[group.id]) }));
+    // The to-dos on screen, top to bottom, for range and keyboard selection.
+    const visibleTodos = groups.filter(group => !collapsedGroups.includes(group.id)).flatMap(group => group.items);
+    // To-dos hidden by the search stay selected but aren't acted on.
+    const selectedIds = selectedTodos.filter(id => todos.some(todo => todo.id === id));
+    const collectionOptions = collections
+        .map(collection => ({ id: collection.id, path: getCollectionPath(collections, collection.id).map(c => c.name).join(' / ') }))
+        .sort((a, b) => a.path.localeCompare(b.path));
     const buttonRefs = useRef({});
+    const listRef = useRef(null);
+    const bulkDateButtonRef = useRef(null);
+    // Where a shift-click or shift+arrow range starts: the last to-do selected or unselected on its own.
+    const selectionAnchorRef = useRef(null);
 
     const handleSelectAll = () => {
-        if (selectedTodos.length === todos.length) {
+        if (selectedIds.length === todos.length) {
             setSelectedTodos([]);
         } else {
             setSelectedTodos(todos.map(todo => todo.id));
@@ -1497,72 +3779,196 @@ const TodoPage = ({ items, onToggle, onSelectTodo, saveItems, onShowDatePicker }
     };
 
     const handleDeleteSelected = () => {
-        const newItems = items.filter(item => !selectedTodos.includes(item.id));
-        saveItems(newItems);
+        onDeleteItems(selectedIds);
         setSelectedTodos([]);
     };
 
-    const handleSelectTodo = (id) => {
-        if (selectedTodos.includes(id)) {
+    const selectRange = (fromId, toId) => {
+        const from = visibleTodos.findIndex(todo => todo.id === fromId);
+        const to = visibleTodos.findIndex(todo => todo.id === toId);
+        if (from === -1 || to === -1) return;
+        const rangeIds = visibleTodos.slice(Math.min(from, to), Math.max(from, to) + 1).map(todo => todo.id);
+        setSelectedTodos(prev => [...prev, ...rangeIds.filter(id => !prev.includes(id))]);
+    };
+
+    const handleSelectTodo = (id, extendRange = false) => {
+        if (extendRange && selectionAnchorRef.current !== null) {
+            selectRange(selectionAnchorRef.current, id);
+        } else if (selectedTodos.includes(id)) {
             setSelectedTodos(selectedTodos.filter(todoId => todoId !== id));
         } else {
             setSelectedTodos([...selectedTodos, id]);
         }
+        selectionAnchorRef.current = id;
+    };
+
+    // Arrow keys move between to-dos (with Shift they select on the way), Space selects the focused one,
+    // Ctrl/Cmd+A selects every to-do on screen and Escape clears the selection.
+    const handleListKeyDown = (e) => {
+        if (e.target.matches('input[type="text"], input[type="number"], textarea, select')) return;
+        const row = e.target.closest('[data-todo-id]');
+        const currentId = row ? Number(row.dataset.todoId) : null;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const index = visibleTodos.findIndex(todo => todo.id === currentId);
+            const next = visibleTodos[index === -1 ? 0 : Math.min(Math.max(index + (e.key === 'ArrowDown' ? 1 : -1), 0), visibleTodos.length - 1)];
+            if (!next) return;
+            listRef.current.querySelector(`[data-todo-id="${next.id}"]`)?.focus();
+            if (e.shiftKey) {
+                if (selectionAnchorRef.current === null) selectionAnchorRef.current = currentId ?? next.id;
+                selectRange(selectionAnchorRef.current, next.id);
+            }
+        } else if (e.key === ' ' && row && e.target === row) {
+            e.preventDefault();
+            handleSelectTodo(currentId, e.shiftKey);
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            setSelectedTodos(visibleTodos.map(todo => todo.id));
+        } else if (e.key === 'Escape') {
+            setSelectedTodos([]);
+        }
+    };
+
+    const handleBulkAction = (action) => {
+        onBulkUpdate(selectedIds, action);
     };
 
+    const toggleGroup = (id) => {
+        setCollapsedGroups(collapsedGroups.includes(id) ? collapsedGroups.filter(groupId => groupId !== id) : [...collapsedGroups, id]);
+    };
+
+    const renderTodo = (item) => (
+        <div key={item.id} data-todo-id={item.id} tabIndex={0} className="p-2 border-b border-border-color/50 flex items-start focus:outline-none focus:ring-1 focus:ring-accent">
+            <input
+                type="checkbox"
+                checked={selectedTodos.includes(item.id)}
+                onChange={(e) => handleSelectTodo(item.id, e.nativeEvent.shiftKey)}
+                className="mr-4 mt-0.5 accent-accent h-5 w-5 flex-shrink-0"
+                title="Select"
+            />
+            <div className="flex-1 min-w-0">
+                <TaskItem
+                    item={item}
+                    onToggle={onToggle}
+                    onSelectTodo={onSelectTodo}
+                    idPrefix="page-todo"
+                    title={matchedTerms.has(item.id) ? <HighlightedText segments={highlightText(item.title, matchedTerms.get(item.id))} /> : null}
+                    actions={(
+                        <div className="relative">
+                            {!item.deadline ? (
+                                <button ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className="text-xs bg-input px-2 py-1 rounded-full text-white">Add Date</button>
+                            ) : (
+                                <span ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className={`text-xs bg-input px-2 py-1 rounded-full cursor-pointer ${isOverdue(item, today) ? 'text-red-500' : 'text-secondary-text'}`}>{formatDeadline(item, dateFormat)}</span>
+                            )}
+                        </div>
+                    )}
+                />
+            </div>
+        </div>
+    );
+
     return (
         <div className="bg-surface rounded-lg p-6 h-full flex flex-col">
             <div className="flex justify-between items-center mb-4">
                 <h2 className="text-2xl font-bold">All To-Do Items</h2>
                 <div className="flex items-center space-x-4">
+                    <QueryInput
+                        query={query}
+                        onQueryChange={onQueryChange}
+                        errors={result ? result.errors : []}
+                        onSaveQuery={onSaveQuery}
+                        placeholder="Search to-dos..."
+                        className="w-64"
+                    />
                     <button onClick={handleSelectAll} className="text-sm font-medium hover:text-accent">
-                        {selectedTodos.length === todos.length ? 'Deselect All' : 'Select All'}
+                        {selectedIds.length === todos.length ? 'Deselect All' : 'Select All'}
                     </button>
                     <button 
                         onClick={handleDeleteSelected} 
-                        disabled={selectedTodos.length === 0}
+                        disabled={selectedIds.length === 0}
                         className="text-sm font-medium text-red-500 disabled:text-gray-500 hover:text-red-400 disabled:cursor-not-allowed"
                     >
-                        Delete Selected
+                        Move to Trash
                     </button>
                 </div>
             </div>
-            <div className="flex-1 overflow-y-auto">
-                {todos.map(item => (
-                    <div key={item.id} className="p-2 border-b border-border-color/50">
-                        {item.note.split('\n').map((line, index) => {
-                            const match = line.match(/-\s*\[( |x|X)\]\s*(.*)/);
-                            if (!match) return null;
-                            const text = match[2];
-                            const isChecked = match[1].toLowerCase() === 'x';
-                            return (
-                                <div key={index} className="flex items-center justify-between text-sm">
-                                    <div className="flex items-center">
-                                        <input
-                                            type="checkbox"
-                                            checked={selectedTodos.includes(item.id)}
-                                            onChange={() => handleSelectTodo(item.id)}
-                                            className="mr-4 accent-accent h-5 w-5"
-                                        />
-                                        <span 
-                                            onClick={() => onSelectTodo(item)} 
-                                            className={`cursor-pointer ${isChecked ? 'text-secondary-text line-through' : ''}`}
-                                        >
-                                            {text}
-                                        </span>
-                                    </div>
-                                    <div className="relative">
-                                        {!item.deadline ? (
-                                            <button ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className="text-xs bg-input px-2 py-1 rounded-full text-white">Add Date</button>
-                                        ) : (
-                                            <span ref={el => buttonRefs.current[item.id] = el} onClick={(e) => { e.stopPropagation(); onShowDatePicker(item.id, buttonRefs.current[item.id]); }} className="text-xs bg-input px-2 py-1 rounded-full text-secondary-text cursor-pointer">{formatDueDate(item.deadline)}</span>
-                                        )}
-                                    </div>
-                                </div>
-                            );
-                        })}
-                    </div>
-                ))}
+            {selectedIds.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-input rounded-lg text-sm">
+                    <span className="font-medium mr-2">{selectedIds.length} selected</span>
+                    <button onClick={() => handleBulkAction({ type: 'done', done: true })} className="px-2 py-1 rounded-md bg-surface hover:bg-hover">Mark done</button>
+                    <button onClick={() => handleBulkAction({ type: 'done', done: false })} className="px-2 py-1 rounded-md bg-surface hover:bg-hover">Mark not done</button>
+                    <button ref={bulkDateButtonRef} onClick={() => setIsBulkDatePickerOpen(prev => !prev)} className="px-2 py-1 rounded-md bg-surface hover:bg-hover">Set date</button>
+                    {isBulkDatePickerOpen && (
+                        <DatePickerWidget
+                            anchorRef={bulkDateButtonRef}
+                            onSelect={(date) => handleBulkAction({ type: 'deadline', deadline: date })}
+                            close={() => setIsBulkDatePickerOpen(false)}
+                            weekStart={weekStart}
+                        />
+                    )}
+                    <button onClick={() => handleBulkAction({ type: 'deadline', deadline: null })} className="px-2 py-1 rounded-md bg-surface hover:bg-hover">Clear date</button>
+                    <span className="flex items-center">
+                        <input
+                            type="number"
+                            value={shiftDays}
+                            onChange={(e) => setShiftDays(e.target.value)}
+                            className="w-16 bg-surface border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                            title="Days to move deadlines by; negative moves them earlier"
+                        />
+                        <button
+                            onClick={() => handleBulkAction({ type: 'shift', days: Number(shiftDays) })}
+                            disabled={!Number.isInteger(Number(shiftDays)) || Number(shiftDays) === 0}
+                            className="ml-1 px-2 py-1 rounded-md bg-surface hover:bg-hover disabled:opacity-50"
+                        >
+                            Shift days
+                        </button>
+                    </span>
+                    <select
+                        value=""
+                        onChange={(e) => handleBulkAction({ type: 'collection', collectionId: e.target.value === 'none' ? null : Number(e.target.value) })}
+                        className="bg-surface border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                    >
+                        <option value="" disabled>Move to...</option>
+                        <option value="none">No collection</option>
+                        {collectionOptions.map(option => <option key={option.id} value={option.id}>{option.path}</option>)}
+                    </select>
+                    <select
+                        value=""
+                        onChange={(e) => handleBulkAction({ type: 'priority', priority: Number(e.target.value) })}
+                        className="bg-surface border border-border-color rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+                    >
+                        <option value="" disabled>Priority...</option>
+                        {PRIORITIES.map(p => <option key={p} value={p}>P{p}</option>)}
+                    </select>
+                </div>
+            )}
+            <div ref={listRef} onKeyDown={handleListKeyDown} className="flex-1 overflow-y-auto">
+                {groups.length === 0 && <p className="text-secondary-text">{query.trim() ? 'No to-dos match this search.' : 'No to-dos yet.'}</p>}
+                {groups.map(group => {
+                    const isCollapsed = collapsedGroups.includes(group.id);
+                    return (
+                        <section key={group.id} className="mb-4">
+                            <div className="flex items-center justify-between py-2 border-b border-border-color">
+                                <button onClick={() => toggleGroup(group.id)} className="flex items-center font-semibold">
+                                    <span className="w-4 mr-1 text-secondary-text">{isCollapsed ? '▸' : '▾'}</span>
+                                    <span className={group.id === 'overdue' ? 'text-red-500' : ''}>{group.label}</span>
+                                    <span className="ml-2 text-xs text-secondary-text">{group.items.length}</span>
+                                </button>
+                                {!isCollapsed && (
+                                    <select
+                                        value={groupSorts[group.id]}
+                                        onChange={(e) => setGroupSorts({ ...groupSorts, [group.id]: e.target.value })}
+                                        className="bg-input border border-border-color rounded-md px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-accent"
+                                        title="Sort by"
+                                    >
+                                        {Object.entries(TODO_SORTS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                )}
+                            </div>
+                            {!isCollapsed && group.items.map(renderTodo)}
+                        </section>
+                    );
+                })}
             </div>
         </div>
     );
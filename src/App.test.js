@@ -0,0 +1,114 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { DEFAULT_SETTINGS } from './settings';
+import { createMemoryAdapter } from './storage';
+import { createStubLinkFetcher } from './links';
+import { createTestItem } from './testUtils';
+
+const pages = {
+    'https://example.com/pancakes': { title: 'Fluffy pancakes', description: 'Ready in 20 minutes.', text: 'Mix flour, milk and eggs.' },
+    'https://example.com/waffles': { title: 'Crisp waffles', description: 'Ready in 30 minutes.', text: 'Heat the iron first.' },
+};
+
+const renderApp = (storage) => render(<App storage={storage} createLinkFetcher={() => createStubLinkFetcher(pages)} />);
+
+const addNote = (text) => {
+    fireEvent.change(screen.getByPlaceholderText(/^Enter a note or link/), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Note' }));
+};
+
+// The mock provider analyzes offline and deterministically, so no test needs the network.
+beforeEach(() => {
+    localStorage.setItem('essentialSpaceSettings', JSON.stringify({ ...DEFAULT_SETTINGS, ai: { ...DEFAULT_SETTINGS.ai, provider: 'mock' } }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+});
+
+test('shows the memories in storage', async () => {
+    renderApp(createMemoryAdapter({ items: [createTestItem(1, { title: 'Quarterly report' })] }));
+    expect(await screen.findByText('Quarterly report')).toBeTruthy();
+});
+
+test('saves a note with its analysis', async () => {
+    const storage = createMemoryAdapter();
+    renderApp(storage);
+    await screen.findByRole('button', { name: 'Save Note' });
+
+    addNote('Dentist appointment\nBring the insurance card.');
+    expect(await screen.findByText('Dentist appointment')).toBeTruthy();
+
+    await waitFor(async () => {
+        const { items } = await storage.loadAll();
+        expect(items).toEqual([expect.objectContaining({ type: 'memory', title: 'Dentist appointment', note: 'Dentist appointment\nBring the insurance card.' })]);
+    });
+});
+
+test('saves a link with the page it points to', async () => {
+    const storage = createMemoryAdapter();
+    renderApp(storage);
+    await screen.findByRole('button', { name: 'Save Note' });
+
+    addNote('https://example.com/pancakes');
+    expect(await screen.findByText(/Fluffy pancakes/)).toBeTruthy();
+
+    await waitFor(async () => {
+        const { items } = await storage.loadAll();
+        expect(items).toEqual([expect.objectContaining({ type: 'link', url: 'https://example.com/pancakes', title: 'Fluffy pancakes', description: 'Ready in 20 minutes.' })]);
+    });
+});
+
+test('saves links added back to back', async () => {
+    const storage = createMemoryAdapter();
+    renderApp(storage);
+    await screen.findByRole('button', { name: 'Save Note' });
+
+    addNote('https://example.com/pancakes');
+    addNote('https://example.com/waffles');
+    expect(await screen.findByText(/Crisp waffles/)).toBeTruthy();
+    expect(screen.getByText(/Fluffy pancakes/)).toBeTruthy();
+
+    await waitFor(async () => {
+        const { items } = await storage.loadAll();
+        expect(items.map(item => item.title).sort()).toEqual(['Crisp waffles', 'Fluffy pancakes']);
+    });
+    const { items } = await storage.loadAll();
+    expect(items[0].id).not.toBe(items[1].id);
+});
+
+test('redoing a re-analysis analyzes the item again', async () => {
+    const storage = createMemoryAdapter({ items: [createTestItem(1, { note: 'Quarterly report\nRevenue grew.' })] });
+    renderApp(storage);
+    fireEvent.click(await screen.findByText('Memory 1'));
+    fireEvent.click(screen.getByRole('button', { name: '…' }));
+    fireEvent.click(screen.getByText('Re-analyze'));
+    const analysisStatus = async () => (await storage.loadAll()).items[0].analysisStatus;
+    await waitFor(async () => expect(await analysisStatus()).toBe('done'));
+
+    // The redone save is the one that queued the analysis, so it comes back pending.
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true, shiftKey: true });
+    await screen.findByText('Redone');
+    await waitFor(async () => expect(await analysisStatus()).toBe('done'));
+    expect(await storage.getMeta('analysisQueue')).toEqual([]);
+});
+
+test('new items never reuse an id, even when the clock stands still', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const storage = createMemoryAdapter({ items: [createTestItem(now)] });
+    renderApp(storage);
+    await screen.findByText(`Memory ${now}`);
+
+    addNote('First');
+    await screen.findByText('First');
+    addNote('Second');
+    await screen.findByText('Second');
+
+    await waitFor(async () => {
+        const { items } = await storage.loadAll();
+        expect(items.map(item => item.id).sort()).toEqual([now, now + 1, now + 2]);
+    });
+});
@@ -0,0 +1,166 @@
+// --- AI Providers ---
+// Every provider exposes the same call, `generateJson({ prompt, content, image, schema })`,
+// which resolves to the parsed JSON object the model returned. Schemas are written as
+// plain JSON Schema and translated to each API's dialect here. `requiresNetwork` tells
+// callers whether the provider is worth trying while the browser is offline.
+
+export const AI_PROVIDERS = {
+    gemini: { label: 'Google Gemini' },
+    openai: { label: 'OpenAI-compatible (Ollama, llama.cpp, ...)' },
+    mock: { label: 'Mock (offline, for testing)' },
+};
+
+// --- Helper Functions ---
+/**
+ * POSTs JSON and retries failures with exponential backoff.
+ * @param {string} url - The endpoint.
+ * @param {object} options - `headers` and `body` (an object, serialized here).
+ * @param {{retries: number, delay: number}} retryPolicy - Attempts and the initial backoff in ms.
+ * @returns {Promise<object>} - The parsed response body.
+ */
+const postJsonWithRetry = async (url, { headers = {}, body }, { retries = 3, delay = 1000 } = {}) => {
+    for (let i = 0; i < retries; i++) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                const errorBody = await response.text();
+                console.error("API Error Response:", errorBody);
+                throw new Error(`API request failed with status ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`Attempt ${i + 1} failed:`, error.message);
+            if (i === retries - 1) { throw error; }
+            await new Promise(res => setTimeout(res, delay * Math.pow(2, i)));
+        }
+    }
+    throw new Error("API request failed after all retries.");
+};
+
+// Models sometimes wrap JSON in a Markdown code fence even when asked not to.
+const parseJsonResponse = (text) => {
+    if (typeof text !== 'string') {
+        throw new Error("Invalid response structure from AI provider");
+    }
+    return JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+};
+
+// Gemini's responseSchema spells JSON Schema types in upper case.
+const toGeminiSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (typeof schema !== 'object' || schema === null) return schema;
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => {
+        if (key === 'type' && typeof value === 'string') return [key, value.toUpperCase()];
+        if (key === 'properties') {
+            return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]))];
+        }
+        return [key, toGeminiSchema(value)];
+    }));
+};
+
+const joinPrompt = (prompt, content) => (content ? `${prompt}\n\n${content}` : prompt);
+
+const isLocalUrl = (url) => {
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+    } catch (e) {
+        return false;
+    }
+};
+
+// --- Gemini ---
+export const createGeminiProvider = ({ apiKey = '', model }, retryPolicy) => ({
+    name: 'gemini',
+    requiresNetwork: true,
+    async generateJson({ prompt, content, image, schema }) {
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const parts = [{ text: joinPrompt(prompt, content) }];
+        if (image) {
+            parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+        }
+        const result = await postJsonWithRetry(apiUrl, {
+            body: {
+                contents: [{ parts }],
+                generationConfig: { responseMimeType: "application/json", responseSchema: toGeminiSchema(schema) }
+            }
+        }, retryPolicy);
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            console.warn("Invalid response structure from Gemini API:", result);
+            throw new Error("Invalid response structure from Gemini API");
+        }
+        return parseJsonResponse(text);
+    },
+});
+
+// --- OpenAI-compatible ---
+// Targets /chat/completions on OpenAI itself or on a local server such as Ollama or llama.cpp.
+// Local servers differ in how strictly they honour schemas, so the schema is also spelled out in the prompt.
+export const createOpenAiProvider = ({ baseUrl, apiKey = '', model }, retryPolicy) => ({
+    name: 'openai',
+    requiresNetwork: !isLocalUrl(baseUrl),
+    async generateJson({ prompt, content, image, schema }) {
+        const text = `${joinPrompt(prompt, content)}\n\nThe JSON object must match this JSON Schema:\n${JSON.stringify(schema)}`;
+        const messageContent = image
+            ? [{ type: 'text', text }, { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }]
+            : text;
+        const result = await postJsonWithRetry(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            body: {
+                model,
+                messages: [{ role: 'user', content: messageContent }],
+                response_format: { type: 'json_object' },
+            }
+        }, retryPolicy);
+        return parseJsonResponse(result.choices?.[0]?.message?.content);
+    },
+});
+
+// --- Mock ---
+/**
+ * A deterministic provider that never touches the network. Without a `respond`
+ * function it fills the schema from the content: the first line becomes the title,
+ * the first sentence the summary and the longest words the tags.
+ * @param {{respond?: function}} options - Optional override returning the response for a request.
+ * @returns {object} - The provider.
+ */
+export const createMockProvider = ({ respond } = {}) => ({
+    name: 'mock',
+    requiresNetwork: false,
+    async generateJson(request) {
+        if (respond) return respond(request);
+        const text = (request.content || '').trim();
+        const words = Array.from(new Set(text.toLowerCase().match(/[a-z0-9]{4,}/g) || []));
+        const values = {
+            title: request.image ? 'Mock Screenshot' : (text.split('\n')[0].substring(0, 40) || 'Mock Title'),
+            summary: (text.match(/[^.!?]+[.!?]*/) || ['Mock summary.'])[0].trim(),
+            extractedText: text,
+            tags: words.sort((a, b) => b.length - a.length || a.localeCompare(b)).slice(0, 2),
+            highlights: [],
+        };
+        return Object.fromEntries(Object.keys(request.schema.properties).map(key => [key, values[key] ?? '']));
+    },
+});
+
+/**
+ * Creates the provider chosen in the AI settings.
+ * @param {object} aiSettings - The `ai` section of the app settings.
+ * @returns {object|null} - The provider, or null when AI processing is turned off.
+ */
+export const createAiProvider = (aiSettings) => {
+    if (!aiSettings.enabled) return null;
+    const retryPolicy = { retries: aiSettings.retries, delay: aiSettings.retryDelay };
+    switch (aiSettings.provider) {
+        case 'openai':
+            return createOpenAiProvider(aiSettings.openai, retryPolicy);
+        case 'mock':
+            return createMockProvider();
+        case 'gemini':
+        default:
+            return createGeminiProvider(aiSettings.gemini, retryPolicy);
+    }
+};
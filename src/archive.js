@@ -0,0 +1,284 @@
+// --- Export / Import ---
+// A whole Essential Space as one JSON archive: items with their screenshots
+// embedded as data URLs, collections and the theme. Archives record the schema
+// version they were written with, so older files go through the same migrations
+// as stored data before they are validated.
+import { blobToDataUrl } from './storage';
+import { CURRENT_SCHEMA_VERSION, migrateData } from './migrations';
+import { normalizeCollectionParents } from './collections';
+import { PRIORITIES } from './tasks';
+import { parseRule } from './recurrence';
+import { isValidTime } from './reminders';
+import { isUrl } from './links';
+
+export const ARCHIVE_FORMAT = 'essential-space-archive';
+export const ARCHIVE_VERSION = 1;
+
+const ITEM_TYPES = ['memory', 'todo', 'link'];
+const ANALYSIS_STATUSES = ['done', 'pending'];
+const THEMES = ['dark', 'light'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REPORTED_PROBLEMS = 5;
+
+const isString = (value) => typeof value === 'string';
+const isValidTimestamp = (value) => isString(value) && !Number.isNaN(Date.parse(value));
+
+// --- Validation ---
+// The task fields every to-do carries (see tasks.js).
+const validateTask = (item, label) => {
+    const problems = [];
+    if (!isString(item.note)) problems.push(`${label} is a to-do without notes.`);
+    if (!PRIORITIES.includes(item.priority)) problems.push(`${label} has a priority that is not 1 to 4.`);
+    if (item.completedAt !== null && !isValidTimestamp(item.completedAt)) problems.push(`${label} has an invalid completedAt.`);
+    if (item.sourceItemId !== null && !Number.isFinite(item.sourceItemId)) problems.push(`${label} has an invalid sourceItemId.`);
+    const isValidSubtask = (subtask) => subtask && Number.isFinite(subtask.id) && isString(subtask.title)
+        && (subtask.completedAt === null || isValidTimestamp(subtask.completedAt));
+    if (!Array.isArray(item.subtasks) || !item.subtasks.every(isValidSubtask)) problems.push(`${label} has invalid subtasks.`);
+    if (item.repeat !== null && !parseRule(item.repeat)) problems.push(`${label} has a repeat rule this app doesn't support.`);
+    if (item.dueTime !== null && !isValidTime(item.dueTime)) problems.push(`${label} has a due time that is not HH:MM.`);
+    if (!Array.isArray(item.reminders) || !item.reminders.every(offset => Number.isInteger(offset) && offset >= 0)) {
+        problems.push(`${label} has invalid reminders.`);
+    }
+    if (item.icsUid !== null && !isString(item.icsUid)) problems.push(`${label} has an invalid icsUid.`);
+    return problems;
+};
+
+// The page fields every link carries (see links.js).
+const validateLink = (item, label) => {
+    const problems = [];
+    if (!isUrl(item.url)) problems.push(`${label} is a link without a web address.`);
+    if (!isString(item.description)) problems.push(`${label} is a link without a description.`);
+    if (item.favicon !== null && !isString(item.favicon)) problems.push(`${label} has an invalid favicon.`);
+    return problems;
+};
+
+// Checks an item against the shape handleSave produces. Returns a list of problems.
+const validateItem = (item, index) => {
+    const problems = [];
+    const label = `Item ${index + 1}`;
+    if (typeof item !== 'object' || item === null) return [`${label} is not an object.`];
+    if (!Number.isFinite(item.id)) problems.push(`${label} has no numeric id.`);
+    if (!ITEM_TYPES.includes(item.type)) problems.push(`${label} has an unknown type "${item.type}".`);
+    if (!isValidTimestamp(item.createdAt)) problems.push(`${label} has an invalid createdAt.`);
+    ['title', 'summary', 'extractedText'].forEach(field => {
+        if (!isString(item[field])) problems.push(`${label} is missing its ${field}.`);
+    });
+    if (item.note !== undefined && !isString(item.note)) problems.push(`${label} has a note that is not text.`);
+    if (item.type === 'todo') problems.push(...validateTask(item, label));
+    if (item.type === 'link') problems.push(...validateLink(item, label));
+    if (!Array.isArray(item.tags) || !item.tags.every(isString)) problems.push(`${label} has invalid tags.`);
+    if (!Array.isArray(item.highlights) || !item.highlights.every(h => h && isString(h.description))) {
+        problems.push(`${label} has invalid highlights.`);
+    }
+    if (item.deadline !== null && !(isString(item.deadline) && ISO_DATE_PATTERN.test(item.deadline))) {
+        problems.push(`${label} has a deadline that is not YYYY-MM-DD.`);
+    }
+    if (!ANALYSIS_STATUSES.includes(item.analysisStatus)) problems.push(`${label} has an unknown analysisStatus.`);
+    if (!Array.isArray(item.collectionIds) || !item.collectionIds.every(Number.isFinite)) problems.push(`${label} has invalid collectionIds.`);
+    if (item.deletedAt !== undefined && item.deletedAt !== null && !isValidTimestamp(item.deletedAt)) problems.push(`${label} has an invalid deletedAt.`);
+    if (item.imageData !== undefined && !(isString(item.imageData) && item.imageData.startsWith('data:image/'))) {
+        problems.push(`${label} has a screenshot that is not an embedded image.`);
+    }
+    if (item.thumbnail !== undefined && !(isString(item.thumbnail) && item.thumbnail.startsWith('data:image/'))) {
+        problems.push(`${label} has a thumbnail that is not an embedded image.`);
+    }
+    return problems;
+};
+
+const validateCollection = (collection, index) => {
+    const label = `Collection ${index + 1}`;
+    if (typeof collection !== 'object' || collection === null) return [`${label} is not an object.`];
+    const problems = [];
+    if (!Number.isFinite(collection.id)) problems.push(`${label} has no numeric id.`);
+    if (!isString(collection.name) || collection.name.trim() === '') problems.push(`${label} has no name.`);
+    if (!isValidTimestamp(collection.createdAt)) problems.push(`${label} has an invalid createdAt.`);
+    if (collection.parentId !== undefined && collection.parentId !== null && !Number.isFinite(collection.parentId)) {
+        problems.push(`${label} has an invalid parentId.`);
+    }
+    ['color', 'icon'].forEach(field => {
+        if (collection[field] !== undefined && collection[field] !== null && !isString(collection[field])) {
+            problems.push(`${label} has an invalid ${field}.`);
+        }
+    });
+    if (collection.sortOrder !== undefined && !Number.isFinite(collection.sortOrder)) problems.push(`${label} has an invalid sortOrder.`);
+    if (collection.pinned !== undefined && typeof collection.pinned !== 'boolean') problems.push(`${label} has an invalid pinned flag.`);
+    if (collection.deletedAt !== undefined && collection.deletedAt !== null && !isValidTimestamp(collection.deletedAt)) {
+        problems.push(`${label} has an invalid deletedAt.`);
+    }
+    return problems;
+};
+
+const findDuplicateIds = (records, label) => {
+    const seen = new Set();
+    const duplicates = new Set();
+    records.forEach(record => (seen.has(record.id) ? duplicates.add(record.id) : seen.add(record.id)));
+    return Array.from(duplicates, id => `More than one ${label} uses the id ${id}.`);
+};
+
+// Reports the first few problems and how many more were found.
+const throwIfInvalid = (problems) => {
+    if (problems.length === 0) return;
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).join(' ');
+    const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (and ${problems.length - MAX_REPORTED_PROBLEMS} more problems)` : '';
+    throw new Error(`This file is not a valid Essential Space archive. ${shown}${more}`);
+};
+
+// --- Export ---
+/**
+ * Builds an archive of the whole space, reading screenshots back from storage. Thumbnails are
+ * left out; the app creates them again for screenshots that lack one.
+ * @param {object} storage - A storage adapter from storage.js.
+ * @param {{items: Array<object>, collections: Array<object>, theme: string}} space - The current state.
+ * @returns {Promise<object>} - The archive, ready for JSON.stringify.
+ */
+export const createArchive = async (storage, { items, collections, theme }) => {
+    const archivedItems = await Promise.all(items.map(async ({ thumbnail, ...item }) => {
+        if (!item.imageData || item.imageData.startsWith('data:')) return item;
+        const blob = await storage.getImage(item.id);
+        if (blob) return { ...item, imageData: await blobToDataUrl(blob) };
+        const { imageData, ...rest } = item;
+        return rest;
+    }));
+    return {
+        format: ARCHIVE_FORMAT,
+        archiveVersion: ARCHIVE_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        theme,
+        collections,
+        items: archivedItems,
+    };
+};
+
+// --- Import ---
+/**
+ * Parses and validates an archive file, migrating it to the current schema.
+ * @param {string} text - The file contents.
+ * @returns {{items: Array<object>, collections: Array<object>, theme: string|null, exportedAt: string}} - The archive contents.
+ */
+export const parseArchive = (text) => {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (e) {
+        throw new Error("This file is not valid JSON.");
+    }
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw new Error("This file is not an Essential Space archive.");
+    }
+    if (archive.archiveVersion > ARCHIVE_VERSION) {
+        throw new Error("This archive was made by a newer version of Essential Space.");
+    }
+    if (!Array.isArray(archive.items) || !Array.isArray(archive.collections)) {
+        throw new Error("This archive has no items or collections list.");
+    }
+    throwIfInvalid([
+        ...archive.items.map((item, index) => (typeof item === 'object' && item !== null ? [] : [`Item ${index + 1} is not an object.`])).flat(),
+        ...archive.collections.map(validateCollection).flat(),
+    ]);
+
+    const migrated = migrateData({ items: archive.items, collections: archive.collections }, archive.schemaVersion || 0);
+    throwIfInvalid([
+        ...migrated.items.map(validateItem).flat(),
+        ...findDuplicateIds(migrated.items, 'item'),
+        ...findDuplicateIds(migrated.collections, 'collection'),
+    ]);
+
+    // Items drop references to collections the archive doesn't contain, and
+    // collections whose parent is missing (or that form a cycle) move to the top level.
+    const collections = normalizeCollectionParents(migrated.collections);
+    const collectionIds = new Set(collections.map(collection => collection.id));
+    const items = migrated.items.map(item => (
+        item.collectionIds.every(id => collectionIds.has(id)) ? item : { ...item, collectionIds: item.collectionIds.filter(id => collectionIds.has(id)) }
+    ));
+
+    return {
+        items,
+        collections,
+        theme: THEMES.includes(archive.theme) ? archive.theme : null,
+        exportedAt: archive.exportedAt || null,
+    };
+};
+
+/**
+ * Hands out ids for new records. Ids come from the clock, but always above every id already in use, since
+ * ids from another machine's archive, or several records created within a millisecond, would otherwise clash.
+ * @param {Array<number>} usedIds - The ids already in use.
+ * @returns {function(): number} - Returns a new id on each call.
+ */
+export const createIdAllocator = (usedIds) => {
+    // Not Math.max(...usedIds), which overflows the call stack on very large spaces.
+    let nextId = usedIds.reduce((max, id) => (id > max ? id : max), Date.now()) + 1;
+    return () => nextId++;
+};
+
+/**
+ * Combines an imported archive with the current space.
+ * In "replace" mode the archive becomes the whole space. In "merge" mode records that
+ * share both id and createdAt with an existing record are treated as the same record
+ * and skipped; any other id collision gets a fresh id, with collection and parent references remapped.
+ * @param {{items: Array<object>, collections: Array<object>}} current - The current space.
+ * @param {{items: Array<object>, collections: Array<object>}} imported - The parsed archive.
+ * @param {'merge'|'replace'} mode - How to combine them.
+ * @returns {{items: Array<object>, collections: Array<object>, added: number, skipped: number}} - The combined space.
+ */
+export const combineArchive = (current, imported, mode) => {
+    if (mode === 'replace') {
+        return { items: imported.items, collections: imported.collections, added: imported.items.length, skipped: 0 };
+    }
+
+    const allocateId = createIdAllocator([
+        ...current.items.map(item => item.id),
+        ...current.collections.map(collection => collection.id),
+        ...imported.items.map(item => item.id),
+        ...imported.collections.map(collection => collection.id),
+    ]);
+
+    const collectionsById = new Map(current.collections.map(collection => [collection.id, collection]));
+    const collectionIdMap = new Map();
+    const importedCollections = [];
+    imported.collections.forEach(collection => {
+        const existing = collectionsById.get(collection.id);
+        if (existing && existing.createdAt === collection.createdAt) {
+            collectionIdMap.set(collection.id, existing.id);
+            return;
+        }
+        collectionIdMap.set(collection.id, existing ? allocateId() : collection.id);
+        importedCollections.push(collection);
+    });
+    // Parents can come after their children in the list, so links are remapped once every id is known.
+    const newCollections = importedCollections.map(collection => ({
+        ...collection,
+        id: collectionIdMap.get(collection.id),
+        parentId: collectionIdMap.get(collection.parentId) ?? null,
+    }));
+
+    const itemsById = new Map(current.items.map(item => [item.id, item]));
+    const itemIdMap = new Map();
+    const importedItems = [];
+    let skipped = 0;
+    imported.items.forEach(item => {
+        const existing = itemsById.get(item.id);
+        if (existing && existing.createdAt === item.createdAt) {
+            itemIdMap.set(item.id, existing.id);
+            skipped++;
+            return;
+        }
+        itemIdMap.set(item.id, existing ? allocateId() : item.id);
+        importedItems.push(item);
+    });
+    // Tasks point back at the memory they came from, which may have been given a new id as well.
+    const newItems = importedItems.map(item => ({
+        ...item,
+        id: itemIdMap.get(item.id),
+        collectionIds: item.collectionIds.map(id => collectionIdMap.get(id)).filter(id => id !== undefined),
+        ...(item.type === 'todo' ? { sourceItemId: itemIdMap.get(item.sourceItemId) ?? null } : {}),
+    }));
+
+    return {
+        items: [...current.items, ...newItems],
+        collections: [...current.collections, ...newCollections],
+        added: newItems.length,
+        skipped,
+    };
+};
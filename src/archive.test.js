@@ -0,0 +1,101 @@
+import { ARCHIVE_FORMAT, combineArchive, createArchive, createIdAllocator, parseArchive } from './archive';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+import { createMemoryAdapter } from './storage';
+import { TEST_CREATED_AT, createTestCollection, createTestItem, createTestTodo } from './testUtils';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const archiveText = (fields) => JSON.stringify({ format: ARCHIVE_FORMAT, archiveVersion: 1, schemaVersion: CURRENT_SCHEMA_VERSION, items: [], collections: [], ...fields });
+
+describe('createArchive', () => {
+    test('embeds screenshots from storage and leaves thumbnails out', async () => {
+        const storage = createMemoryAdapter({ items: [{ id: 1, imageData: PNG }] });
+        const items = [createTestItem(1, { imageData: 'blob:http://localhost/1', thumbnail: 'blob:http://localhost/2' }), createTestItem(2, { imageData: 'blob:http://localhost/3' })];
+
+        const archive = await createArchive(storage, { items, collections: [createTestCollection(10)], theme: 'light' });
+        expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, schemaVersion: CURRENT_SCHEMA_VERSION, theme: 'light', collections: [createTestCollection(10)] });
+        expect(archive.items[0]).toEqual(createTestItem(1, { imageData: PNG }));
+        // A screenshot storage no longer has is dropped rather than exported as a dead link.
+        expect(archive.items[1]).toEqual(createTestItem(2));
+    });
+
+    test('archives can be read back', async () => {
+        const items = [createTestItem(1, { collectionIds: [10] }), createTestTodo(2, { sourceItemId: 1 })];
+        const archive = await createArchive(createMemoryAdapter(), { items, collections: [createTestCollection(10)], theme: 'dark' });
+        expect(parseArchive(JSON.stringify(archive))).toMatchObject({ items, collections: [createTestCollection(10)], theme: 'dark' });
+    });
+});
+
+describe('parseArchive', () => {
+    test('rejects files that are not archives', () => {
+        expect(() => parseArchive('{')).toThrow('not valid JSON');
+        expect(() => parseArchive('{"items": []}')).toThrow('not an Essential Space archive');
+        expect(() => parseArchive(archiveText({ archiveVersion: 2 }))).toThrow('newer version');
+        expect(() => parseArchive(archiveText({ items: null }))).toThrow('no items or collections');
+    });
+
+    test('reports what is wrong with invalid records', () => {
+        const items = [createTestItem(1, { type: 'video' }), createTestTodo(2, { priority: 7 }), createTestItem(1)];
+        expect(() => parseArchive(archiveText({ items }))).toThrow(/Item 1 has an unknown type "video"\. Item 2 has a priority that is not 1 to 4\. More than one item uses the id 1\./);
+    });
+
+    test('migrates archives written with an older schema', () => {
+        const items = [{ id: 1, type: 'todo', note: '- [ ] Renew passport', collectionId: 10, createdAt: TEST_CREATED_AT }];
+        const { items: [item] } = parseArchive(archiveText({ schemaVersion: 0, items, collections: [{ id: 10, name: 'Travel', createdAt: TEST_CREATED_AT }] }));
+        expect(item).toMatchObject({ title: 'Renew passport', collectionIds: [10], subtasks: [], completedAt: null });
+    });
+
+    test('drops references to collections the archive lacks', () => {
+        const { items, collections } = parseArchive(archiveText({ items: [createTestItem(1, { collectionIds: [10, 11] })], collections: [createTestCollection(10), createTestCollection(12, { parentId: 99 })] }));
+        expect(items[0].collectionIds).toEqual([10]);
+        expect(collections[1].parentId).toBeNull();
+    });
+});
+
+describe('combineArchive', () => {
+    const current = { items: [createTestItem(1), createTestTodo(2)], collections: [createTestCollection(10)] };
+
+    test('replace makes the archive the whole space', () => {
+        const imported = { items: [createTestItem(5)], collections: [] };
+        expect(combineArchive(current, imported, 'replace')).toEqual({ items: [createTestItem(5)], collections: [], added: 1, skipped: 0 });
+    });
+
+    test('merge skips records the space already has and renumbers clashing ids', () => {
+        const otherTime = '2024-04-01T09:00:00.000Z';
+        const imported = {
+            items: [
+                createTestItem(1),
+                createTestItem(2, { createdAt: otherTime, collectionIds: [10] }),
+                createTestTodo(3, { sourceItemId: 2, collectionIds: [11] }),
+            ],
+            collections: [createTestCollection(10, { createdAt: otherTime }), createTestCollection(11, { parentId: 10 })],
+        };
+        const result = combineArchive(current, imported, 'merge');
+        expect(result).toMatchObject({ added: 2, skipped: 1 });
+
+        const [newCollection, child] = result.collections.slice(1);
+        expect(newCollection.id).not.toBe(10);
+        expect(child).toMatchObject({ id: 11, parentId: newCollection.id });
+
+        const [renumbered, task] = result.items.slice(2);
+        expect(renumbered).toMatchObject({ title: 'Memory 2', collectionIds: [newCollection.id] });
+        expect(renumbered.id).toBeGreaterThan(10);
+        expect(task).toMatchObject({ id: 3, sourceItemId: renumbered.id, collectionIds: [11] });
+        expect(new Set(result.items.map(item => item.id)).size).toBe(result.items.length);
+    });
+});
+
+describe('createIdAllocator', () => {
+    test('hands out ids above both the clock and every id in use', () => {
+        const now = Date.now();
+        const allocateId = createIdAllocator([1, now + 1000, 5]);
+        expect(allocateId()).toBe(now + 1001);
+        expect(allocateId()).toBe(now + 1002);
+        expect(createIdAllocator([1, 2])()).toBeGreaterThan(now);
+    });
+
+    test('copes with spaces too large to spread into Math.max', () => {
+        const ids = Array.from({ length: 500000 }, (value, index) => index);
+        expect(() => createIdAllocator(ids)).not.toThrow();
+    });
+});
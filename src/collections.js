@@ -0,0 +1,140 @@
+// --- Collection Tree ---
+// Collections form a tree through `parentId` (null for top-level collections).
+// Records stay a flat list everywhere else (state, storage, archives); these
+// helpers derive the hierarchy from it. Siblings are ordered by `sortOrder`,
+// which the user sets by dragging.
+
+export const COLLECTION_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'];
+
+/**
+ * Orders sibling collections by their manual sort order, oldest first on ties.
+ * @param {object} a - A collection.
+ * @param {object} b - Another collection.
+ * @returns {number} - A comparator result.
+ */
+export const compareCollections = (a, b) => a.sortOrder - b.sortOrder || a.createdAt.localeCompare(b.createdAt);
+
+/**
+ * The sort order that puts a new collection last among its siblings.
+ * @param {Array<object>} collections - All collections.
+ * @param {number|null} parentId - The new collection's parent.
+ * @returns {number} - One more than the highest sibling sort order.
+ */
+export const nextSortOrder = (collections, parentId) => (
+    Math.max(-1, ...collections.filter(collection => collection.parentId === parentId).map(collection => collection.sortOrder)) + 1
+);
+
+/**
+ * Nests the flat collection list.
+ * @param {Array<object>} collections - All collections.
+ * @returns {Array<{collection: object, children: Array<object>}>} - Top-level nodes, siblings in sort order.
+ */
+export const buildCollectionTree = (collections) => {
+    const nodes = new Map(collections.map(collection => [collection.id, { collection, children: [] }]));
+    const roots = [];
+    [...collections].sort(compareCollections).forEach(collection => {
+        const parent = nodes.get(collection.parentId);
+        (parent ? parent.children : roots).push(nodes.get(collection.id));
+    });
+    return roots;
+};
+
+/**
+ * Collects a collection and everything below it.
+ * @param {Array<object>} collections - All collections.
+ * @param {number} id - The collection to start from.
+ * @returns {Set<number>} - The ids of the collection and all its descendants.
+ */
+export const getDescendantIds = (collections, id) => {
+    const ids = new Set([id]);
+    // Sets iterate over entries added during iteration, so this walks the whole subtree.
+    ids.forEach(parentId => {
+        collections.forEach(collection => {
+            if (collection.parentId === parentId) ids.add(collection.id);
+        });
+    });
+    return ids;
+};
+
+/**
+ * The path from the top level down to a collection, for breadcrumbs.
+ * @param {Array<object>} collections - All collections.
+ * @param {number} id - The collection at the end of the path.
+ * @returns {Array<object>} - Collections from the root to `id`; empty if it doesn't exist.
+ */
+export const getCollectionPath = (collections, id) => {
+    const byId = new Map(collections.map(collection => [collection.id, collection]));
+    const path = [];
+    for (let collection = byId.get(id); collection && !path.includes(collection); collection = byId.get(collection.parentId)) {
+        path.unshift(collection);
+    }
+    return path;
+};
+
+/**
+ * Whether a collection can be moved under a new parent. A collection can't be moved into itself or its own subtree.
+ * @param {Array<object>} collections - All collections.
+ * @param {number} id - The collection being moved.
+ * @param {number|null} parentId - The new parent, or null for the top level.
+ * @returns {boolean} - True when the move keeps the tree valid.
+ */
+export const canMoveCollection = (collections, id, parentId) => (
+    parentId === null || !getDescendantIds(collections, id).has(parentId)
+);
+
+/**
+ * Repairs parent links that point at a missing collection or form a cycle, making those collections top-level.
+ * @param {Array<object>} collections - Collections from an untrusted source such as an archive.
+ * @returns {Array<object>} - The collections with valid parent links; unchanged records keep their identity.
+ */
+export const normalizeCollectionParents = (collections) => {
+    const byId = new Map(collections.map(collection => [collection.id, collection]));
+    const hasCycle = (collection) => {
+        const seen = new Set();
+        for (let current = collection; current; current = byId.get(current.parentId)) {
+            if (seen.has(current.id)) return true;
+            seen.add(current.id);
+        }
+        return false;
+    };
+    // Detach one collection at a time so breaking a cycle doesn't also detach its descendants.
+    collections.forEach(collection => {
+        const current = byId.get(collection.id);
+        if (current.parentId === null) return;
+        if (!byId.has(current.parentId) || hasCycle(current)) {
+            byId.set(current.id, { ...current, parentId: null });
+        }
+    });
+    return collections.map(collection => byId.get(collection.id));
+};
+
+/**
+ * Moves a collection into another one, or next to it.
+ * @param {Array<object>} collections - All collections.
+ * @param {number} id - The collection being moved.
+ * @param {number|null} targetId - The collection it was dropped on, or null for the top level.
+ * @param {'inside'|'before'|'after'} position - Where it goes relative to the target.
+ * @returns {Array<object>|null} - The updated collections (siblings renumbered, untouched records keep their identity),
+ * or null if the move would put the collection inside itself.
+ */
+export const moveCollection = (collections, id, targetId, position) => {
+    const target = collections.find(collection => collection.id === targetId);
+    const parentId = position === 'inside' || !target ? targetId : target.parentId;
+    if (id === targetId || !canMoveCollection(collections, id, parentId)) return null;
+
+    const siblings = collections
+        .filter(collection => collection.parentId === parentId && collection.id !== id)
+        .sort(compareCollections)
+        .map(collection => collection.id);
+    const targetIndex = siblings.indexOf(targetId);
+    const index = position === 'before' ? targetIndex : position === 'after' ? targetIndex + 1 : siblings.length;
+    siblings.splice(index, 0, id);
+
+    const sortOrders = new Map(siblings.map((siblingId, sortOrder) => [siblingId, sortOrder]));
+    return collections.map(collection => {
+        if (!sortOrders.has(collection.id)) return collection;
+        const sortOrder = sortOrders.get(collection.id);
+        if (collection.sortOrder === sortOrder && collection.parentId === parentId) return collection;
+        return { ...collection, parentId, sortOrder };
+    });
+};
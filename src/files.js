@@ -0,0 +1,68 @@
+// --- File Import ---
+// Files dropped on the Add Note area, picked with the file dialog or pasted become
+// memories: images as screenshots, text and markdown files as notes, and PDFs as
+// notes holding the text of each page.
+import { extractPdfPages } from './pdf';
+import { blobToDataUrl } from './storage';
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown'];
+// Markdown files often arrive without a MIME type, so the extension decides for them.
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown'];
+
+// For the file input's `accept`.
+export const IMPORT_ACCEPT = [...IMAGE_TYPES, 'application/pdf', '.pdf', ...TEXT_TYPES, ...TEXT_EXTENSIONS.map(extension => `.${extension}`)].join(',');
+
+const getExtension = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+/**
+ * How a file is imported.
+ * @param {File} file - A dropped, picked or pasted file.
+ * @returns {'image'|'text'|'pdf'|null} - Its kind, or null when it can't be imported.
+ */
+export const getFileKind = (file) => {
+    const extension = getExtension(file.name || '');
+    if (IMAGE_TYPES.includes(file.type)) return 'image';
+    if (file.type === 'application/pdf' || extension === 'pdf') return 'pdf';
+    if (TEXT_TYPES.includes(file.type) || TEXT_EXTENSIONS.includes(extension)) return 'text';
+    return null;
+};
+
+/**
+ * Joins the pages of a PDF into one note. Pages without text are left out but keep their numbers.
+ * @param {Array<string>} pages - The text of each page.
+ * @returns {string} - The note, with a "--- Page n ---" line before each page when there are several.
+ */
+export const formatPdfPages = (pages) => {
+    if (pages.length === 1) return pages[0];
+    return pages
+        .map((text, index) => (text ? `--- Page ${index + 1} ---\n${text}` : ''))
+        .filter(Boolean)
+        .join('\n\n');
+};
+
+/**
+ * Reads a file into the details of a new memory.
+ * @param {File} file - The file.
+ * @param {function(number, number): void} onProgress - Called with the pages read so far and the page count while a PDF is read.
+ * @returns {Promise<{imageData: string}|{note: string}>} - The analysis input: a data URL for images, text otherwise.
+ * Throws when the file can't be imported or has no text.
+ */
+export const readImportFile = async (file, onProgress = () => {}) => {
+    switch (getFileKind(file)) {
+        case 'image':
+            return { imageData: await blobToDataUrl(file) };
+        case 'text': {
+            const note = (await file.text()).trim();
+            if (!note) throw new Error("The file is empty");
+            return { note };
+        }
+        case 'pdf': {
+            const note = formatPdfPages(await extractPdfPages(file, onProgress));
+            if (!note) throw new Error("No text found; scanned PDFs aren't supported");
+            return { note };
+        }
+        default:
+            throw new Error("This file type isn't supported");
+    }
+};
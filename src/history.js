@@ -0,0 +1,120 @@
+// --- Undo / Redo ---
+// Every change to items and collections goes through saveItems/saveCollections,
+// which record the records it replaced here. An entry keeps only the records that
+// changed (before and after), so undoing one action leaves other records alone.
+// Records are restored whole, so an AI analysis that finished after the save is
+// lost from them; the app queues restored items that are still pending again.
+// Saves made in the same event handler (a collection delete writes collections
+// and items) are merged into one entry, so a single undo reverses the whole action.
+
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Collects the records a save replaced.
+ * @param {Array<object>} before - The records before the save.
+ * @param {Array<object>} after - The records after it.
+ * @returns {Map<number, {before: object|null, after: object|null}>} - Changed records by id; null stands for "did not exist".
+ */
+export const createChange = (before, after) => {
+    const beforeById = new Map(before.map(record => [record.id, record]));
+    const afterIds = new Set(after.map(record => record.id));
+    const change = new Map();
+    after.forEach(record => {
+        const previous = beforeById.get(record.id);
+        if (previous !== record) change.set(record.id, { before: previous || null, after: record });
+    });
+    before.forEach(record => {
+        if (!afterIds.has(record.id)) change.set(record.id, { before: record, after: null });
+    });
+    return change;
+};
+
+/**
+ * Applies one side of a change to the current records.
+ * @param {Array<object>} records - The current records.
+ * @param {Map<number, {before: object|null, after: object|null}>} change - From `createChange`.
+ * @param {'undo'|'redo'} direction - Undo restores the `before` side, redo the `after` side.
+ * @returns {Array<object>} - The updated records; untouched records keep their identity.
+ */
+export const applyChange = (records, change, direction) => {
+    const side = direction === 'undo' ? 'before' : 'after';
+    const seen = new Set();
+    const kept = records
+        .map(record => {
+            if (!change.has(record.id)) return record;
+            seen.add(record.id);
+            return change.get(record.id)[side];
+        })
+        .filter(Boolean);
+    const added = Array.from(change.entries())
+        .filter(([id, entry]) => !seen.has(id) && entry[side])
+        .map(([, entry]) => entry[side]);
+    return [...kept, ...added];
+};
+
+// Folds a later change to the same records into an earlier one: the first `before` and the last `after` win.
+const mergeChanges = (first, second) => {
+    const merged = new Map(first);
+    second.forEach((entry, id) => {
+        merged.set(id, merged.has(id) ? { before: merged.get(id).before, after: entry.after } : entry);
+    });
+    return merged;
+};
+
+/**
+ * Creates a bounded undo/redo history.
+ * @param {number} limit - How many entries to keep; the oldest are dropped first.
+ * @returns {object} - The history.
+ */
+export const createHistory = (limit = HISTORY_LIMIT) => {
+    let undoStack = [];
+    let redoStack = [];
+    let batchOpen = false;
+
+    return {
+        /**
+         * Records a save. Saves made before the current task ends join the same entry.
+         * @param {'items'|'collections'} kind - Which records changed.
+         * @param {Map<number, object>} change - From `createChange`.
+         */
+        record(kind, change) {
+            if (change.size === 0) return;
+            if (!batchOpen) {
+                undoStack = [...undoStack, { items: new Map(), collections: new Map() }].slice(-limit);
+                redoStack = [];
+                batchOpen = true;
+                Promise.resolve().then(() => { batchOpen = false; });
+            }
+            const top = undoStack[undoStack.length - 1];
+            top[kind] = mergeChanges(top[kind], change);
+        },
+        /**
+         * Whether a save was recorded in the current task, i.e. the caller's action can be undone right away.
+         * @returns {boolean}
+         */
+        justRecorded() {
+            return batchOpen;
+        },
+        // Pops the latest entry and moves it to the redo stack; null when there is nothing to undo.
+        undo() {
+            const entry = undoStack[undoStack.length - 1];
+            if (!entry) return null;
+            undoStack = undoStack.slice(0, -1);
+            redoStack = [...redoStack, entry];
+            return entry;
+        },
+        // Pops the latest undone entry and moves it back; null when there is nothing to redo.
+        redo() {
+            const entry = redoStack[redoStack.length - 1];
+            if (!entry) return null;
+            redoStack = redoStack.slice(0, -1);
+            undoStack = [...undoStack, entry];
+            return entry;
+        },
+        // Forgets everything, for changes that can't be reversed (records deleted for good).
+        clear() {
+            undoStack = [];
+            redoStack = [];
+        },
+    };
+};
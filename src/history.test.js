@@ -0,0 +1,92 @@
+import { applyChange, createChange, createHistory } from './history';
+import { createTestItem } from './testUtils';
+
+// Lets the history's batch close, as it does when the event handler that saved returns.
+const nextTask = () => Promise.resolve();
+
+const first = createTestItem(1);
+const second = createTestItem(2);
+
+test('createChange keeps only the records a save added, replaced or removed', () => {
+    const renamed = { ...second, title: 'Renamed' };
+    const added = createTestItem(3);
+    expect(createChange([first, second], [first, renamed, added])).toEqual(new Map([
+        [2, { before: second, after: renamed }],
+        [3, { before: null, after: added }],
+    ]));
+    expect(createChange([first, second], [second])).toEqual(new Map([[1, { before: first, after: null }]]));
+});
+
+describe('applyChange', () => {
+    const renamed = { ...second, title: 'Renamed' };
+    const added = createTestItem(3);
+    const change = createChange([first, second], [renamed, added]);
+
+    test('undo and redo restore either side and keep untouched records', () => {
+        const unrelated = createTestItem(4);
+        const undone = applyChange([renamed, added, unrelated], change, 'undo');
+        expect(undone).toEqual([second, unrelated, first]);
+        expect(undone[1]).toBe(unrelated);
+        expect(applyChange(undone, change, 'redo')).toEqual([renamed, unrelated, added]);
+    });
+
+    test('the recorded side replaces a record that changed since', () => {
+        const analyzed = { ...added, summary: 'Analyzed later' };
+        expect(applyChange([renamed, analyzed], change, 'undo')).toEqual([second, first]);
+        expect(applyChange([first, second], change, 'redo')).toEqual([renamed, added]);
+    });
+});
+
+describe('createHistory', () => {
+    test('saves made in the same task are undone together', async () => {
+        const history = createHistory();
+        history.record('collections', createChange([], [{ id: 10 }]));
+        history.record('items', createChange([first], [{ ...first, collectionIds: [10] }]));
+        expect(history.justRecorded()).toBe(true);
+        await nextTask();
+        expect(history.justRecorded()).toBe(false);
+
+        const entry = history.undo();
+        expect(Array.from(entry.collections.keys())).toEqual([10]);
+        expect(Array.from(entry.items.keys())).toEqual([1]);
+        expect(history.undo()).toBeNull();
+    });
+
+    test('merged changes keep the first before and the last after', () => {
+        const history = createHistory();
+        const renamed = { ...first, title: 'Renamed' };
+        const retagged = { ...renamed, tags: ['work'] };
+        history.record('items', createChange([first], [renamed]));
+        history.record('items', createChange([renamed], [retagged]));
+        history.record('items', createChange([second], []));
+        expect(history.undo().items).toEqual(new Map([
+            [1, { before: first, after: retagged }],
+            [2, { before: second, after: null }],
+        ]));
+    });
+
+    test('a new save clears what could be redone', async () => {
+        const history = createHistory();
+        history.record('items', createChange([], [first]));
+        await nextTask();
+        expect(history.undo()).not.toBeNull();
+        expect(history.redo()).not.toBeNull();
+        history.undo();
+
+        history.record('items', createChange([], [second]));
+        expect(history.redo()).toBeNull();
+    });
+
+    test('keeps only the most recent entries and ignores empty changes', async () => {
+        const history = createHistory(2);
+        for (const record of [first, second, createTestItem(3)]) {
+            history.record('items', createChange([], [record]));
+            await nextTask();
+        }
+        history.record('items', createChange([first], [first]));
+
+        expect(Array.from(history.undo().items.keys())).toEqual([3]);
+        expect(Array.from(history.undo().items.keys())).toEqual([2]);
+        expect(history.undo()).toBeNull();
+    });
+});
@@ -0,0 +1,282 @@
+// --- iCalendar Export / Import ---
+// Dated to-dos as an RFC 5545 calendar: each to-do is a VTODO with its deadline
+// as DUE, its repeat rule as RRULE (stored in that syntax already, see
+// recurrence.js) and its reminders as VALARMs. Memory highlights with a date can
+// go along as all-day VEVENTs. Importing reads VTODOs and VEVENTs back as to-dos;
+// every entry keeps its UID, so importing the same file twice, or an exported
+// file back into the space it came from, doesn't create duplicates. Repeat rules
+// outside the subset recurrence.js understands are dropped on import.
+import { DEFAULT_PRIORITY, createTask } from './tasks';
+import { formatRule, parseRule } from './recurrence';
+import { DEFAULT_DUE_TIME } from './reminders';
+import { isTrashed } from './trash';
+
+const PRODUCT_ID = '-//Essential Space//Tasks//EN';
+const UID_DOMAIN = 'essential-space';
+const MAX_LINE_OCTETS = 75;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest), with 0 for none; calendar apps use 1, 5 and 9.
+const TO_ICS_PRIORITY = { 1: 1, 2: 5, 3: 9 };
+const fromIcsPriority = (value) => {
+    if (value >= 1 && value <= 4) return 1;
+    if (value === 5) return 2;
+    if (value >= 6 && value <= 9) return 3;
+    return DEFAULT_PRIORITY;
+};
+
+// --- Helper Functions ---
+const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatUtc = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// A deadline as a DATE, or a floating local DATE-TIME when the to-do has a due time.
+const formatDue = (deadline, dueTime) => {
+    const date = deadline.replace(/-/g, '');
+    return dueTime ? `:${date}T${dueTime.replace(':', '')}00` : `;VALUE=DATE:${date}`;
+};
+
+// Minutes as an iCalendar duration, e.g. -15 as "-PT15M" and 1440 as "P1D".
+const formatDuration = (minutes) => {
+    const sign = minutes < 0 ? '-' : '';
+    const total = Math.abs(minutes);
+    const days = Math.floor(total / 1440);
+    const hours = Math.floor((total % 1440) / 60);
+    const rest = total % 60;
+    if (total === 0) return 'PT0S';
+    const time = hours || rest ? `T${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}` : '';
+    return `${sign}P${days ? `${days}D` : ''}${time}`;
+};
+
+const parseDuration = (value) => {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes);
+    return sign === '-' ? -total : total;
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// The UID a to-do is exported under: the one it was imported with, or one made from its id.
+const getTodoUid = (item) => item.icsUid || `todo-${item.id}@${UID_DOMAIN}`;
+
+const getHighlightUid = (item, index) => `highlight-${item.id}-${index}@${UID_DOMAIN}`;
+
+const datedHighlights = (item) => item.highlights
+    .map((highlight, index) => ({ highlight, index }))
+    .filter(({ highlight }) => typeof highlight.date === 'string' && ISO_DATE_PATTERN.test(highlight.date));
+
+// --- Export ---
+const todoToLines = (item, now) => {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:${getTodoUid(item)}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `CREATED:${formatUtc(new Date(item.createdAt))}`,
+        `SUMMARY:${escapeText(item.title)}`,
+    ];
+    const description = [
+        ...item.subtasks.map(subtask => `- [${subtask.completedAt ? 'x' : ' '}] ${subtask.title}`),
+        ...(item.note ? [item.note] : []),
+    ].join('\n');
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    // A recurring to-do needs DTSTART for its RRULE; the series starts at the current occurrence.
+    const rule = parseRule(item.repeat);
+    if (rule) {
+        lines.push(`DTSTART${formatDue(item.deadline, item.dueTime)}`);
+        // UNTIL has to match DTSTART's value type, so a timed series ends at the end of its last day.
+        const rrule = rule.until && item.dueTime ? `${formatRule({ ...rule, until: null })};UNTIL=${rule.until.replace(/-/g, '')}T235959` : formatRule(rule);
+        lines.push(`RRULE:${rrule}`);
+    }
+    lines.push(`DUE${formatDue(item.deadline, item.dueTime)}`);
+    if (TO_ICS_PRIORITY[item.priority]) lines.push(`PRIORITY:${TO_ICS_PRIORITY[item.priority]}`);
+    if (item.completedAt) {
+        lines.push('STATUS:COMPLETED', `COMPLETED:${formatUtc(new Date(item.completedAt))}`);
+    } else {
+        lines.push('STATUS:NEEDS-ACTION');
+    }
+    // Triggers are relative to DUE. A whole-day DUE is midnight, while the app reminds relative to DEFAULT_DUE_TIME.
+    const dueOffset = item.dueTime ? 0 : toMinutes(DEFAULT_DUE_TIME);
+    item.reminders.forEach(offset => {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(item.title)}`, `TRIGGER;RELATED=END:${formatDuration(dueOffset - offset)}`, 'END:VALARM');
+    });
+    lines.push('END:VTODO');
+    return lines;
+};
+
+const highlightToLines = (item, highlight, index, now) => [
+    'BEGIN:VEVENT',
+    `UID:${getHighlightUid(item, index)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;VALUE=DATE:${highlight.date.replace(/-/g, '')}`,
+    `SUMMARY:${escapeText(highlight.description)}`,
+    ...(item.title ? [`DESCRIPTION:${escapeText(`From "${item.title}"`)}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+];
+
+/**
+ * Writes the dated to-dos (and optionally dated highlights) as an iCalendar file.
+ * @param {Array<object>} items - All items; trashed ones and to-dos without a deadline are left out.
+ * @param {{includeHighlights?: boolean, now?: Date}} options - Whether memory highlights with a date become events.
+ * @returns {{text: string, todos: number, events: number}} - The calendar and how many entries it holds.
+ */
+export const createCalendar = (items, { includeHighlights = false, now = new Date() } = {}) => {
+    const liveItems = items.filter(item => !isTrashed(item));
+    const todos = liveItems.filter(item => item.type === 'todo' && item.deadline);
+    const highlights = includeHighlights
+        ? liveItems.filter(item => item.type === 'memory').flatMap(item => datedHighlights(item).map(entry => ({ item, ...entry })))
+        : [];
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        ...todos.flatMap(item => todoToLines(item, now)),
+        ...highlights.flatMap(({ item, highlight, index }) => highlightToLines(item, highlight, index, now)),
+        'END:VCALENDAR',
+    ];
+    return { text: `${lines.map(foldLine).join('\r\n')}\r\n`, todos: todos.length, events: highlights.length };
+};
+
+// --- Import ---
+// Splits a content line into its name, parameters and value. Parameter values may be quoted.
+const parseLine = (line) => {
+    const match = line.match(/^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) return null;
+    const params = {};
+    (match[2].match(/;[^:;=]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(param => {
+        const [key, ...value] = param.slice(1).split('=');
+        params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+// Reads a DATE or DATE-TIME. UTC times become local; times in a named zone are read as local time.
+const parseDateValue = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (hours === undefined) return { deadline: `${year}-${month}-${day}`, dueTime: null };
+    const date = utc
+        ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)))
+        : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+    return {
+        deadline: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        dueTime: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+};
+
+// Groups the content lines into components; VALARMs stay with the entry they belong to.
+const readComponents = (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(parseLine).filter(Boolean);
+    const entries = [];
+    let entry = null;
+    let alarm = null;
+    lines.forEach(line => {
+        if (line.name === 'BEGIN' && ['VTODO', 'VEVENT'].includes(line.value.toUpperCase())) {
+            entry = { type: line.value.toUpperCase(), props: {}, alarms: [] };
+        } else if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VALARM' && entry) {
+            alarm = {};
+        } else if (line.name === 'END' && line.value.toUpperCase() === 'VALARM' && entry && alarm) {
+            entry.alarms.push(alarm);
+            alarm = null;
+        } else if (line.name === 'END' && entry && line.value.toUpperCase() === entry.type) {
+            entries.push(entry);
+            entry = null;
+        } else if (alarm) {
+            alarm[line.name] = line;
+        } else if (entry && !(line.name in entry.props)) {
+            entry.props[line.name] = line;
+        }
+    });
+    return entries;
+};
+
+// Reminders are minutes before the due time; alarms after it, at a fixed time, or relative to a
+// different start than the due date have no equivalent. `relatedTo` lists the trigger anchors that are the due date.
+const readReminders = (alarms, relatedTo, dueTime) => {
+    const dueOffset = dueTime ? 0 : toMinutes(DEFAULT_DUE_TIME);
+    const offsets = alarms
+        .filter(alarm => alarm.TRIGGER && alarm.TRIGGER.params.VALUE !== 'DATE-TIME')
+        .filter(alarm => relatedTo.includes(alarm.TRIGGER.params.RELATED || 'START'))
+        .map(alarm => parseDuration(alarm.TRIGGER.value))
+        .filter(minutes => minutes !== null && dueOffset - minutes >= 0)
+        .map(minutes => dueOffset - minutes);
+    return Array.from(new Set(offsets)).sort((a, b) => a - b);
+};
+
+/**
+ * Reads the to-dos and events of an iCalendar file as to-dos.
+ * @param {string} text - The file contents.
+ * @returns {Array<object>} - The to-do fields for handleSave, each with its `icsUid`; entries without a title are skipped.
+ */
+export const parseCalendar = (text) => {
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error("This file is not an iCalendar (.ics) file.");
+    return readComponents(text)
+        .filter(entry => entry.props.SUMMARY && entry.props.SUMMARY.value.trim())
+        .map(entry => {
+            const { props } = entry;
+            // An event is due when it starts; a to-do when it is due, or when it starts if it has no DUE.
+            const dueProp = entry.type === 'VTODO' ? props.DUE || props.DTSTART : props.DTSTART;
+            const due = dueProp ? parseDateValue(dueProp.value) : null;
+            const rule = props.RRULE ? parseRule(props.RRULE.value) : null;
+            const relatedTo = [
+                ...(entry.type === 'VTODO' && props.DUE ? ['END'] : []),
+                ...(dueProp === props.DTSTART || (props.DTSTART && props.DTSTART.value === dueProp.value) ? ['START'] : []),
+            ];
+            const completedAt = props.COMPLETED ? parseDateValue(props.COMPLETED.value) : null;
+            const isCompleted = (props.STATUS && props.STATUS.value.toUpperCase() === 'COMPLETED') || Boolean(completedAt);
+            return {
+                ...createTask({
+                    title: unescapeText(props.SUMMARY.value),
+                    note: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : '',
+                    deadline: due ? due.deadline : null,
+                    dueTime: due ? due.dueTime : null,
+                    reminders: due ? readReminders(entry.alarms, relatedTo, due.dueTime) : [],
+                    priority: props.PRIORITY ? fromIcsPriority(Number(props.PRIORITY.value)) : DEFAULT_PRIORITY,
+                    repeat: rule && due ? formatRule(rule) : null,
+                    icsUid: props.UID ? props.UID.value : null,
+                }),
+                completedAt: isCompleted ? new Date(completedAt ? `${completedAt.deadline}T${completedAt.dueTime || '00:00'}` : Date.now()).toISOString() : null,
+            };
+        });
+};
+
+/**
+ * Every UID the space already holds, so an import can skip entries it has seen.
+ * @param {Array<object>} items - All items, trashed ones included so an import doesn't bring back what was deleted.
+ * @returns {Set<string>} - The UIDs of to-dos and of dated highlights as exported.
+ */
+export const collectCalendarUids = (items) => new Set(items.flatMap(item => {
+    if (item.type === 'todo') return [getTodoUid(item)];
+    return datedHighlights(item).map(({ index }) => getHighlightUid(item, index));
+}));
@@ -0,0 +1,70 @@
+import { collectCalendarUids, createCalendar, parseCalendar } from './ics';
+import { createNextOccurrence, toggleTask } from './tasks';
+import { TEST_CREATED_AT, createTestTodo } from './testUtils';
+
+const NOW = new Date(TEST_CREATED_AT);
+
+const exportedUids = (text) => text.split('\r\n').filter(line => line.startsWith('UID:')).map(line => line.slice(4));
+
+test('to-dos survive an export and import', () => {
+    const items = [
+        createTestTodo(1, { title: 'Pay rent; call landlord, then relax', deadline: '2024-03-05', dueTime: '18:30', reminders: [0, 60], priority: 1 }),
+        createTestTodo(2, { title: 'Water plants', deadline: '2024-03-02', repeat: 'FREQ=WEEKLY;BYDAY=SA', note: 'Both balconies' }),
+        createTestTodo(3, { title: 'Someday' }),
+    ];
+    const calendar = createCalendar(items, { now: NOW });
+    expect(calendar.todos).toBe(2);
+
+    const [rent, plants] = parseCalendar(calendar.text);
+    expect(rent).toMatchObject({ title: 'Pay rent; call landlord, then relax', deadline: '2024-03-05', dueTime: '18:30', priority: 1, icsUid: 'todo-1@essential-space' });
+    expect([...rent.reminders].sort((a, b) => a - b)).toEqual([0, 60]);
+    expect(plants).toMatchObject({ title: 'Water plants', deadline: '2024-03-02', dueTime: null, repeat: 'FREQ=WEEKLY;BYDAY=SA', note: 'Both balconies' });
+});
+
+test('long lines are folded and unfolded', () => {
+    const title = 'Ünïcödé '.repeat(20).trim();
+    const { text } = createCalendar([createTestTodo(1, { title, deadline: '2024-03-05' })], { now: NOW });
+    expect(text.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+    expect(parseCalendar(text)[0].title).toBe(title);
+});
+
+test('importing an exported file finds every entry already in the space', () => {
+    const items = [createTestTodo(1, { title: 'Call mom', deadline: '2024-03-03' })];
+    const known = collectCalendarUids(items);
+    expect(parseCalendar(createCalendar(items, { now: NOW }).text).every(entry => known.has(entry.icsUid))).toBe(true);
+});
+
+test('the next occurrence of an imported recurring to-do is exported under its own UID', () => {
+    const [imported] = parseCalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'UID:standup@other-calendar',
+        'SUMMARY:Stand-up',
+        'DTSTART;VALUE=DATE:20240301',
+        'DUE;VALUE=DATE:20240301',
+        'RRULE:FREQ=DAILY',
+        'END:VTODO',
+        'END:VCALENDAR',
+    ].join('\r\n'));
+    const item = createTestTodo(1, imported);
+    const first = createCalendar([item], { now: NOW }).text;
+
+    // Completing it the way the To-Do page does.
+    const completed = { ...toggleTask(item, null, NOW), repeat: null };
+    const next = { ...createNextOccurrence(item, '2024-03-01'), id: 2 };
+    const items = [completed, next];
+    const second = createCalendar(items, { now: NOW }).text;
+
+    expect(exportedUids(first)).toEqual(['standup@other-calendar']);
+    expect(exportedUids(second)).toEqual(['standup@other-calendar', 'todo-2@essential-space']);
+
+    // Both files imported into a fresh space keep both to-dos, and importing them again adds nothing.
+    const reimported = parseCalendar(second);
+    expect(reimported.map(entry => entry.deadline)).toEqual(['2024-03-01', '2024-03-02']);
+    const known = collectCalendarUids(items);
+    expect(reimported.filter(entry => !known.has(entry.icsUid))).toEqual([]);
+});
+
+test('files that are not calendars are rejected', () => {
+    expect(() => parseCalendar('hello')).toThrow('not an iCalendar');
+});
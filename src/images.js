@@ -0,0 +1,60 @@
+// --- Image Compression ---
+// Screenshots are downscaled and re-encoded in the browser before they are saved,
+// and get a small thumbnail that the feed cards show instead of the original. The
+// original is only decoded when a memory is opened. Both are data URLs here; the
+// storage adapter keeps them as Blobs (see storage.js).
+
+// Wide enough for the feed's cards on a high-density screen.
+export const THUMBNAIL_SIZE = 480;
+const THUMBNAIL_QUALITY = 0.7;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("The image could not be decoded"));
+    image.src = src;
+});
+
+// Draws the image at most `maxSize` pixels on its longer side (0 keeps its size) and encodes it.
+const encodeImage = (image, { maxSize, format, quality }) => {
+    const longerSide = Math.max(image.naturalWidth, image.naturalHeight);
+    const scale = maxSize > 0 ? Math.min(1, maxSize / longerSide) : 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+    if (format === 'image/jpeg') {
+        // JPEG has no transparency, which would otherwise turn black.
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const dataUrl = canvas.toDataURL(format, quality);
+    // Browsers that can't encode WebP return a PNG instead; JPEG is the smaller fallback.
+    if (!dataUrl.startsWith(`data:${format}`)) return canvas.toDataURL('image/jpeg', quality);
+    return dataUrl;
+};
+
+/**
+ * Compresses a screenshot and creates its thumbnail.
+ * @param {string} dataUrl - The image as a data URL.
+ * @param {{maxSize: number, format: string, quality: number}} options - The image settings (see IMAGE_* in settings.js).
+ * @returns {Promise<{imageData: string, thumbnail: string}>} - The image to store and its thumbnail. The original is
+ * kept when re-encoding wouldn't make it smaller, and GIFs are never re-encoded so they keep their animation.
+ */
+export const compressImage = async (dataUrl, { maxSize, format, quality }) => {
+    const image = await loadImage(dataUrl);
+    const thumbnail = encodeImage(image, { maxSize: THUMBNAIL_SIZE, format, quality: THUMBNAIL_QUALITY });
+    if (dataUrl.startsWith('data:image/gif')) return { imageData: dataUrl, thumbnail };
+    const needsResize = maxSize > 0 && Math.max(image.naturalWidth, image.naturalHeight) > maxSize;
+    const compressed = encodeImage(image, { maxSize, format, quality });
+    return { imageData: needsResize || compressed.length < dataUrl.length ? compressed : dataUrl, thumbnail };
+};
+
+/**
+ * Creates a thumbnail for a screenshot saved before thumbnails existed.
+ * @param {string} src - The stored image, as a data URL or object URL.
+ * @param {string} format - The image format setting.
+ * @returns {Promise<string>} - The thumbnail as a data URL.
+ */
+export const createThumbnail = async (src, format) => encodeImage(await loadImage(src), { maxSize: THUMBNAIL_SIZE, format, quality: THUMBNAIL_QUALITY });
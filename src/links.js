@@ -0,0 +1,125 @@
+// --- Links ---
+// A link is an item of type "link": a saved web page. Next to the usual analysis
+// fields (its title is the page's title, extractedText the page's text) it keeps:
+//   url         - the page's address
+//   description - the page's own description, or ''
+//   favicon     - the URL of the site's icon, or null
+// Pages are read through a fetcher, an object with one call, `fetchPage(url)`,
+// resolving to { title, description, favicon, text }. Browsers won't let the app
+// read most other sites directly (CORS), so the HTTP fetcher can go through a proxy.
+// The stub fetcher answers from a fixed list of pages, for tests and offline use.
+
+// Enough text for a summary and for search; a long article is cut off here.
+const MAX_TEXT_LENGTH = 20000;
+// Elements whose text isn't part of what the page says.
+const IGNORED_ELEMENTS = 'script, style, noscript, template, svg, iframe, nav, header, footer, form, aside';
+
+// Adds the scheme to "www." addresses.
+export const normalizeUrl = (text) => {
+    const value = text.trim();
+    return /^https?:\/\//i.test(value) ? value : `https://${value}`;
+};
+
+/**
+ * Whether a piece of text is a single web address, as typed or pasted.
+ * @param {string} text - The text.
+ * @returns {boolean} - True for one http(s) URL (or "www." address) and nothing else.
+ */
+export const isUrl = (text) => {
+    const value = (text || '').trim();
+    if (!/^(https?:\/\/|www\.)\S+$/i.test(value)) return false;
+    try {
+        return Boolean(new URL(normalizeUrl(value)).hostname);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * The host a link points to, for its card.
+ * @param {string} url - The link.
+ * @returns {string} - E.g. "example.com", without "www.".
+ */
+export const getHostname = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return url;
+    }
+};
+
+/**
+ * What is saved for a page that couldn't be read: its host as the title and the site's default icon.
+ * @param {string} url - The link.
+ * @returns {{title: string, description: string, favicon: string|null, text: string}} - The page.
+ */
+export const getFallbackPage = (url) => {
+    let favicon = null;
+    try {
+        favicon = new URL('/favicon.ico', url).href;
+    } catch (e) {
+        // Not a URL the browser understands; the card shows no icon.
+    }
+    return { title: getHostname(url), description: '', favicon, text: '' };
+};
+
+/**
+ * Reads the title, description, icon and text of a page.
+ * @param {string} html - The page's HTML.
+ * @param {string} url - Where it was fetched from, to resolve relative icon URLs.
+ * @returns {{title: string, description: string, favicon: string|null, text: string}} - The page; missing parts
+ * fall back to those of getFallbackPage.
+ */
+export const parsePage = (html, url) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const fallback = getFallbackPage(url);
+    const meta = (...names) => names
+        .map(name => doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content')?.trim())
+        .find(Boolean);
+    const iconHref = doc.querySelector('link[rel~="icon"], link[rel="apple-touch-icon"]')?.getAttribute('href');
+    let favicon = fallback.favicon;
+    try {
+        if (iconHref) favicon = new URL(iconHref, url).href;
+    } catch (e) {
+        // A malformed icon URL; keep the default icon.
+    }
+    doc.querySelectorAll(IGNORED_ELEMENTS).forEach(element => element.remove());
+    const content = doc.querySelector('article') || doc.querySelector('main') || doc.body;
+    return {
+        title: meta('og:title', 'twitter:title') || doc.title.trim() || fallback.title,
+        description: meta('og:description', 'description', 'twitter:description') || '',
+        favicon,
+        text: (content?.textContent || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH),
+    };
+};
+
+/**
+ * Creates a fetcher that downloads pages over HTTP.
+ * @param {{proxyUrl?: string}} options - A CORS proxy the encoded page URL is appended to (e.g.
+ * "https://proxy.example/?url="), or '' to fetch pages directly.
+ * @returns {{fetchPage: function(string): Promise<object>}} - The fetcher. Pages that can't be read resolve to
+ * getFallbackPage, so a link is saved even when its page is blocked or the browser is offline.
+ */
+export const createHttpLinkFetcher = ({ proxyUrl = '' } = {}) => ({
+    async fetchPage(url) {
+        try {
+            const response = await fetch(proxyUrl ? `${proxyUrl}${encodeURIComponent(url)}` : url);
+            if (!response.ok) throw new Error(`The page returned status ${response.status}`);
+            return parsePage(await response.text(), url);
+        } catch (error) {
+            console.warn(`Could not read ${url}, saving the link without its page.`, error.message);
+            return getFallbackPage(url);
+        }
+    },
+});
+
+/**
+ * Creates a fetcher that never touches the network.
+ * @param {Object<string, object>} pages - Pages by URL; each may set any of title, description, favicon and text.
+ * @returns {{fetchPage: function(string): Promise<object>}} - The fetcher; unknown URLs get getFallbackPage.
+ */
+export const createStubLinkFetcher = (pages = {}) => ({
+    async fetchPage(url) {
+        return { ...getFallbackPage(url), ...pages[url] };
+    },
+});
@@ -0,0 +1,158 @@
+// --- Markdown Vault Export ---
+// Writes the space as an Obsidian-style vault: one Markdown file with YAML
+// front-matter per memory or link, a To-Do checklist per folder, collections as (nested)
+// folders and screenshots in a shared attachments folder. An item in several
+// collections is written to the folder of the first and lists all of them.
+import { createZip } from './zip';
+import { buildCollectionTree, getCollectionPath } from './collections';
+import { taskToMarkdown } from './tasks';
+
+const VAULT_ROOT = 'Essential Space';
+const ATTACHMENTS_FOLDER = 'attachments';
+const MAX_FILE_NAME_LENGTH = 80;
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+// --- Helper Functions ---
+// Strips characters that are invalid in file names or have a meaning in Obsidian links.
+const toFileName = (text, fallback) => {
+    const name = (text || '').replace(/[\\/:*?"<>|#^[\]\n\r\t]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, MAX_FILE_NAME_LENGTH).trim();
+    return name || fallback;
+};
+
+// Returns a name not yet taken in the given set, appending " (2)", " (3)"... as needed.
+const claimName = (takenNames, name) => {
+    let candidate = name;
+    for (let n = 2; takenNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${name} (${n})`;
+    }
+    takenNames.add(candidate.toLowerCase());
+    return candidate;
+};
+
+// JSON strings are valid YAML double-quoted scalars, which sidesteps YAML's quoting rules.
+const yamlString = (value) => JSON.stringify(String(value));
+
+// Obsidian tags cannot contain spaces or a leading "#".
+const toTag = (tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-');
+
+const frontMatter = (fields) => {
+    const lines = ['---'];
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) {
+            if (value.length === 0) return;
+            lines.push(`${key}:`, ...value.map(entry => `  - ${yamlString(entry)}`));
+        } else {
+            lines.push(`${key}: ${yamlString(value)}`);
+        }
+    });
+    lines.push('---');
+    return lines.join('\n');
+};
+
+// The Tasks plugin's due-date marker, which Obsidian users already recognise.
+const withDueDate = (line, deadline) => (deadline ? `${line} 📅 ${deadline}` : line);
+
+const memoryToMarkdown = (item, collectionPaths, imagePath) => {
+    const isScreenshot = Boolean(imagePath);
+    const sections = [
+        frontMatter({
+            title: item.title,
+            created: item.createdAt,
+            tags: item.tags.map(toTag).filter(Boolean),
+            collections: collectionPaths.map(path => path.map(collection => collection.name).join(' / ')),
+            source: item.type === 'link' ? 'link' : isScreenshot ? 'screenshot' : 'note',
+            url: item.url,
+        }),
+        `# ${item.title}`,
+    ];
+    if (item.type === 'link') {
+        sections.push([`<${item.url}>`, item.description].filter(Boolean).join('\n\n'));
+    }
+    if (imagePath) {
+        sections.push(`![Screenshot](${imagePath})`);
+    }
+    if (item.summary) {
+        sections.push(`> ${item.summary.split('\n').join('\n> ')}`);
+    }
+    if (item.highlights.length > 0) {
+        sections.push(['## Highlights', ...item.highlights.map(h => withDueDate(`- ${h.description}`, h.date))].join('\n'));
+    }
+    if (isScreenshot && item.extractedText) {
+        sections.push(`## Extracted Text\n\n${item.extractedText}`);
+    } else if (item.note) {
+        sections.push(`## Note\n\n${item.note}`);
+    }
+    return `${sections.join('\n\n')}\n`;
+};
+
+// One "- [ ]" / "- [x]" line per to-do, carrying its deadline, with its subtasks indented below.
+const todosToMarkdown = (todos) => {
+    const lines = todos.map(item => taskToMarkdown(item, withDueDate));
+    return `# To-Do\n\n${lines.join('\n')}\n`;
+};
+
+const readImage = async (storage, item) => {
+    const blob = await storage.getImage(item.id);
+    if (!blob) return null;
+    return {
+        extension: IMAGE_EXTENSIONS[blob.type] || 'png',
+        data: new Uint8Array(await blob.arrayBuffer()),
+    };
+};
+
+/**
+ * Builds a zipped Markdown vault of every memory and to-do.
+ * @param {object} storage - A storage adapter from storage.js, used to read screenshots.
+ * @param {{items: Array<object>, collections: Array<object>}} space - The current state.
+ * @returns {Promise<Blob>} - The zip file.
+ */
+export const createMarkdownVault = async (storage, { items, collections }) => {
+    const files = [];
+    const rootNames = new Set([ATTACHMENTS_FOLDER]);
+    const root = { path: VAULT_ROOT, depth: 0, names: rootNames, todos: [], collectionPath: [] };
+    const folders = new Map([[null, root]]);
+    const addFolders = (nodes, parent) => nodes.forEach(({ collection, children }) => {
+        const name = claimName(parent.names, toFileName(collection.name, 'Collection'));
+        const folder = {
+            path: `${parent.path}/${name}`,
+            depth: parent.depth + 1,
+            names: new Set(),
+            todos: [],
+            collectionPath: getCollectionPath(collections, collection.id),
+        };
+        folders.set(collection.id, folder);
+        addFolders(children, folder);
+    });
+    addFolders(buildCollectionTree(collections), root);
+    const folderFor = (item) => folders.get(item.collectionIds.find(id => folders.has(id))) || folders.get(null);
+    const collectionPathsFor = (item) => item.collectionIds.filter(id => folders.has(id)).map(id => folders.get(id).collectionPath);
+
+    for (const item of items) {
+        const folder = folderFor(item);
+        if (item.type === 'todo') {
+            folder.todos.push(item);
+            continue;
+        }
+        let imagePath = null;
+        if (item.imageData) {
+            const image = await readImage(storage, item);
+            if (image) {
+                const attachment = `screenshot-${item.id}.${image.extension}`;
+                files.push({ path: `${VAULT_ROOT}/${ATTACHMENTS_FOLDER}/${attachment}`, data: image.data });
+                imagePath = `${'../'.repeat(folder.depth)}${ATTACHMENTS_FOLDER}/${attachment}`;
+            }
+        }
+        const fileName = claimName(folder.names, toFileName(item.title, 'Untitled'));
+        files.push({ path: `${folder.path}/${fileName}.md`, data: memoryToMarkdown(item, collectionPathsFor(item), imagePath) });
+    }
+
+    folders.forEach(folder => {
+        if (folder.todos.length > 0) {
+            const fileName = claimName(folder.names, 'To-Do');
+            files.push({ path: `${folder.path}/${fileName}.md`, data: todosToMarkdown(folder.todos) });
+        }
+    });
+
+    return createZip(files);
+};
@@ -0,0 +1,214 @@
+// --- Schema Migrations ---
+// Stored data carries a schema version. On startup every migration newer than
+// that version runs in order, after a backup of the unmigrated data is written.
+// Migrations are pure functions of `{ items, collections }` so imports can reuse them.
+import { readLegacyLocalStorage } from './storage';
+import { DEFAULT_PRIORITY, parseChecklist } from './tasks';
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+export const SCHEMA_BACKUP_KEY = 'schemaBackup';
+
+export const migrations = [
+    {
+        version: 1,
+        description: 'Assign every item a collectionId',
+        up: ({ items, collections }) => ({
+            items: items.map(item => ('collectionId' in item ? item : { ...item, collectionId: null })),
+            collections,
+        }),
+    },
+    {
+        version: 2,
+        description: 'Fill in fields added after the first release and drop the unused tasks field',
+        up: ({ items, collections }) => ({
+            items: items.map(({ tasks, ...item }) => ({
+                ...item,
+                title: item.title || (item.type === 'todo' ? 'Task' : 'New Note'),
+                summary: item.summary || '',
+                extractedText: item.extractedText || '',
+                highlights: Array.isArray(item.highlights) ? item.highlights : [],
+                tags: Array.isArray(item.tags) ? item.tags : [],
+                deadline: item.deadline || null,
+            })),
+            collections,
+        }),
+    },
+    {
+        version: 3,
+        description: 'Track whether AI analysis is still pending',
+        up: ({ items, collections }) => ({
+            items: items.map(item => ({ ...item, analysisStatus: item.analysisStatus || 'done' })),
+            collections,
+        }),
+    },
+    {
+        version: 4,
+        description: 'Give every collection a parentId so collections can be nested',
+        up: ({ items, collections }) => ({
+            items,
+            collections: collections.map(collection => ('parentId' in collection ? collection : { ...collection, parentId: null })),
+        }),
+    },
+    {
+        version: 5,
+        description: 'Let items belong to several collections',
+        up: ({ items, collections }) => ({
+            items: items.map(({ collectionId, ...item }) => ({
+                ...item,
+                collectionIds: Array.isArray(item.collectionIds) ? item.collectionIds : (collectionId === null || collectionId === undefined ? [] : [collectionId]),
+            })),
+            collections,
+        }),
+    },
+    {
+        version: 6,
+        description: 'Add color, icon, pinning and a manual sort order to collections',
+        up: ({ items, collections }) => ({
+            items,
+            collections: collections.map((collection, index) => ({
+                color: null,
+                icon: null,
+                pinned: false,
+                sortOrder: index,
+                ...collection,
+            })),
+        }),
+    },
+    {
+        version: 7,
+        description: 'Track when items and collections were moved to the trash',
+        up: ({ items, collections }) => ({
+            items: items.map(item => ({ deletedAt: null, ...item })),
+            collections: collections.map(collection => ({ deletedAt: null, ...collection })),
+        }),
+    },
+    {
+        version: 8,
+        description: 'Turn to-do checklists into tasks with subtasks, priority, notes and a completion time',
+        up: ({ items, collections }) => ({
+            items: items.map(item => {
+                if (item.type !== 'todo' || Array.isArray(item.subtasks)) return item;
+                const { title, completed, subtasks, notes } = parseChecklist(item.note);
+                // Checklists never recorded when a line was ticked, so the creation time stands in.
+                const completedAt = (isCompleted) => (isCompleted ? item.createdAt : null);
+                return {
+                    ...item,
+                    title: title || item.title,
+                    note: notes,
+                    priority: DEFAULT_PRIORITY,
+                    subtasks: subtasks.map(subtask => ({ id: subtask.id, title: subtask.title, completedAt: completedAt(subtask.completed) })),
+                    completedAt: completedAt(completed),
+                    sourceItemId: null,
+                };
+            }),
+            collections,
+        }),
+    },
+    {
+        version: 9,
+        description: 'Add repeat rules to to-dos',
+        up: ({ items, collections }) => ({
+            items: items.map(item => (item.type !== 'todo' || 'repeat' in item ? item : { ...item, repeat: null })),
+            collections,
+        }),
+    },
+    {
+        version: 10,
+        description: 'Add due times and reminders to to-dos',
+        up: ({ items, collections }) => ({
+            items: items.map(item => (item.type !== 'todo' || 'reminders' in item ? item : { ...item, dueTime: null, reminders: [] })),
+            collections,
+        }),
+    },
+    {
+        version: 11,
+        description: 'Remember the calendar UID of imported to-dos',
+        up: ({ items, collections }) => ({
+            items: items.map(item => (item.type !== 'todo' || 'icsUid' in item ? item : { ...item, icsUid: null })),
+            collections,
+        }),
+    },
+];
+
+export const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Applies every migration newer than the given version.
+ * @param {{items: Array<object>, collections: Array<object>}} data - Unmigrated data.
+ * @param {number} fromVersion - The schema version the data was written with.
+ * @returns {{items: Array<object>, collections: Array<object>}} - Data at the current schema version.
+ */
+export const migrateData = (data, fromVersion) => {
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Data uses schema version ${fromVersion}, but this app only understands up to version ${CURRENT_SCHEMA_VERSION}.`);
+    }
+    return migrations
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.up(current), data);
+};
+
+// Screenshots and thumbnails live outside the item records and are never touched by
+// migrations, so the backup keeps only a marker in place of session-bound object URLs.
+const toBackupItem = ({ imageData, thumbnail, ...item }) => {
+    const backupItem = { ...item };
+    if (imageData) Object.assign(backupItem, imageData.startsWith('data:') ? { imageData } : { hasImage: true });
+    if (thumbnail) Object.assign(backupItem, thumbnail.startsWith('data:') ? { thumbnail } : { hasThumbnail: true });
+    return backupItem;
+};
+
+/**
+ * Loads everything from the storage adapter and brings it up to the current schema,
+ * backing up the old records first. Throws if the data cannot be read or migrated.
+ * @param {object} storage - A storage adapter from storage.js.
+ * @returns {Promise<{items: Array<object>, collections: Array<object>}>} - The migrated data.
+ */
+export const loadAndMigrate = async (storage) => {
+    const data = await storage.loadAll();
+    const fromVersion = (await storage.getMeta(SCHEMA_VERSION_KEY)) || 0;
+    if (fromVersion === CURRENT_SCHEMA_VERSION) return data;
+
+    const migrated = migrateData(data, fromVersion);
+    if (data.items.length > 0 || data.collections.length > 0) {
+        await storage.setMeta(SCHEMA_BACKUP_KEY, {
+            fromVersion,
+            createdAt: new Date().toISOString(),
+            items: data.items.map(toBackupItem),
+            collections: data.collections,
+        });
+    }
+    await storage.putItems(migrated.items);
+    await storage.putCollections(migrated.collections);
+    await storage.setMeta(SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION);
+    return migrated;
+};
+
+/**
+ * Replaces the stored data with the last pre-migration backup and rewinds the schema
+ * version, so the next load runs the migrations again.
+ * @param {object} storage - A storage adapter from storage.js.
+ * @returns {Promise<boolean>} - False when there is no backup to restore.
+ */
+export const restoreBackup = async (storage) => {
+    const backup = await storage.getMeta(SCHEMA_BACKUP_KEY);
+    if (!backup) return false;
+    await storage.clearAll({ keepImages: true });
+    await storage.putItems(backup.items);
+    await storage.putCollections(backup.collections);
+    await storage.setMeta(SCHEMA_VERSION_KEY, backup.fromVersion);
+    return true;
+};
+
+// Gathers whatever can still be read when loading fails, for the recovery screen's download.
+export const collectRecoveryData = async (storage) => {
+    let backup = null;
+    try {
+        backup = (await storage.getMeta(SCHEMA_BACKUP_KEY)) || null;
+    } catch (error) {
+        console.error("Failed to read the schema backup", error);
+    }
+    return {
+        exportedAt: new Date().toISOString(),
+        backup,
+        legacyLocalStorage: typeof localStorage !== 'undefined' ? readLegacyLocalStorage() : null,
+    };
+};
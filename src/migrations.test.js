@@ -0,0 +1,84 @@
+import { CURRENT_SCHEMA_VERSION, SCHEMA_BACKUP_KEY, SCHEMA_VERSION_KEY, collectRecoveryData, loadAndMigrate, migrateData, migrations, restoreBackup } from './migrations';
+import { createMemoryAdapter } from './storage';
+import { TEST_CREATED_AT } from './testUtils';
+
+// Records as the first release wrote them.
+const legacyNote = { id: 1, type: 'memory', note: 'Buy milk', title: '', tasks: [], createdAt: TEST_CREATED_AT };
+const legacyTodo = { id: 2, type: 'todo', note: '- [x] Plan trip\n- [ ] Book hotel\n- [x] Pack\nBring the passport', collectionId: 10, createdAt: TEST_CREATED_AT };
+const legacyCollection = { id: 10, name: 'Travel', createdAt: TEST_CREATED_AT };
+
+test('migrations are numbered in order', () => {
+    expect(migrations.map(migration => migration.version)).toEqual(migrations.map((migration, index) => index + 1));
+    expect(CURRENT_SCHEMA_VERSION).toBe(migrations.length);
+});
+
+test('data from the first release is brought up to the current schema', () => {
+    const { items: [noteItem, todo], collections: [collection] } = migrateData({ items: [legacyNote, legacyTodo], collections: [legacyCollection] }, 0);
+
+    expect(noteItem).toEqual({
+        id: 1, type: 'memory', note: 'Buy milk', title: 'New Note', summary: '', extractedText: '', highlights: [], tags: [],
+        deadline: null, analysisStatus: 'done', collectionIds: [], deletedAt: null, createdAt: TEST_CREATED_AT,
+    });
+    expect(todo).toMatchObject({
+        title: 'Plan trip',
+        note: 'Bring the passport',
+        completedAt: TEST_CREATED_AT,
+        subtasks: [{ id: 1, title: 'Book hotel', completedAt: null }, { id: 2, title: 'Pack', completedAt: TEST_CREATED_AT }],
+        priority: 4,
+        sourceItemId: null,
+        collectionIds: [10],
+        repeat: null,
+        dueTime: null,
+        reminders: [],
+        icsUid: null,
+    });
+    expect(collection).toEqual({ ...legacyCollection, parentId: null, color: null, icon: null, pinned: false, sortOrder: 0, deletedAt: null });
+});
+
+test('only newer migrations run', () => {
+    const item = { id: 1, type: 'todo', title: 'Custom', subtasks: [], collectionIds: [] };
+    expect(migrateData({ items: [item], collections: [] }, 10).items[0]).toEqual({ ...item, icsUid: null });
+    expect(migrateData({ items: [item], collections: [] }, CURRENT_SCHEMA_VERSION).items[0]).toBe(item);
+});
+
+test('data from a newer version of the app is refused', () => {
+    expect(() => migrateData({ items: [], collections: [] }, CURRENT_SCHEMA_VERSION + 1)).toThrow(`schema version ${CURRENT_SCHEMA_VERSION + 1}`);
+});
+
+test('loading migrates the stored data once, after backing it up', async () => {
+    const storage = createMemoryAdapter({ items: [legacyNote, { ...legacyTodo, imageData: 'blob:http://localhost/1' }], collections: [legacyCollection] });
+
+    const { items } = await loadAndMigrate(storage);
+    expect(items[0].title).toBe('New Note');
+    expect(await storage.getMeta(SCHEMA_VERSION_KEY)).toBe(CURRENT_SCHEMA_VERSION);
+    expect((await storage.loadAll()).items[0].title).toBe('New Note');
+
+    const backup = await storage.getMeta(SCHEMA_BACKUP_KEY);
+    expect(backup).toMatchObject({ fromVersion: 0, collections: [legacyCollection] });
+    // Object URLs don't outlive the session, so the backup only notes that there was a screenshot.
+    expect(backup.items).toEqual([legacyNote, { ...legacyTodo, hasImage: true }]);
+
+    await storage.putItems([{ ...items[0], title: 'Edited' }]);
+    expect((await loadAndMigrate(storage)).items[0].title).toBe('Edited');
+});
+
+test('restoring the backup rewinds the schema version', async () => {
+    const storage = createMemoryAdapter({ items: [legacyNote], collections: [] });
+    expect(await restoreBackup(storage)).toBe(false);
+
+    await loadAndMigrate(storage);
+    expect(await restoreBackup(storage)).toBe(true);
+    expect((await storage.loadAll()).items).toEqual([legacyNote]);
+    expect(await storage.getMeta(SCHEMA_VERSION_KEY)).toBe(0);
+});
+
+test('recovery data includes the backup and any localStorage leftovers', async () => {
+    localStorage.setItem('essentialSpaceItems', '[{"id": 1,');
+    const storage = createMemoryAdapter({ items: [legacyNote], collections: [] });
+    await loadAndMigrate(storage);
+
+    const recovery = await collectRecoveryData(storage);
+    expect(recovery.backup.items).toEqual([legacyNote]);
+    expect(recovery.legacyLocalStorage).toEqual({ items: '[{"id": 1,', collections: null });
+    localStorage.clear();
+});
@@ -0,0 +1,68 @@
+// --- Local OCR ---
+// Reads the text in a screenshot without any network access, so screenshots saved
+// while AI analysis is unavailable are still searchable. tesseract.js runs in a Web
+// Worker and is only loaded the first time it is needed. Its worker script, WASM core
+// and language data are served from public/tesseract (copied there by
+// scripts/copy-assets.js) instead of the CDNs tesseract.js would otherwise fetch them from.
+
+const OCR_ASSETS_PATH = `${process.env.PUBLIC_URL}/tesseract`;
+const OCR_LANGUAGE = 'eng';
+// The worker holds tens of megabytes, so it is shut down once it has been idle this long.
+const IDLE_TIMEOUT = 60000;
+
+/**
+ * Creates an OCR engine backed by a lazily started tesseract.js worker.
+ * @param {{assetsPath?: string, language?: string}} options - Where the worker, core and language data are served from.
+ * @returns {{recognize: function(string): Promise<string>, terminate: function(): Promise<void>}} - The engine.
+ */
+export const createTesseractOcr = ({ assetsPath = OCR_ASSETS_PATH, language = OCR_LANGUAGE } = {}) => {
+    let workerPromise = null;
+    let activeJobs = 0;
+    let idleTimer = null;
+
+    const getWorker = () => {
+        if (!workerPromise) {
+            workerPromise = import('tesseract.js').then(({ createWorker, OEM }) => createWorker(language, OEM.LSTM_ONLY, {
+                workerPath: `${assetsPath}/worker.min.js`,
+                corePath: assetsPath,
+                langPath: assetsPath,
+                workerBlobURL: false,
+            }));
+            // A worker that failed to start (e.g. missing assets) is retried on the next call.
+            workerPromise.catch(() => { workerPromise = null; });
+        }
+        return workerPromise;
+    };
+
+    const terminate = async () => {
+        clearTimeout(idleTimer);
+        const current = workerPromise;
+        workerPromise = null;
+        if (current) {
+            await (await current).terminate();
+        }
+    };
+
+    return {
+        /**
+         * Recognizes the text in an image.
+         * @param {string} imageData - The image as a data URL.
+         * @returns {Promise<string>} - The recognized text, with runs of blank lines collapsed.
+         */
+        async recognize(imageData) {
+            clearTimeout(idleTimer);
+            activeJobs++;
+            try {
+                const worker = await getWorker();
+                const { data } = await worker.recognize(imageData);
+                return data.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+            } finally {
+                activeJobs--;
+                if (activeJobs === 0) {
+                    idleTimer = setTimeout(() => { terminate().catch(() => {}); }, IDLE_TIMEOUT);
+                }
+            }
+        },
+        terminate,
+    };
+};
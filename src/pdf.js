@@ -0,0 +1,47 @@
+// --- PDF Text ---
+// Reads the text layer of a PDF, page by page, so imported PDFs are saved as
+// searchable notes. pdfjs-dist is only loaded the first time a PDF is imported.
+// Its worker is served from public/pdfjs (copied there by scripts/copy-assets.js)
+// instead of being bundled into the app.
+// Scanned PDFs have no text layer; their pages come back empty.
+
+const PDF_WORKER_PATH = `${process.env.PUBLIC_URL}/pdfjs/pdf.worker.min.js`;
+
+let pdfjsPromise = null;
+
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist').then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_PATH;
+            return pdfjs;
+        });
+        // A failed load (e.g. while offline) is retried on the next call.
+        pdfjsPromise.catch(() => { pdfjsPromise = null; });
+    }
+    return pdfjsPromise;
+};
+
+/**
+ * Extracts the text of every page of a PDF.
+ * @param {Blob} file - The PDF.
+ * @param {function(number, number): void} onPage - Called after each page with the page number and the page count.
+ * @returns {Promise<Array<string>>} - The text of each page in order, with runs of blank lines collapsed.
+ */
+export const extractPdfPages = async (file, onPage = () => {}) => {
+    const pdfjs = await loadPdfjs();
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const text = content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join('');
+            pages.push(text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim());
+            page.cleanup();
+            onPage(pageNumber, pdf.numPages);
+        }
+        return pages;
+    } finally {
+        await pdf.destroy();
+    }
+};
@@ -0,0 +1,195 @@
+// --- Query Language ---
+// Search boxes accept free text mixed with filters, e.g.
+//   tag:invoice collection:"Taxes" type:todo due:<2026-11-01 has:image is:done created:last-7d
+// A leading "-" negates a filter (-is:done). Free text goes to the search index;
+// filters are checked against each item.
+import { getDescendantIds } from './collections';
+import { isTodoDone } from './tasks';
+
+// Saved queries ("smart collections") are kept in the storage adapter's meta store under this key.
+export const SMART_COLLECTIONS_KEY = 'smartCollections';
+
+const FILTER_VALUES = {
+    type: ['memory', 'todo', 'note', 'screenshot', 'link'],
+    has: ['image', 'due', 'tags', 'highlights', 'text'],
+    is: ['done', 'open', 'pending'],
+};
+const FILTER_KEYS = ['tag', 'collection', 'type', 'due', 'has', 'is', 'created'];
+const DATE_OPERATORS = ['<=', '>=', '<', '>', '='];
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tomorrow: 1 };
+const PERIOD_DAYS = { d: 1, w: 7, m: 30 };
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+// --- Helper Functions ---
+const toLocalDateString = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+
+// Splits "<=2026-11-01" into its operator and date; a bare date means "on that day".
+const parseDateComparison = (value) => {
+    const op = DATE_OPERATORS.find(candidate => value.startsWith(candidate));
+    const date = (op ? value.slice(op.length) : value).toLowerCase();
+    if (date in RELATIVE_DAYS || isValidDate(date)) return { op: op || '=', date };
+    return null;
+};
+
+const compareDates = (a, op, b) => {
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return a === b;
+    }
+};
+
+const parseFilter = (key, value) => {
+    switch (key) {
+        case 'tag':
+        case 'collection':
+            return { value: value.toLowerCase() };
+        case 'type':
+        case 'has':
+        case 'is':
+            return FILTER_VALUES[key].includes(value.toLowerCase())
+                ? { value: value.toLowerCase() }
+                : { error: `"${key}:" expects one of ${FILTER_VALUES[key].join(', ')}.` };
+        case 'due': {
+            if (value.toLowerCase() === 'none') return { op: 'none' };
+            const comparison = parseDateComparison(value);
+            return comparison || { error: `"due:" expects a date such as 2026-11-01, <today or none.` };
+        }
+        case 'created': {
+            const period = value.toLowerCase().match(/^last-(\d+)([dwm])$/);
+            if (period) return { op: '>=', days: -(Number(period[1]) * PERIOD_DAYS[period[2]]) };
+            const comparison = parseDateComparison(value);
+            return comparison || { error: `"created:" expects a date such as 2026-11-01 or a period such as last-7d.` };
+        }
+        default:
+            return { error: `Unknown filter "${key}:".` };
+    }
+};
+
+/**
+ * Parses a search query into free text and filters.
+ * @param {string} query - What the user typed.
+ * @returns {{text: string, filters: Array<object>, errors: Array<string>}} - Invalid filters are left out and reported in `errors`.
+ */
+export const parseQuery = (query) => {
+    const words = [];
+    const filters = [];
+    const errors = [];
+    for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+        const [token, negation, rawKey, quoted, bare] = match;
+        const key = rawKey && rawKey.toLowerCase();
+        const value = quoted !== undefined ? quoted : bare;
+        // URLs look like filters ("https://..."), so unknown keys followed by "//" stay free text.
+        if (!key || (!FILTER_KEYS.includes(key) && value.startsWith('//'))) {
+            words.push(quoted !== undefined ? quoted : token);
+            continue;
+        }
+        if (value.startsWith('"')) {
+            errors.push(`Missing closing quote in ${token}.`);
+            continue;
+        }
+        if (!value) {
+            errors.push(`"${key}:" needs a value.`);
+            continue;
+        }
+        const filter = parseFilter(key, value);
+        if (filter.error) {
+            errors.push(filter.error);
+        } else {
+            filters.push({ key, negated: negation === '-', ...filter });
+        }
+    }
+    return { text: words.join(' '), filters, errors };
+};
+
+/**
+ * Builds a predicate for parsed filters.
+ * @param {Array<object>} filters - Filters from `parseQuery`.
+ * @param {{collections: Array<object>, now?: Date}} context - Collections are matched by name; relative dates count from `now`.
+ * @returns {function(object): boolean} - True for items matching every filter.
+ */
+export const createQueryMatcher = (filters, { collections, now = new Date() }) => {
+    const resolveDate = (date) => (date in RELATIVE_DAYS ? toLocalDateString(addDays(now, RELATIVE_DAYS[date])) : date);
+
+    const tests = filters.map(filter => {
+        switch (filter.key) {
+            case 'tag':
+                return item => item.tags.some(tag => tag.toLowerCase() === filter.value);
+            case 'collection': {
+                if (filter.value === 'none') return item => item.collectionIds.length === 0;
+                // A collection includes everything filed in its sub-collections.
+                const ids = new Set(collections
+                    .filter(c => c.name.toLowerCase() === filter.value)
+                    .flatMap(c => Array.from(getDescendantIds(collections, c.id))));
+                return item => item.collectionIds.some(id => ids.has(id));
+            }
+            case 'type':
+                return item => ({
+                    memory: item.type === 'memory',
+                    todo: item.type === 'todo',
+                    note: item.type === 'memory' && !item.imageData,
+                    screenshot: item.type === 'memory' && Boolean(item.imageData),
+                    link: item.type === 'link',
+                }[filter.value]);
+            case 'has':
+                return item => ({
+                    image: Boolean(item.imageData),
+                    due: Boolean(item.deadline),
+                    tags: item.tags.length > 0,
+                    highlights: item.highlights.length > 0,
+                    text: Boolean(item.extractedText),
+                }[filter.value]);
+            case 'is':
+                return item => ({
+                    done: item.type === 'todo' && isTodoDone(item),
+                    open: item.type === 'todo' && !isTodoDone(item),
+                    pending: item.analysisStatus === 'pending',
+                }[filter.value]);
+            case 'due': {
+                if (filter.op === 'none') return item => !item.deadline;
+                const date = resolveDate(filter.date);
+                return item => Boolean(item.deadline) && compareDates(item.deadline, filter.op, date);
+            }
+            case 'created': {
+                const date = filter.days !== undefined ? toLocalDateString(addDays(now, filter.days)) : resolveDate(filter.date);
+                return item => compareDates(toLocalDateString(new Date(item.createdAt)), filter.op, date);
+            }
+            default:
+                return () => true;
+        }
+    });
+    return item => tests.every((test, index) => Boolean(test(item)) !== filters[index].negated);
+};
+
+/**
+ * Runs a query over the items.
+ * @param {string} query - What the user typed.
+ * @param {{items: Array<object>, collections: Array<object>, search: function}} space - `search` is the full-text search from search.js;
+ * its results outside `items` are left out.
+ * @returns {{items: Array<object>, ranked: boolean, terms: Map<number, Set<string>>, errors: Array<string>}} - Matching items
+ * (by relevance when there is free text, otherwise in their original order), the matched terms per item for highlighting, and parse errors.
+ */
+export const runQuery = (query, { items, collections, search }) => {
+    const { text, filters, errors } = parseQuery(query);
+    const matches = createQueryMatcher(filters, { collections });
+    if (!text.trim()) {
+        return { items: items.filter(matches), ranked: false, terms: new Map(), errors };
+    }
+    // The search index covers the whole space, so its results are narrowed to the items given.
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const results = search(text)
+        .filter(result => itemsById.has(result.item.id))
+        .map(result => ({ ...result, item: itemsById.get(result.item.id) }))
+        .filter(result => matches(result.item));
+    return { items: results.map(result => result.item), ranked: true, terms: new Map(results.map(result => [result.item.id, result.terms])), errors };
+};
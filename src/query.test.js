@@ -0,0 +1,101 @@
+import { createQueryMatcher, parseQuery, runQuery } from './query';
+import { createSearchIndex } from './search';
+import { createTestCollection, createTestItem, createTestTodo } from './testUtils';
+
+// Local times, so the date filters give the same results in every time zone.
+const item = (id, fields = {}) => createTestItem(id, { createdAt: '2024-03-01T09:00:00', ...fields });
+const todo = (id, fields = {}) => createTestTodo(id, { createdAt: '2024-03-01T09:00:00', ...fields });
+
+const collections = [
+    createTestCollection(10, { name: 'Taxes' }),
+    createTestCollection(11, { name: '2024', parentId: 10 }),
+    createTestCollection(12, { name: 'Travel' }),
+];
+
+const items = [
+    item(1, { title: 'Electricity invoice', tags: ['invoice'], collectionIds: [11], imageData: 'data:image/png;base64,AAAA', extractedText: 'Amount due' }),
+    todo(2, { title: 'File tax return', deadline: '2024-04-15', collectionIds: [10] }),
+    todo(3, { title: 'Book flights', deadline: '2024-03-02', completedAt: '2024-03-01T10:00:00.000Z', collectionIds: [12] }),
+    item(4, { type: 'link', title: 'Invoice templates', url: 'https://example.com/invoices', description: '', favicon: null, analysisStatus: 'pending', createdAt: '2024-02-01T09:00:00' }),
+];
+
+const NOW = new Date('2024-03-01T12:00:00');
+const matching = (query) => {
+    const matches = createQueryMatcher(parseQuery(query).filters, { collections, now: NOW });
+    return items.filter(matches).map(match => match.id);
+};
+
+describe('parseQuery', () => {
+    test('separates free text from filters', () => {
+        expect(parseQuery('invoice tag:Bills -is:done collection:"Tax Papers" due:<=2024-04-01')).toEqual({
+            text: 'invoice',
+            filters: [
+                { key: 'tag', negated: false, value: 'bills' },
+                { key: 'is', negated: true, value: 'done' },
+                { key: 'collection', negated: false, value: 'tax papers' },
+                { key: 'due', negated: false, op: '<=', date: '2024-04-01' },
+            ],
+            errors: [],
+        });
+    });
+
+    test('keeps web addresses as free text', () => {
+        expect(parseQuery('https://example.com/page').text).toBe('https://example.com/page');
+    });
+
+    test('reports invalid filters and leaves them out', () => {
+        const { filters, errors } = parseQuery('type:video due:soon color:red tag:"" created:"last');
+        expect(filters).toEqual([]);
+        expect(errors).toEqual([
+            '"type:" expects one of memory, todo, note, screenshot, link.',
+            '"due:" expects a date such as 2026-11-01, <today or none.',
+            'Unknown filter "color:".',
+            '"tag:" needs a value.',
+            'Missing closing quote in created:"last.',
+        ]);
+    });
+});
+
+describe('filters', () => {
+    test.each([
+        ['tag:INVOICE', [1]],
+        ['collection:taxes', [1, 2]],
+        ['collection:none', [4]],
+        ['type:screenshot', [1]],
+        ['type:todo -is:done', [2]],
+        ['type:link', [4]],
+        ['has:image', [1]],
+        ['has:text', [1]],
+        ['is:pending', [4]],
+        ['due:none', [1, 4]],
+        ['due:>today', [2, 3]],
+        ['due:tomorrow', [3]],
+        ['due:>=2024-04-01', [2]],
+        ['created:<2024-03-01', [4]],
+        ['created:last-7d', [1, 2, 3]],
+        ['created:last-1m', [1, 2, 3, 4]],
+    ])('%s', (query, ids) => {
+        expect(matching(query)).toEqual(ids);
+    });
+});
+
+describe('runQuery', () => {
+    const index = createSearchIndex();
+    index.sync(items);
+    const space = { items, collections, search: query => index.search(query) };
+
+    test('keeps the original order without free text', () => {
+        expect(runQuery('type:todo', space)).toEqual({ items: [items[1], items[2]], ranked: false, terms: new Map(), errors: [] });
+    });
+
+    test('ranks free text matches and narrows them with filters', () => {
+        const result = runQuery('invoice -type:link', space);
+        expect(result.ranked).toBe(true);
+        expect(result.items).toEqual([items[0]]);
+        expect(result.terms.get(1).has('invoice')).toBe(true);
+    });
+
+    test('leaves out free text matches that are not among the items', () => {
+        expect(runQuery('invoice', { ...space, items: [items[3]] }).items).toEqual([items[3]]);
+    });
+});
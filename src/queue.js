@@ -0,0 +1,63 @@
+// --- Analysis Queue ---
+// Items whose AI analysis failed (or was skipped while offline) are saved with an
+// offline fallback and a job here, so they can be analyzed again later. Jobs are
+// persisted in the storage adapter's meta store and survive reloads.
+
+const QUEUE_KEY = 'analysisQueue';
+
+/**
+ * Creates the persistent queue of items waiting for AI analysis.
+ * Updates are chained so concurrent calls never overwrite each other's changes.
+ * @param {object} storage - A storage adapter from storage.js.
+ * @returns {object} - The queue.
+ */
+export const createAnalysisQueue = (storage) => {
+    let jobsPromise = null;
+    let pendingUpdate = Promise.resolve();
+
+    const load = () => {
+        if (!jobsPromise) {
+            jobsPromise = storage.getMeta(QUEUE_KEY).then(jobs => jobs || []);
+        }
+        return jobsPromise;
+    };
+
+    const update = (change) => {
+        const result = pendingUpdate.then(async () => {
+            const jobs = change(await load());
+            jobsPromise = Promise.resolve(jobs);
+            await storage.setMeta(QUEUE_KEY, jobs);
+            return jobs;
+        });
+        // Keep the chain alive after a failed write; the caller still sees the rejection.
+        pendingUpdate = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        list: () => pendingUpdate.then(load),
+
+        enqueue: (itemId) => update(jobs => (
+            jobs.some(job => job.itemId === itemId)
+                ? jobs
+                : [...jobs, { itemId, attempts: 0, lastError: null, enqueuedAt: new Date().toISOString() }]
+        )),
+
+        complete: (itemId) => update(jobs => jobs.filter(job => job.itemId !== itemId)),
+
+        fail: (itemId, error) => update(jobs => jobs.map(job => (
+            job.itemId === itemId ? { ...job, attempts: job.attempts + 1, lastError: error.message } : job
+        ))),
+
+        // Drops jobs for deleted items and adds any pending item that lost its job.
+        reconcile: (items) => update(jobs => {
+            const pendingIds = new Set(items.filter(item => item.analysisStatus === 'pending').map(item => item.id));
+            const kept = jobs.filter(job => pendingIds.has(job.itemId));
+            const queuedIds = new Set(kept.map(job => job.itemId));
+            const missing = Array.from(pendingIds)
+                .filter(id => !queuedIds.has(id))
+                .map(itemId => ({ itemId, attempts: 0, lastError: null, enqueuedAt: new Date().toISOString() }));
+            return [...kept, ...missing];
+        }),
+    };
+};
@@ -0,0 +1,228 @@
+// --- Repeat Rules ---
+// Recurring to-dos store their rule in `repeat` as an iCalendar RRULE string
+// (without the "RRULE:" prefix), so it can be exported to calendars unchanged.
+// Only this subset is understood:
+//   FREQ=DAILY | WEEKLY | MONTHLY
+//   INTERVAL=n                      every n days/weeks/months (default 1)
+//   BYDAY=MO,WE                     weekly: the weekdays; daily: limits the days
+//   BYDAY=2TU / BYDAY=-1FR          monthly: the nth (or nth-last) weekday
+//   BYMONTHDAY=15                   monthly: the day of the month
+//   UNTIL=20261231                  no occurrences after this date
+// Weeks start on Monday, as RRULE's default WKST does. Dates are local
+// YYYY-MM-DD strings, like deadlines.
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+export const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const WORKWEEK = ['MO', 'TU', 'WE', 'TH', 'FR'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second-to-last', '-3': 'third-to-last', '-4': 'fourth-to-last', '-5': 'fifth-to-last' };
+// Long enough for the rarest rule (a fifth weekday every few months), short enough to give up on impossible ones.
+const MAX_SEARCH_DAYS = 366 * 5;
+const DAY = 24 * 60 * 60 * 1000;
+
+// --- Helper Functions ---
+const parseDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const formatDate = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Monday is 0, matching WEEKDAYS.
+const weekdayIndex = (date) => (date.getDay() + 6) % 7;
+
+// Whole days between two local dates; rounding absorbs daylight-saving shifts.
+const daysBetween = (a, b) => Math.round((b - a) / DAY);
+
+const startOfWeek = (date) => addDays(date, -weekdayIndex(date));
+
+const monthsBetween = (a, b) => (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth();
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+// Which occurrence of its weekday a date is in its month, counted from the start (1..5) and from the end (-1..-5).
+const weekdayOrdinals = (date) => [
+    Math.floor((date.getDate() - 1) / 7) + 1,
+    -(Math.floor((daysInMonth(date) - date.getDate()) / 7) + 1),
+];
+
+/**
+ * Where a date falls, for offering "weekly on this day" or "monthly on the nth weekday" rules.
+ * @param {string} value - A date (YYYY-MM-DD).
+ * @returns {{weekday: string, dayOfMonth: number, ordinals: Array<number>}} - Its weekday code, day of the month,
+ * and which occurrence of that weekday it is counted from the start and from the end of the month.
+ */
+export const getDatePosition = (value) => {
+    const date = parseDate(value);
+    return { weekday: WEEKDAYS[weekdayIndex(date)], dayOfMonth: date.getDate(), ordinals: weekdayOrdinals(date) };
+};
+
+/**
+ * Parses a repeat rule.
+ * @param {string} value - An RRULE string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE".
+ * @returns {{freq: string, interval: number, byDay: Array<{weekday: string, ordinal: number|null}>, byMonthDay: number|null, until: string|null}|null} - The rule,
+ * or null when the string is not in the supported subset.
+ */
+export const parseRule = (value) => {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const parts = new Map(value.trim().replace(/^RRULE:/i, '').split(';').map(part => {
+        const [key, ...rest] = part.split('=');
+        return [key.trim().toUpperCase(), rest.join('=').trim().toUpperCase()];
+    }));
+    const rule = { freq: parts.get('FREQ'), interval: 1, byDay: [], byMonthDay: null, until: null };
+    if (!FREQUENCIES.includes(rule.freq)) return null;
+    for (const [key, part] of parts) {
+        switch (key) {
+            case 'FREQ':
+                break;
+            case 'INTERVAL':
+                rule.interval = Number(part);
+                if (!Number.isInteger(rule.interval) || rule.interval < 1) return null;
+                break;
+            case 'BYDAY': {
+                const days = part.split(',').map(day => day.match(/^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/));
+                if (days.some(day => !day)) return null;
+                rule.byDay = days.map(([, ordinal, weekday]) => ({ weekday, ordinal: ordinal ? Number(ordinal) : null }));
+                break;
+            }
+            case 'BYMONTHDAY':
+                rule.byMonthDay = Number(part);
+                if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) return null;
+                break;
+            case 'UNTIL': {
+                const until = part.match(/^(\d{4})(\d{2})(\d{2})/);
+                if (!until) return null;
+                rule.until = `${until[1]}-${until[2]}-${until[3]}`;
+                break;
+            }
+            default:
+                return null;
+        }
+    }
+    // Ordinals only make sense per month, and a monthly rule picks either weekdays or a day of the month.
+    if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) return null;
+    if (rule.freq === 'MONTHLY' && rule.byDay.some(day => day.ordinal === null)) return null;
+    if (rule.freq === 'MONTHLY' && rule.byDay.length > 0 && rule.byMonthDay !== null) return null;
+    if (rule.freq !== 'MONTHLY' && rule.byMonthDay !== null) return null;
+    return rule;
+};
+
+/**
+ * Writes a rule back as an RRULE string.
+ * @param {object} rule - A rule as returned by `parseRule`.
+ * @returns {string} - The RRULE string, with parts in a stable order.
+ */
+export const formatRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${day.weekday}`).join(',')}`);
+    if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+};
+
+const ordinalSuffix = (n) => {
+    if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+    return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+/**
+ * Describes a rule in words, in the "every ..." phrasing the Obsidian Tasks plugin also reads.
+ * @param {object} rule - A rule as returned by `parseRule`.
+ * @returns {string} - E.g. "every 2 weeks on Monday, Wednesday" or "every month on the last Friday".
+ */
+export const describeRule = (rule) => {
+    const unit = FREQUENCY_UNITS[rule.freq];
+    const weekdays = rule.byDay.map(day => day.weekday);
+    let text;
+    if (rule.interval === 1 && rule.freq !== 'MONTHLY' && weekdays.length === WORKWEEK.length && WORKWEEK.every(day => weekdays.includes(day))) {
+        text = 'every weekday';
+    } else {
+        text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+        if (rule.freq === 'MONTHLY' && rule.byDay.length > 0) {
+            text += ` on the ${rule.byDay.map(day => `${ORDINALS[day.ordinal]} ${WEEKDAY_NAMES[WEEKDAYS.indexOf(day.weekday)]}`).join(', ')}`;
+        } else if (rule.byMonthDay !== null) {
+            text += ` on the ${ordinalSuffix(rule.byMonthDay)}`;
+        } else if (weekdays.length > 0) {
+            text += ` on ${weekdays.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]).join(', ')}`;
+        }
+    }
+    return rule.until ? `${text} until ${rule.until}` : text;
+};
+
+// Whether a date is an occurrence of the rule, for a series anchored at `anchor` (its first or current occurrence).
+const matchesRule = (rule, anchor, date) => {
+    const weekday = WEEKDAYS[weekdayIndex(date)];
+    switch (rule.freq) {
+        case 'DAILY':
+            return daysBetween(anchor, date) % rule.interval === 0
+                && (rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === weekday));
+        case 'WEEKLY': {
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [WEEKDAYS[weekdayIndex(anchor)]];
+            return weekdays.includes(weekday) && (daysBetween(startOfWeek(anchor), startOfWeek(date)) / 7) % rule.interval === 0;
+        }
+        case 'MONTHLY': {
+            if (monthsBetween(anchor, date) % rule.interval !== 0) return false;
+            if (rule.byDay.length > 0) {
+                const ordinals = weekdayOrdinals(date);
+                return rule.byDay.some(day => day.weekday === weekday && ordinals.includes(day.ordinal));
+            }
+            // Months too short for the day are skipped, as RRULE does.
+            return date.getDate() === (rule.byMonthDay ?? anchor.getDate());
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * The first occurrence after a date.
+ * @param {object} rule - A rule as returned by `parseRule`.
+ * @param {string} after - The current occurrence (YYYY-MM-DD); it also anchors intervals and the default weekday or day of month.
+ * @param {string} from - Only dates after this one count; defaults to `after`. Pass today to skip occurrences already missed.
+ * @returns {string|null} - The next occurrence, or null if the rule has ended.
+ */
+export const nextOccurrence = (rule, after, from = after) => {
+    const anchor = parseDate(after);
+    const start = parseDate(from > after ? from : after);
+    for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+        const date = addDays(start, offset);
+        const value = formatDate(date);
+        if (rule.until && value > rule.until) return null;
+        if (matchesRule(rule, anchor, date)) return value;
+    }
+    return null;
+};
+
+/**
+ * The first occurrence on or after a date, for a series that starts there.
+ * @param {object} rule - A rule as returned by `parseRule`.
+ * @param {string} from - The start of the series (YYYY-MM-DD).
+ * @returns {string|null} - `from` itself when it matches the rule, otherwise the next occurrence.
+ */
+export const firstOccurrence = (rule, from) => (
+    matchesRule(rule, parseDate(from), parseDate(from)) ? from : nextOccurrence(rule, from)
+);
+
+/**
+ * The occurrences of a series within a date range, for the calendar.
+ * @param {object} rule - A rule as returned by `parseRule`.
+ * @param {string} anchor - The series' current occurrence (YYYY-MM-DD).
+ * @param {string} from - The first date of the range.
+ * @param {string} to - The last date of the range.
+ * @returns {Array<string>} - Dates after the anchor within the range, in order.
+ */
+export const listOccurrences = (rule, anchor, from, to) => {
+    const dates = [];
+    for (let date = nextOccurrence(rule, anchor, formatDate(addDays(parseDate(from), -1))); date && date <= to; date = nextOccurrence(rule, anchor, date)) {
+        dates.push(date);
+    }
+    return dates;
+};
@@ -0,0 +1,87 @@
+import { describeRule, firstOccurrence, formatRule, getDatePosition, listOccurrences, nextOccurrence, parseRule } from './recurrence';
+
+// March 2024 starts on a Friday.
+const next = (value, after, from) => nextOccurrence(parseRule(value), after, from);
+
+describe('parseRule', () => {
+    test.each([
+        'FREQ=DAILY',
+        'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE',
+        'FREQ=MONTHLY;BYDAY=-1FR',
+        'FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20241231',
+    ])('reads and writes back %s', (value) => {
+        expect(formatRule(parseRule(value))).toBe(value);
+    });
+
+    test('accepts the RRULE prefix and lower case', () => {
+        expect(parseRule('RRULE:freq=weekly;byday=fr')).toEqual({ freq: 'WEEKLY', interval: 1, byDay: [{ weekday: 'FR', ordinal: null }], byMonthDay: null, until: null });
+    });
+
+    test.each([
+        null,
+        '',
+        'FREQ=YEARLY',
+        'FREQ=DAILY;COUNT=3',
+        'FREQ=DAILY;INTERVAL=0',
+        'FREQ=WEEKLY;BYDAY=2MO',
+        'FREQ=MONTHLY;BYDAY=MO',
+        'FREQ=MONTHLY;BYDAY=1MO;BYMONTHDAY=3',
+        'FREQ=WEEKLY;BYMONTHDAY=3',
+    ])('rejects %p', (value) => {
+        expect(parseRule(value)).toBeNull();
+    });
+});
+
+test.each([
+    ['FREQ=DAILY', 'every day'],
+    ['FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', 'every weekday'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', 'every 2 weeks on Monday, Wednesday'],
+    ['FREQ=MONTHLY;BYDAY=-1FR', 'every month on the last Friday'],
+    ['FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=22;UNTIL=20241231', 'every 3 months on the 22nd until 2024-12-31'],
+])('describes %s as "%s"', (value, description) => {
+    expect(describeRule(parseRule(value))).toBe(description);
+});
+
+describe('nextOccurrence', () => {
+    test('repeats on the weekday of the current occurrence by default', () => {
+        expect(next('FREQ=WEEKLY', '2024-03-01')).toBe('2024-03-08');
+    });
+
+    test('counts intervals from the current occurrence', () => {
+        expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', '2024-03-04')).toBe('2024-03-06');
+        expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', '2024-03-06')).toBe('2024-03-18');
+        expect(next('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2024-03-01')).toBe('2024-03-04');
+    });
+
+    test('finds nth weekdays and skips months too short for the day', () => {
+        expect(next('FREQ=MONTHLY;BYDAY=-1FR', '2024-03-29')).toBe('2024-04-26');
+        expect(next('FREQ=MONTHLY;BYDAY=2TU', '2024-03-12')).toBe('2024-04-09');
+        expect(next('FREQ=MONTHLY', '2024-01-31')).toBe('2024-03-31');
+    });
+
+    test('skips occurrences missed before the given day', () => {
+        expect(next('FREQ=WEEKLY', '2024-03-01', '2024-03-20')).toBe('2024-03-22');
+        expect(next('FREQ=WEEKLY', '2024-03-01', '2024-03-22')).toBe('2024-03-29');
+    });
+
+    test('ends with the rule', () => {
+        expect(next('FREQ=DAILY;UNTIL=20240302', '2024-03-01')).toBe('2024-03-02');
+        expect(next('FREQ=DAILY;UNTIL=20240302', '2024-03-02')).toBeNull();
+    });
+});
+
+test('firstOccurrence starts a series on the first matching day', () => {
+    expect(firstOccurrence(parseRule('FREQ=WEEKLY;BYDAY=MO'), '2024-03-01')).toBe('2024-03-04');
+    expect(firstOccurrence(parseRule('FREQ=WEEKLY;BYDAY=FR'), '2024-03-01')).toBe('2024-03-01');
+});
+
+test('listOccurrences lists the dates within a range after the current one', () => {
+    const rule = parseRule('FREQ=WEEKLY');
+    expect(listOccurrences(rule, '2024-03-01', '2024-02-01', '2024-03-31')).toEqual(['2024-03-08', '2024-03-15', '2024-03-22', '2024-03-29']);
+    expect(listOccurrences(rule, '2024-03-01', '2024-03-16', '2024-03-21')).toEqual([]);
+});
+
+test('getDatePosition counts weekdays from both ends of the month', () => {
+    expect(getDatePosition('2024-03-29')).toEqual({ weekday: 'FR', dayOfMonth: 29, ordinals: [5, -1] });
+    expect(getDatePosition('2024-03-04')).toEqual({ weekday: 'MO', dayOfMonth: 4, ordinals: [1, -4] });
+});
@@ -0,0 +1,109 @@
+// --- Reminders ---
+// A to-do can be due at a time of day (`dueTime`, "HH:MM" local time, or null for
+// "some time that day") and carry reminders (`reminders`, minutes before it is due).
+// While the app is open it keeps a timer for the next reminder and shows it as a
+// system notification through the service worker in public/service-worker.js, which
+// brings the app back to the to-do when the notification is clicked. Browsers don't
+// wake a closed page, so the time of the last check is stored: reminders that fell due
+// since then are listed as missed when the app next opens.
+import { isTodoDone } from './tasks';
+import { isTrashed } from './trash';
+
+export const REMINDERS_CHECKED_KEY = 'remindersCheckedAt';
+
+// Reminders for a to-do due on a day without a time count back from this time.
+export const DEFAULT_DUE_TIME = '09:00';
+
+// Minutes before the due time.
+export const REMINDER_OFFSETS = {
+    0: 'At due time',
+    15: '15 minutes before',
+    60: '1 hour before',
+    1440: '1 day before',
+    10080: '1 week before',
+};
+
+const MINUTE = 60 * 1000;
+// setTimeout overflows after about 24.8 days, so far-off reminders are rescheduled once a day instead.
+export const MAX_TIMER_DELAY = 24 * 60 * MINUTE;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * When a to-do is due.
+ * @param {object} item - A to-do item.
+ * @returns {Date|null} - Its deadline at its due time (or DEFAULT_DUE_TIME), or null without a deadline.
+ */
+export const getDueDate = (item) => {
+    if (!item.deadline) return null;
+    const [year, month, day] = item.deadline.split('-').map(Number);
+    const [hours, minutes] = (item.dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+};
+
+/**
+ * Every reminder of the open to-dos, in the order they fall due.
+ * @param {Array<object>} items - All items.
+ * @returns {Array<{item: object, offset: number, at: Date}>} - The reminders.
+ */
+export const getReminders = (items) => items
+    .filter(item => item.type === 'todo' && item.deadline && item.reminders?.length > 0 && !isTodoDone(item) && !isTrashed(item))
+    .flatMap(item => {
+        const due = getDueDate(item);
+        return item.reminders.map(offset => ({ item, offset, at: new Date(due.getTime() - offset * MINUTE) }));
+    })
+    .sort((a, b) => a.at - b.at);
+
+/**
+ * The reminders that fell due in a period.
+ * @param {Array<object>} items - All items.
+ * @param {Date} since - The last check; reminders due at that moment were already delivered.
+ * @param {Date} now - The end of the period.
+ * @returns {Array<{item: object, offset: number, at: Date}>} - The reminders due after `since` and up to `now`.
+ */
+export const getDueReminders = (items, since, now) => getReminders(items).filter(reminder => reminder.at > since && reminder.at <= now);
+
+/**
+ * The first reminder after a moment, for the timer.
+ * @param {Array<object>} items - All items.
+ * @param {Date} after - The last check.
+ * @returns {{item: object, offset: number, at: Date}|null} - The reminder, or null when none is left.
+ */
+export const getNextReminder = (items, after) => getReminders(items).find(reminder => reminder.at > after) || null;
+
+// --- Notifications ---
+export const registerReminderWorker = async () => {
+    if (!('serviceWorker' in navigator)) return null;
+    return navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+};
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'.
+export const getNotificationPermission = () => ('Notification' in window ? Notification.permission : 'unsupported');
+
+// Asks for permission the first time a reminder is set; browsers only allow this in response to a click.
+export const requestNotificationPermission = async () => {
+    const permission = getNotificationPermission();
+    if (permission !== 'default') return permission;
+    return Notification.requestPermission();
+};
+
+/**
+ * Shows a reminder as a system notification.
+ * @param {{title: string, body: string, todoId: number}} notification - What to show.
+ * @returns {Promise<boolean>} - False when notifications aren't allowed, so the caller can fall back to a toast.
+ */
+export const showReminderNotification = async ({ title, body, todoId }) => {
+    if (getNotificationPermission() !== 'granted') return false;
+    // One notification per to-do: a later reminder replaces an earlier one still on screen.
+    const options = { body, tag: `todo-${todoId}`, data: { todoId } };
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        // Without a service worker (e.g. a private window) a page notification still works while the tab is open.
+        const notification = new Notification(title, options);
+        notification.onclick = () => window.focus();
+    }
+    return true;
+};
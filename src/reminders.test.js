@@ -0,0 +1,45 @@
+import { getDueDate, getDueReminders, getNextReminder, getReminders, isValidTime } from './reminders';
+import { createTestItem, createTestTodo } from './testUtils';
+
+// Due dates are local times, so every expected moment is built in local time too.
+const at = (day, hours, minutes = 0) => new Date(2024, 2, day, hours, minutes);
+
+const items = [
+    createTestTodo(1, { deadline: '2024-03-05', dueTime: '10:00', reminders: [0, 60] }),
+    createTestTodo(2, { deadline: '2024-03-04', reminders: [1440] }),
+    createTestTodo(3, { deadline: '2024-03-04', reminders: [0], completedAt: '2024-03-01T09:00:00.000Z' }),
+    createTestTodo(4, { deadline: '2024-03-04', reminders: [0], deletedAt: '2024-03-01T09:00:00.000Z' }),
+    createTestTodo(5, { deadline: '2024-03-04' }),
+    createTestItem(6, { deadline: '2024-03-04' }),
+];
+const summarize = (reminders) => reminders.map(({ item, offset, at: when }) => [item.id, offset, when]);
+
+test('isValidTime accepts 24-hour HH:MM times', () => {
+    expect(['00:00', '09:30', '23:59'].every(isValidTime)).toBe(true);
+    expect(['24:00', '9:30', '09:60', null].some(isValidTime)).toBe(false);
+});
+
+test('getDueDate uses the due time, or the default one for the whole day', () => {
+    expect(getDueDate(items[0])).toEqual(at(5, 10));
+    expect(getDueDate(items[1])).toEqual(at(4, 9));
+    expect(getDueDate(createTestTodo(7))).toBeNull();
+});
+
+test('getReminders lists the reminders of open to-dos in the order they fall due', () => {
+    expect(summarize(getReminders(items))).toEqual([
+        [2, 1440, at(3, 9)],
+        [1, 60, at(5, 9)],
+        [1, 0, at(5, 10)],
+    ]);
+});
+
+test('getDueReminders finds the reminders since the last check, up to and including now', () => {
+    expect(summarize(getDueReminders(items, at(3, 9), at(5, 9)))).toEqual([[1, 60, at(5, 9)]]);
+    expect(getDueReminders(items, at(5, 10), at(6, 10))).toEqual([]);
+});
+
+test('getNextReminder finds the first reminder after a moment', () => {
+    expect(summarize([getNextReminder(items, at(1, 12))])).toEqual([[2, 1440, at(3, 9)]]);
+    expect(summarize([getNextReminder(items, at(5, 9))])).toEqual([[1, 0, at(5, 10)]]);
+    expect(getNextReminder(items, at(5, 10))).toBeNull();
+});
@@ -0,0 +1,204 @@
+// --- Search ---
+// A client-side inverted index over every text field of an item. Terms are lower-cased
+// words minus stop words. Query words match terms exactly, by prefix or within a small
+// edit distance, and results are ranked by field weight and term rarity (tf-idf).
+
+export const STOP_WORDS = new Set(['i','me','my','myself','we','our','ours','ourselves','you','your','yours','yourself','yourselves','he','him','his','himself','she','her','hers','herself','it','its','itself','they','them','their','theirs','themselves','what','which','who','whom','this','that','these','those','am','is','are','was','were','be','been','being','have','has','had','having','do','does','did','doing','a','an','the','and','but','if','or','because','as','until','while','of','at','by','for','with','about','against','between','into','through','during','before','after','above','below','to','from','up','down','in','out','on','off','over','under','again','further','then','once','here','there','when','where','why','how','all','any','both','each','few','more','most','other','some','such','no','nor','not','only','own','same','so','than','too','very','s','t','can','will','just','don','should','now']);
+
+// How much a term counts towards an item's score, depending on where it appears.
+const FIELD_WEIGHTS = { title: 4, tags: 3, summary: 2, description: 2, highlights: 2, subtasks: 2, url: 1, extractedText: 1, note: 1 };
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.6, fuzzy: 0.4 };
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_FIELDS = ['summary', 'description', 'highlights', 'extractedText', 'note'];
+const SNIPPET_LENGTH = 140;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// --- Helper Functions ---
+// Lower-cases and strips accents, so "Café" and "cafe" are the same term.
+const normalizeWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const splitWords = (text) => (String(text || '').match(WORD_PATTERN) || []).map(normalizeWord);
+
+/**
+ * Splits text into index terms.
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} - Normalized words, without stop words.
+ */
+export const tokenize = (text) => splitWords(text).filter(term => !STOP_WORDS.has(term));
+
+// The searchable text of each field of an item.
+const getFields = (item) => ({
+    title: item.title,
+    tags: (item.tags || []).join(' '),
+    summary: item.summary,
+    description: item.description,
+    highlights: (item.highlights || []).map(highlight => highlight.description).join(' '),
+    subtasks: (item.subtasks || []).map(subtask => subtask.title).join(' '),
+    url: item.url,
+    extractedText: item.extractedText,
+    // Note analysis copies the note into extractedText; only index it again when it differs.
+    note: item.note !== item.extractedText ? item.note : '',
+});
+
+// Short words only match exactly or by prefix; longer ones tolerate a typo or two.
+const maxEditDistance = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Levenshtein distance, giving up as soon as it is certain to exceed `max`.
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Splits text into plain and matching segments for display.
+ * @param {string} text - The text to highlight.
+ * @param {Set<string>} terms - Index terms to highlight, as returned by `search`.
+ * @param {number} [maxLength] - When set, whitespace is collapsed and the text is cut to a window around the first match.
+ * @returns {Array<{text: string, match: boolean}>} - The segments.
+ */
+export const highlightText = (text, terms, maxLength) => {
+    const source = maxLength ? String(text || '').replace(/\s+/g, ' ').trim() : String(text || '');
+    const ranges = Array.from(source.matchAll(WORD_PATTERN))
+        .filter(match => terms.has(normalizeWord(match[0])))
+        .map(match => [match.index, match.index + match[0].length]);
+    let start = 0;
+    let end = source.length;
+    if (maxLength && source.length > maxLength) {
+        start = Math.max(0, (ranges.length > 0 ? ranges[0][0] : 0) - Math.floor(maxLength / 3));
+        end = Math.min(source.length, start + maxLength);
+    }
+
+    const segments = [];
+    let position = start;
+    ranges.filter(([from, to]) => from >= start && to <= end).forEach(([from, to]) => {
+        if (from > position) segments.push({ text: source.slice(position, from), match: false });
+        segments.push({ text: source.slice(from, to), match: true });
+        position = to;
+    });
+    if (position < end) segments.push({ text: source.slice(position, end), match: false });
+    if (start > 0) segments.unshift({ text: '…', match: false });
+    if (end < source.length) segments.push({ text: '…', match: false });
+    return segments;
+};
+
+/**
+ * Picks the body text that best shows why an item matched.
+ * @param {object} item - A search result's item.
+ * @param {Set<string>} terms - The result's matched terms.
+ * @returns {Array<{text: string, match: boolean}>|null} - Highlighted segments, or null when only the title or tags matched.
+ */
+export const createSnippet = (item, terms) => {
+    const fields = getFields(item);
+    const field = SNIPPET_FIELDS.find(name => splitWords(fields[name]).some(word => terms.has(word)));
+    return field ? highlightText(fields[field], terms, SNIPPET_LENGTH) : null;
+};
+
+/**
+ * Creates an empty search index. Call `sync` with the current items before searching;
+ * it compares records by reference, so only items that were saved, updated or deleted
+ * since the last call are re-indexed.
+ * @returns {object} - The index.
+ */
+export const createSearchIndex = () => {
+    const postings = new Map(); // term -> Map(item id -> weighted term frequency)
+    const itemTerms = new Map(); // item id -> Set of its terms, for removal
+    const indexedItems = new Map(); // item id -> the record that was indexed
+
+    const add = (item) => {
+        const weights = new Map();
+        Object.entries(getFields(item)).forEach(([field, text]) => {
+            tokenize(text).forEach(term => weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]));
+        });
+        weights.forEach((weight, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(item.id, weight);
+        });
+        itemTerms.set(item.id, new Set(weights.keys()));
+        indexedItems.set(item.id, item);
+    };
+
+    const remove = (id) => {
+        (itemTerms.get(id) || []).forEach(term => {
+            const posting = postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) postings.delete(term);
+        });
+        itemTerms.delete(id);
+        indexedItems.delete(id);
+    };
+
+    // Index terms a query word matches, with the weight of each kind of match.
+    const expand = (word) => {
+        const matches = new Map();
+        const maxDistance = maxEditDistance(word);
+        postings.forEach((_, term) => {
+            if (term === word) {
+                matches.set(term, MATCH_WEIGHTS.exact);
+            } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+                matches.set(term, MATCH_WEIGHTS.prefix);
+            } else if (maxDistance > 0 && editDistance(word, term, maxDistance) <= maxDistance) {
+                matches.set(term, MATCH_WEIGHTS.fuzzy);
+            }
+        });
+        return matches;
+    };
+
+    return {
+        sync(items) {
+            const currentIds = new Set();
+            items.forEach(item => {
+                currentIds.add(item.id);
+                if (indexedItems.get(item.id) !== item) {
+                    remove(item.id);
+                    add(item);
+                }
+            });
+            Array.from(indexedItems.keys()).filter(id => !currentIds.has(id)).forEach(remove);
+        },
+
+        /**
+         * Finds the items matching every word of a query.
+         * @param {string} query - Free text typed by the user.
+         * @returns {Array<{item: object, score: number, terms: Set<string>}>} - Results, best first.
+         */
+        search(query) {
+            // A query made only of stop words (e.g. "to" on the way to "today") is still worth a prefix search.
+            const tokens = tokenize(query);
+            const words = tokens.length > 0 ? tokens : splitWords(query);
+            if (words.length === 0) return [];
+
+            let scores = null;
+            const matchedTerms = new Map();
+            words.forEach(word => {
+                const wordScores = new Map();
+                expand(word).forEach((matchWeight, term) => {
+                    const posting = postings.get(term);
+                    const idf = Math.log(1 + indexedItems.size / posting.size);
+                    posting.forEach((weight, id) => {
+                        wordScores.set(id, Math.max(wordScores.get(id) || 0, weight * idf * matchWeight));
+                        if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+                        matchedTerms.get(id).add(term);
+                    });
+                });
+                scores = scores === null
+                    ? wordScores
+                    : new Map(Array.from(scores).filter(([id]) => wordScores.has(id)).map(([id, score]) => [id, score + wordScores.get(id)]));
+            });
+
+            return Array.from(scores)
+                .map(([id, score]) => ({ item: indexedItems.get(id), score, terms: matchedTerms.get(id) }))
+                .sort((a, b) => b.score - a.score || new Date(b.item.createdAt) - new Date(a.item.createdAt));
+        },
+    };
+};
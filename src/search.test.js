@@ -0,0 +1,99 @@
+import { createSearchIndex, createSnippet, highlightText, tokenize } from './search';
+import { createTestItem } from './testUtils';
+
+const indexOf = (items) => {
+    const index = createSearchIndex();
+    index.sync(items);
+    return index;
+};
+const resultIds = (index, query) => index.search(query).map(result => result.item.id);
+
+test('tokenize lower-cases, strips accents and drops stop words', () => {
+    expect(tokenize('The Café at the END of 2024')).toEqual(['cafe', 'end', '2024']);
+});
+
+describe('search', () => {
+    const items = [
+        createTestItem(1, { title: 'Electricity invoice', tags: ['bills'] }),
+        createTestItem(2, { title: 'Groceries', note: 'Pay the invoice for the car repair' }),
+        createTestItem(3, { title: 'Today', summary: 'Plans for the weekend' }),
+    ];
+    const index = indexOf(items);
+
+    test('matches words exactly, by prefix and with typos', () => {
+        expect(resultIds(index, 'invoice')).toEqual([1, 2]);
+        expect(resultIds(index, 'elec')).toEqual([1]);
+        expect(resultIds(index, 'invoce')).toEqual([1, 2]);
+        expect(resultIds(index, 'grocereis')).toEqual([2]);
+        // Short words only match exactly or by prefix.
+        expect(resultIds(index, 'cat')).toEqual([]);
+    });
+
+    test('needs every word of the query to match', () => {
+        expect(resultIds(index, 'invoice car')).toEqual([2]);
+        expect(resultIds(index, 'invoice weekend')).toEqual([]);
+    });
+
+    test('still prefix-searches a query made only of stop words', () => {
+        expect(resultIds(index, 'to')).toEqual([3]);
+    });
+
+    test('returns the matched terms of each result', () => {
+        expect(index.search('invoce')[0].terms).toEqual(new Set(['invoice']));
+    });
+
+    test('ranks titles above notes, then newer items first', () => {
+        const ranked = indexOf([
+            createTestItem(1, { title: 'Trip', note: 'Receipt from the train', createdAt: '2024-03-03T09:00:00.000Z' }),
+            createTestItem(2, { title: 'Receipt', createdAt: '2024-03-01T09:00:00.000Z' }),
+            createTestItem(3, { title: 'Receipt', createdAt: '2024-03-02T09:00:00.000Z' }),
+        ]);
+        expect(resultIds(ranked, 'receipt')).toEqual([3, 2, 1]);
+    });
+});
+
+test('finds links by their page description and address', () => {
+    const index = indexOf([createTestItem(1, { type: 'link', title: 'Recipe', url: 'https://example.com/pancakes', description: 'Fluffy and quick' })]);
+    expect(resultIds(index, 'fluffy')).toEqual([1]);
+    expect(resultIds(index, 'pancakes')).toEqual([1]);
+});
+
+test('sync re-indexes replaced records and forgets deleted ones', () => {
+    const first = createTestItem(1, { title: 'Passport' });
+    const second = createTestItem(2, { title: 'Visa' });
+    const index = indexOf([first, second]);
+
+    index.sync([{ ...first, title: 'Driving licence' }]);
+    expect(resultIds(index, 'passport')).toEqual([]);
+    expect(resultIds(index, 'licence')).toEqual([1]);
+    expect(resultIds(index, 'visa')).toEqual([]);
+
+    // Records are compared by reference, so an unchanged record is not indexed again.
+    const unchanged = createTestItem(3, { title: 'Boarding pass' });
+    index.sync([unchanged]);
+    unchanged.title = 'Changed in place';
+    index.sync([unchanged]);
+    expect(resultIds(index, 'boarding')).toEqual([3]);
+});
+
+test('highlightText marks the matching words', () => {
+    expect(highlightText('Café and CAFE', new Set(['cafe']))).toEqual([
+        { text: 'Café', match: true },
+        { text: ' and ', match: false },
+        { text: 'CAFE', match: true },
+    ]);
+});
+
+test('highlightText cuts long text to a window around the first match', () => {
+    const text = `${'word '.repeat(40)}invoice ${'word '.repeat(40)}`;
+    const segments = highlightText(text, new Set(['invoice']), 60);
+    expect(segments[0]).toEqual({ text: '…', match: false });
+    expect(segments.find(segment => segment.match).text).toBe('invoice');
+    expect(segments[segments.length - 1]).toEqual({ text: '…', match: false });
+});
+
+test('createSnippet shows the body text that matched', () => {
+    const item = createTestItem(1, { title: 'Invoice', summary: 'Electricity for March' });
+    expect(createSnippet(item, new Set(['march']))).toEqual([{ text: 'Electricity for ', match: false }, { text: 'March', match: true }]);
+    expect(createSnippet(item, new Set(['invoice']))).toBeNull();
+});
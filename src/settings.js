@@ -0,0 +1,171 @@
+// --- Settings ---
+// User preferences, persisted in localStorage next to the theme. API keys stay
+// in this browser and are only ever sent to the provider they belong to.
+
+const SETTINGS_KEY = 'essentialSpaceSettings';
+
+export const DATE_FORMATS = {
+    'dd/mm/yy': 'Day first (23/08/26)',
+    'mm/dd/yy': 'Month first (08/23/26)',
+    'yyyy-mm-dd': 'ISO (2026-08-23)',
+};
+
+export const LANDING_PAGES = {
+    home: 'Home',
+    todo: 'To-Do',
+    collection: 'Collection',
+};
+
+// The day calendars start their weeks on, as a Date#getDay() number.
+export const WEEK_STARTS = {
+    0: 'Sunday',
+    1: 'Monday',
+    6: 'Saturday',
+};
+
+// The longest side, in pixels, screenshots are scaled down to before they are saved; 0 keeps their size.
+export const IMAGE_MAX_SIZES = {
+    1280: '1280 px',
+    1920: '1920 px',
+    2560: '2560 px',
+    3840: '3840 px',
+    0: 'Keep the original size',
+};
+
+export const IMAGE_FORMATS = {
+    'image/webp': 'WebP',
+    'image/jpeg': 'JPEG',
+};
+
+export const IMAGE_QUALITIES = {
+    0.6: 'Low (smallest files)',
+    0.8: 'Medium',
+    0.92: 'High',
+};
+
+export const RETRY_LIMITS = { minRetries: 1, maxRetries: 10, maxDelay: 60000 };
+
+// Days before trashed items are deleted for good; 0 keeps them until the trash is emptied.
+export const TRASH_RETENTION_DAYS = {
+    7: '7 days',
+    30: '30 days',
+    90: '90 days',
+    0: 'Never (empty it by hand)',
+};
+
+export const DEFAULT_SETTINGS = {
+    ai: {
+        enabled: true,
+        provider: 'gemini',
+        retries: 3,
+        retryDelay: 1000,
+        gemini: { apiKey: '', model: 'gemini-2.5-flash-preview-05-20' },
+        openai: { baseUrl: 'http://localhost:11434/v1', apiKey: '', model: 'llava' },
+    },
+    dateFormat: 'dd/mm/yy',
+    landingPage: 'home',
+    weekStart: 0,
+    trashRetentionDays: 30,
+    images: { maxSize: 1920, format: 'image/webp', quality: 0.8 },
+    // A CORS proxy for reading saved links' pages (the page URL is appended, encoded); '' fetches pages directly.
+    linkProxyUrl: '',
+    // Whether calendar exports include memory highlights that have a date, as all-day events.
+    exportHighlightsToCalendar: false,
+};
+
+// --- Helper Functions ---
+// Fills in defaults for any section or field a stored (possibly older) settings object lacks.
+const mergeWithDefaults = (defaults, stored) => {
+    if (typeof stored !== 'object' || stored === null || Array.isArray(stored)) return defaults;
+    return Object.fromEntries(Object.entries(defaults).map(([key, defaultValue]) => {
+        if (typeof defaultValue === 'object' && defaultValue !== null && !Array.isArray(defaultValue)) {
+            return [key, mergeWithDefaults(defaultValue, stored[key])];
+        }
+        return [key, typeof stored[key] === typeof defaultValue ? stored[key] : defaultValue];
+    }));
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+    const [key, ...rest] = path.split('.');
+    return { ...object, [key]: rest.length === 0 ? value : setPath(object[key], rest.join('.'), value) };
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Checks a settings object.
+ * @param {object} settings - The settings to check.
+ * @returns {object} - Error messages keyed by dotted path (e.g. "ai.retries"); empty when valid.
+ */
+export const validateSettings = (settings) => {
+    const errors = {};
+    const { ai } = settings;
+    if (!Number.isInteger(ai.retries) || ai.retries < RETRY_LIMITS.minRetries || ai.retries > RETRY_LIMITS.maxRetries) {
+        errors['ai.retries'] = `Enter a whole number from ${RETRY_LIMITS.minRetries} to ${RETRY_LIMITS.maxRetries}.`;
+    }
+    if (!Number.isInteger(ai.retryDelay) || ai.retryDelay < 0 || ai.retryDelay > RETRY_LIMITS.maxDelay) {
+        errors['ai.retryDelay'] = `Enter a delay from 0 to ${RETRY_LIMITS.maxDelay} milliseconds.`;
+    }
+    if (!['gemini', 'openai', 'mock'].includes(ai.provider)) {
+        errors['ai.provider'] = 'Choose a provider.';
+    }
+    if (!ai.gemini.model.trim()) {
+        errors['ai.gemini.model'] = 'Enter a model name.';
+    }
+    if (!isHttpUrl(ai.openai.baseUrl)) {
+        errors['ai.openai.baseUrl'] = 'Enter an http:// or https:// URL.';
+    }
+    if (!ai.openai.model.trim()) {
+        errors['ai.openai.model'] = 'Enter a model name.';
+    }
+    if (!(settings.dateFormat in DATE_FORMATS)) {
+        errors.dateFormat = 'Choose a date format.';
+    }
+    if (!(settings.landingPage in LANDING_PAGES)) {
+        errors.landingPage = 'Choose a landing page.';
+    }
+    if (!(settings.weekStart in WEEK_STARTS)) {
+        errors.weekStart = 'Choose the first day of the week.';
+    }
+    if (!(settings.trashRetentionDays in TRASH_RETENTION_DAYS)) {
+        errors.trashRetentionDays = 'Choose how long to keep trash.';
+    }
+    if (settings.linkProxyUrl && !isHttpUrl(settings.linkProxyUrl)) {
+        errors.linkProxyUrl = 'Enter an http:// or https:// URL, or leave it empty.';
+    }
+    if (!(settings.images.maxSize in IMAGE_MAX_SIZES)) {
+        errors['images.maxSize'] = 'Choose a maximum size.';
+    }
+    if (!(settings.images.format in IMAGE_FORMATS)) {
+        errors['images.format'] = 'Choose an image format.';
+    }
+    if (!(settings.images.quality in IMAGE_QUALITIES)) {
+        errors['images.quality'] = 'Choose an image quality.';
+    }
+    return errors;
+};
+
+// Loads the stored settings, replacing any value that fails validation with its default.
+export const loadSettings = () => {
+    let settings;
+    try {
+        settings = mergeWithDefaults(DEFAULT_SETTINGS, JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+    } catch (e) {
+        console.error("Failed to parse settings, using defaults", e);
+        return DEFAULT_SETTINGS;
+    }
+    return Object.keys(validateSettings(settings))
+        .reduce((current, path) => setPath(current, path, getPath(DEFAULT_SETTINGS, path)), settings);
+};
+
+export const saveSettings = (settings) => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
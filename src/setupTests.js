@@ -0,0 +1,9 @@
+// Runs before every test file (Create React App's Jest setup).
+// jsdom lacks a few globals that Node has: the encoders the calendar export and
+// zip backups use, and the structuredClone fake-indexeddb copies records with.
+import { TextDecoder, TextEncoder } from 'util';
+import { deserialize, serialize } from 'v8';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+global.structuredClone = (value) => deserialize(serialize(value));
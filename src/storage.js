@@ -0,0 +1,332 @@
+// --- Storage Adapters ---
+// Items and collections are persisted one record at a time through an adapter.
+// The IndexedDB adapter is used in the browser; the in-memory adapter keeps the
+// same interface for Jest tests and environments without IndexedDB.
+
+const DB_NAME = 'essentialSpace';
+const DB_VERSION = 2;
+const LEGACY_ITEMS_KEY = 'essentialSpaceItems';
+const LEGACY_COLLECTIONS_KEY = 'essentialSpaceCollections';
+const LEGACY_MIGRATED_KEY = 'legacyLocalStorageMigrated';
+// Item fields kept as Blobs in their own object store, with a flag on the record in their place.
+const BLOB_FIELDS = [
+    { field: 'imageData', store: 'images', flag: 'hasImage' },
+    { field: 'thumbnail', store: 'thumbnails', flag: 'hasThumbnail' },
+];
+const BLOB_STORES = BLOB_FIELDS.map(({ store }) => store);
+
+// --- Helper Functions ---
+// The MIME type in a data URL's header, e.g. "image/jpeg".
+export const getDataUrlMimeType = (dataUrl) => dataUrl.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+
+// Converts a base64 data URL (as produced by FileReader.readAsDataURL) into a Blob.
+export const dataUrlToBlob = (dataUrl) => {
+    const [, base64 = ''] = dataUrl.split(',');
+    const mimeType = getDataUrlMimeType(dataUrl);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+};
+
+// Reads a Blob back into a base64 data URL.
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+/**
+ * Compares two versions of a record list by reference, so that only records
+ * which were replaced by an immutable update are written back.
+ * @param {Array<object>} previous - The list currently persisted.
+ * @param {Array<object>} next - The list about to be persisted.
+ * @returns {{changed: Array<object>, removedIds: Array}} - Records to write and ids to delete.
+ */
+export const diffRecords = (previous, next) => {
+    const previousById = new Map(previous.map(record => [record.id, record]));
+    const nextIds = new Set(next.map(record => record.id));
+    return {
+        changed: next.filter(record => previousById.get(record.id) !== record),
+        removedIds: previous.filter(record => !nextIds.has(record.id)).map(record => record.id),
+    };
+};
+
+// Returns the unparsed pre-IndexedDB localStorage data, e.g. to offer it for download when it cannot be read.
+export const readLegacyLocalStorage = () => ({
+    items: localStorage.getItem(LEGACY_ITEMS_KEY),
+    collections: localStorage.getItem(LEGACY_COLLECTIONS_KEY),
+});
+
+const removeLegacyLocalStorage = () => {
+    localStorage.removeItem(LEGACY_ITEMS_KEY);
+    localStorage.removeItem(LEGACY_COLLECTIONS_KEY);
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+// --- IndexedDB Adapter ---
+/**
+ * Creates an adapter backed by IndexedDB. Screenshots and their thumbnails are
+ * split out of their item into the `images` and `thumbnails` stores as Blobs and
+ * handed back as object URLs, so the item records themselves stay small.
+ * @param {IDBFactory} idb - The IndexedDB factory to use.
+ * @returns {object} - The storage adapter.
+ */
+export const createIndexedDbAdapter = (idb = window.indexedDB) => {
+    let dbPromise = null;
+    const objectUrls = new Map();
+
+    const openDb = () => {
+        if (!dbPromise) {
+            const request = idb.open(DB_NAME, DB_VERSION);
+            // Each version only adds stores, so creating the missing ones upgrades from any older version.
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const stores = { items: { keyPath: 'id' }, collections: { keyPath: 'id' }, images: {}, thumbnails: {}, meta: {} };
+                Object.entries(stores)
+                    .filter(([name]) => !db.objectStoreNames.contains(name))
+                    .forEach(([name, options]) => db.createObjectStore(name, options));
+            };
+            // A failed open is not cached, so a retry from the recovery screen tries again.
+            dbPromise = promisifyRequest(request).then((db) => {
+                // Let another tab upgrade the database instead of blocking it.
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                return db;
+            }).catch((error) => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    };
+
+    // Moves the data written by older builds into IndexedDB. The localStorage keys
+    // are only removed once the transaction holding the copied records has committed,
+    // and a parse failure leaves them untouched for the recovery screen.
+    const migrateFromLocalStorage = async (db) => {
+        const migrated = await promisifyRequest(db.transaction('meta').objectStore('meta').get(LEGACY_MIGRATED_KEY));
+        if (migrated) return;
+
+        const legacy = readLegacyLocalStorage();
+        const items = JSON.parse(legacy.items) || [];
+        const collections = JSON.parse(legacy.collections) || [];
+        const tx = db.transaction(['items', 'collections', ...BLOB_STORES, 'meta'], 'readwrite');
+        items.forEach(item => writeItem(tx, item));
+        collections.forEach(collection => tx.objectStore('collections').put(collection));
+        tx.objectStore('meta').put(true, LEGACY_MIGRATED_KEY);
+        await transactionDone(tx);
+        removeLegacyLocalStorage();
+    };
+
+    const writeItem = (tx, item) => {
+        const record = { ...item };
+        BLOB_FIELDS.forEach(({ field, store, flag }) => {
+            const value = record[field];
+            delete record[field];
+            if (value) {
+                record[flag] = true;
+                // Object URLs point at a Blob that is already stored; only new data URLs need writing.
+                if (value.startsWith('data:')) {
+                    tx.objectStore(store).put(dataUrlToBlob(value), item.id);
+                    revokeObjectUrl(store, item.id);
+                }
+            } else if (!record[flag]) {
+                // The record may be replacing one that had a screenshot, e.g. after an import.
+                tx.objectStore(store).delete(item.id);
+                revokeObjectUrl(store, item.id);
+            }
+        });
+        tx.objectStore('items').put(record);
+    };
+
+    // Object URLs are cached per store and id, so every load hands out the same URL for the same Blob.
+    const toObjectUrl = (store, id, blob) => {
+        const key = `${store}:${id}`;
+        if (!objectUrls.has(key)) {
+            objectUrls.set(key, URL.createObjectURL(blob));
+        }
+        return objectUrls.get(key);
+    };
+
+    const revokeObjectUrl = (store, id) => {
+        const key = `${store}:${id}`;
+        if (objectUrls.has(key)) {
+            URL.revokeObjectURL(objectUrls.get(key));
+            objectUrls.delete(key);
+        }
+    };
+
+    // getAll and getAllKeys both return in key order, so the two lists line up.
+    const readBlobStore = async (tx, store) => {
+        const [keys, blobs] = await Promise.all([
+            promisifyRequest(tx.objectStore(store).getAllKeys()),
+            promisifyRequest(tx.objectStore(store).getAll()),
+        ]);
+        return new Map(keys.map((key, index) => [key, blobs[index]]));
+    };
+
+    return {
+        async loadAll() {
+            const db = await openDb();
+            await migrateFromLocalStorage(db);
+            const tx = db.transaction(['items', 'collections', ...BLOB_STORES]);
+            const [records, collections, ...blobStores] = await Promise.all([
+                promisifyRequest(tx.objectStore('items').getAll()),
+                promisifyRequest(tx.objectStore('collections').getAll()),
+                ...BLOB_STORES.map(store => readBlobStore(tx, store)),
+            ]);
+            const items = records.map(record => BLOB_FIELDS.reduce((item, { field, store, flag }, index) => {
+                const { [flag]: hasBlob, ...rest } = item;
+                const blob = blobStores[index].get(item.id);
+                return hasBlob && blob ? { ...rest, [field]: toObjectUrl(store, item.id, blob) } : rest;
+            }, record));
+            return { items, collections };
+        },
+
+        async putItems(items) {
+            if (items.length === 0) return;
+            const db = await openDb();
+            const tx = db.transaction(['items', ...BLOB_STORES], 'readwrite');
+            items.forEach(item => writeItem(tx, item));
+            await transactionDone(tx);
+        },
+
+        async deleteItems(ids) {
+            if (ids.length === 0) return;
+            const db = await openDb();
+            const tx = db.transaction(['items', ...BLOB_STORES], 'readwrite');
+            ids.forEach(id => {
+                tx.objectStore('items').delete(id);
+                BLOB_STORES.forEach(store => tx.objectStore(store).delete(id));
+            });
+            await transactionDone(tx);
+            ids.forEach(id => BLOB_STORES.forEach(store => revokeObjectUrl(store, id)));
+        },
+
+        async putCollections(collections) {
+            if (collections.length === 0) return;
+            const db = await openDb();
+            const tx = db.transaction('collections', 'readwrite');
+            collections.forEach(collection => tx.objectStore('collections').put(collection));
+            await transactionDone(tx);
+        },
+
+        async deleteCollections(ids) {
+            if (ids.length === 0) return;
+            const db = await openDb();
+            const tx = db.transaction('collections', 'readwrite');
+            ids.forEach(id => tx.objectStore('collections').delete(id));
+            await transactionDone(tx);
+        },
+
+        // Empties the space. Screenshots and thumbnails can be kept for records that are about
+        // to be written back, e.g. when restoring a backup. Legacy localStorage data is discarded too.
+        async clearAll({ keepImages = false } = {}) {
+            const db = await openDb();
+            const tx = db.transaction(['items', 'collections', ...BLOB_STORES, 'meta'], 'readwrite');
+            tx.objectStore('items').clear();
+            tx.objectStore('collections').clear();
+            if (!keepImages) {
+                BLOB_STORES.forEach(store => tx.objectStore(store).clear());
+            }
+            tx.objectStore('meta').put(true, LEGACY_MIGRATED_KEY);
+            await transactionDone(tx);
+            removeLegacyLocalStorage();
+            if (!keepImages) {
+                objectUrls.forEach(url => URL.revokeObjectURL(url));
+                objectUrls.clear();
+            }
+        },
+
+        async getImage(id) {
+            const db = await openDb();
+            const blob = await promisifyRequest(db.transaction('images').objectStore('images').get(id));
+            return blob || null;
+        },
+
+        async getMeta(key) {
+            const db = await openDb();
+            return promisifyRequest(db.transaction('meta').objectStore('meta').get(key));
+        },
+
+        async setMeta(key, value) {
+            const db = await openDb();
+            const tx = db.transaction('meta', 'readwrite');
+            tx.objectStore('meta').put(value, key);
+            await transactionDone(tx);
+        },
+    };
+};
+
+// --- In-Memory Adapter ---
+/**
+ * Creates an adapter that keeps everything in Maps. Intended for Jest tests,
+ * where jsdom provides neither IndexedDB nor object URLs.
+ * @param {{items?: Array<object>, collections?: Array<object>}} seed - Initial records.
+ * @returns {object} - The storage adapter.
+ */
+export const createMemoryAdapter = ({ items = [], collections = [] } = {}) => {
+    const itemStore = new Map(items.map(item => [item.id, { ...item }]));
+    const collectionStore = new Map(collections.map(collection => [collection.id, { ...collection }]));
+    const metaStore = new Map();
+
+    return {
+        async loadAll() {
+            return {
+                items: Array.from(itemStore.values(), item => ({ ...item })),
+                collections: Array.from(collectionStore.values(), collection => ({ ...collection })),
+            };
+        },
+        async putItems(newItems) {
+            newItems.forEach(item => itemStore.set(item.id, { ...item }));
+        },
+        async deleteItems(ids) {
+            ids.forEach(id => itemStore.delete(id));
+        },
+        async putCollections(newCollections) {
+            newCollections.forEach(collection => collectionStore.set(collection.id, { ...collection }));
+        },
+        async deleteCollections(ids) {
+            ids.forEach(id => collectionStore.delete(id));
+        },
+        async clearAll() {
+            itemStore.clear();
+            collectionStore.clear();
+        },
+        async getImage(id) {
+            const imageData = itemStore.get(id)?.imageData;
+            return imageData && imageData.startsWith('data:') ? dataUrlToBlob(imageData) : null;
+        },
+        async getMeta(key) {
+            return metaStore.get(key);
+        },
+        async setMeta(key, value) {
+            metaStore.set(key, value);
+        },
+    };
+};
+
+// Picks the IndexedDB adapter where the browser supports it.
+export const createStorage = () => {
+    if (typeof window !== 'undefined' && window.indexedDB) {
+        return createIndexedDbAdapter(window.indexedDB);
+    }
+    console.warn("IndexedDB is unavailable, changes will not persist across reloads.");
+    return createMemoryAdapter();
+};
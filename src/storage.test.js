@@ -0,0 +1,87 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { createIndexedDbAdapter, createMemoryAdapter, dataUrlToBlob, diffRecords, getDataUrlMimeType } from './storage';
+import { createTestCollection, createTestItem } from './testUtils';
+
+describe('memory adapter', () => {
+    test('keeps records and hands out copies', async () => {
+        const storage = createMemoryAdapter({ items: [createTestItem(1)], collections: [createTestCollection(10)] });
+        await storage.putItems([createTestItem(2), createTestItem(1, { title: 'Renamed' })]);
+        await storage.deleteCollections([10]);
+
+        const { items, collections } = await storage.loadAll();
+        expect(items.map(item => item.title)).toEqual(['Renamed', 'Memory 2']);
+        expect(collections).toEqual([]);
+
+        items[0].title = 'Changed outside';
+        expect((await storage.loadAll()).items[0].title).toBe('Renamed');
+    });
+
+    test('returns screenshots as Blobs and keeps meta values', async () => {
+        const storage = createMemoryAdapter({ items: [createTestItem(1, { imageData: 'data:image/png;base64,iVBORw0KGgo=' }), createTestItem(2)] });
+        expect((await storage.getImage(1)).type).toBe('image/png');
+        expect(await storage.getImage(2)).toBeNull();
+
+        await storage.setMeta('schemaVersion', 3);
+        expect(await storage.getMeta('schemaVersion')).toBe(3);
+    });
+
+    test('clearAll empties the space', async () => {
+        const storage = createMemoryAdapter({ items: [createTestItem(1)], collections: [createTestCollection(10)] });
+        await storage.clearAll();
+        expect(await storage.loadAll()).toEqual({ items: [], collections: [] });
+    });
+});
+
+describe('IndexedDB adapter', () => {
+    afterEach(() => localStorage.clear());
+
+    test('moves the data of older builds out of localStorage once', async () => {
+        localStorage.setItem('essentialSpaceItems', JSON.stringify([createTestItem(1), createTestItem(2)]));
+        localStorage.setItem('essentialSpaceCollections', JSON.stringify([createTestCollection(10)]));
+        const idb = new IDBFactory();
+
+        const { items, collections } = await createIndexedDbAdapter(idb).loadAll();
+        expect(items).toEqual([createTestItem(1), createTestItem(2)]);
+        expect(collections).toEqual([createTestCollection(10)]);
+        expect(localStorage.getItem('essentialSpaceItems')).toBeNull();
+        expect(localStorage.getItem('essentialSpaceCollections')).toBeNull();
+
+        // Data an older tab writes afterwards doesn't overwrite the migrated space.
+        localStorage.setItem('essentialSpaceItems', JSON.stringify([createTestItem(3)]));
+        const reloaded = await createIndexedDbAdapter(idb).loadAll();
+        expect(reloaded.items.map(item => item.id)).toEqual([1, 2]);
+    });
+
+    test('leaves unreadable localStorage data in place', async () => {
+        localStorage.setItem('essentialSpaceItems', '[{"id": 1,');
+        await expect(createIndexedDbAdapter(new IDBFactory()).loadAll()).rejects.toThrow(SyntaxError);
+        expect(localStorage.getItem('essentialSpaceItems')).toBe('[{"id": 1,');
+    });
+
+    test('writes and deletes records', async () => {
+        const storage = createIndexedDbAdapter(new IDBFactory());
+        await storage.putItems([createTestItem(1), createTestItem(2)]);
+        await storage.putCollections([createTestCollection(10)]);
+        await storage.deleteItems([1]);
+
+        const { items, collections } = await storage.loadAll();
+        expect(items).toEqual([createTestItem(2)]);
+        expect(collections).toEqual([createTestCollection(10)]);
+    });
+});
+
+test('diffRecords finds replaced and removed records by reference', () => {
+    const kept = createTestItem(1);
+    const replaced = createTestItem(2);
+    const updated = { ...replaced, title: 'Updated' };
+    const added = createTestItem(4);
+    expect(diffRecords([kept, replaced, createTestItem(3)], [kept, updated, added])).toEqual({ changed: [updated, added], removedIds: [3] });
+});
+
+test('data URLs become Blobs of their MIME type', () => {
+    expect(getDataUrlMimeType('data:image/webp;base64,AAAA')).toBe('image/webp');
+    expect(getDataUrlMimeType('not a data url')).toBe('application/octet-stream');
+    const blob = dataUrlToBlob('data:text/plain;base64,aGVsbG8=');
+    expect(blob.type).toBe('text/plain');
+    expect(blob.size).toBe(5);
+});
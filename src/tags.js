@@ -0,0 +1,93 @@
+// --- Tags ---
+// Tags are plain strings on each item, written by the AI or by hand. They are
+// compared case-insensitively, so "Invoice" and "invoice" are the same tag;
+// the spelling used on the most items is the one shown.
+
+const MAX_TAG_LENGTH = 40;
+const MAX_SUGGESTIONS = 8;
+
+const tagKey = (tag) => tag.toLowerCase();
+
+/**
+ * Cleans up a tag typed by the user.
+ * @param {string} tag - The raw input.
+ * @returns {string} - The tag trimmed, without a leading "#" and with inner whitespace collapsed; empty if nothing is left.
+ */
+export const normalizeTag = (tag) => String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LENGTH);
+
+/**
+ * Adds a tag to a list unless it is already there.
+ * @param {Array<string>} tags - The current tags.
+ * @param {string} tag - The tag to add (normalized here).
+ * @returns {Array<string>} - The new list; the same array when nothing changed.
+ */
+export const addTag = (tags, tag) => {
+    const normalized = normalizeTag(tag);
+    if (!normalized || tags.some(existing => tagKey(existing) === tagKey(normalized))) return tags;
+    return [...tags, normalized];
+};
+
+/**
+ * Counts how many items use each tag.
+ * @param {Array<object>} items - All items.
+ * @returns {Array<{tag: string, count: number}>} - One entry per tag, most used first.
+ */
+export const collectTagCounts = (items) => {
+    const groups = new Map(); // key -> { count, spellings: Map(spelling -> count) }
+    items.forEach(item => {
+        new Set(item.tags).forEach(tag => {
+            const key = tagKey(tag);
+            if (!groups.has(key)) groups.set(key, { count: 0, spellings: new Map() });
+            const group = groups.get(key);
+            group.count++;
+            group.spellings.set(tag, (group.spellings.get(tag) || 0) + 1);
+        });
+    });
+    return Array.from(groups.values())
+        .map(({ count, spellings }) => ({
+            tag: Array.from(spellings).sort(([, a], [, b]) => b - a)[0][0],
+            count,
+        }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Renames tags across all items. Renaming several tags to one name merges them.
+ * @param {Array<object>} items - All items.
+ * @param {Array<string>} fromTags - The tags to replace (compared case-insensitively).
+ * @param {string} toTag - The new name.
+ * @returns {{items: Array<object>, changed: number}} - Items with the tags replaced (untouched items keep their identity) and how many changed.
+ */
+export const renameTags = (items, fromTags, toTag) => {
+    const normalized = normalizeTag(toTag);
+    const fromKeys = new Set(fromTags.map(tagKey));
+    let changed = 0;
+    const newItems = items.map(item => {
+        if (!item.tags.some(tag => fromKeys.has(tagKey(tag)))) return item;
+        const tags = item.tags
+            .map(tag => (fromKeys.has(tagKey(tag)) ? normalized : tag))
+            .reduce((kept, tag) => addTag(kept, tag), []);
+        if (tags.length === item.tags.length && tags.every((tag, index) => tag === item.tags[index])) return item;
+        changed++;
+        return { ...item, tags };
+    });
+    return { items: newItems, changed };
+};
+
+/**
+ * Autocomplete suggestions for a partly typed tag.
+ * @param {Array<{tag: string, count: number}>} tagCounts - From `collectTagCounts`.
+ * @param {string} input - What has been typed so far.
+ * @param {Array<string>} exclude - Tags already on the item.
+ * @returns {Array<string>} - Matching tags, prefix matches first, then by use.
+ */
+export const suggestTags = (tagCounts, input, exclude = []) => {
+    const query = tagKey(normalizeTag(input));
+    if (!query) return [];
+    const excluded = new Set(exclude.map(tagKey));
+    return tagCounts
+        .filter(({ tag }) => !excluded.has(tagKey(tag)) && tagKey(tag).includes(query))
+        .sort((a, b) => Number(tagKey(b.tag).startsWith(query)) - Number(tagKey(a.tag).startsWith(query)))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ tag }) => tag);
+};
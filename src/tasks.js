@@ -0,0 +1,272 @@
+// --- Tasks ---
+// A to-do is an item of type "todo". Its `title` is the task itself; the rest of
+// the task model lives next to it on the item:
+//   note         - free-form notes
+//   subtasks     - [{ id, title, completedAt }], one level deep
+//   priority     - 1 (highest) to 4 (none), as in "P1".."P4"
+//   completedAt  - when the task was ticked off, or null while it is open
+//   sourceItemId - the memory the task was created from, or null
+//   repeat       - an RRULE string for recurring to-dos (see recurrence.js), or null
+//   dueTime      - "HH:MM" on the deadline, or null for the whole day
+//   reminders    - minutes before the due time to remind at (see reminders.js)
+//   icsUid       - the UID of the calendar entry the to-do was imported from (see ics.js), or null
+// Older to-dos kept everything in `note` as "- [ ] text" lines; `parseChecklist`
+// turns those into this shape for the migration.
+import { describeRule, nextOccurrence, parseRule } from './recurrence';
+
+export const PRIORITIES = [1, 2, 3, 4];
+export const DEFAULT_PRIORITY = 4;
+
+const CHECKLIST_LINE = /^(\s*)-\s*\[( |x|X)\]\s*(.*)$/;
+
+// Subtask ids only need to be unique within their task.
+const nextSubtaskId = (subtasks) => Math.max(0, ...subtasks.map(subtask => subtask.id)) + 1;
+
+/**
+ * The details of a new to-do, ready for handleSave.
+ * @param {{title: string, deadline?: string|null, dueTime?: string|null, reminders?: Array<number>, priority?: number, note?: string, sourceItemId?: number|null, repeat?: string|null, icsUid?: string|null}} task - The task.
+ * @returns {object} - The to-do fields.
+ */
+export const createTask = ({ title, deadline = null, dueTime = null, reminders = [], priority = DEFAULT_PRIORITY, note = '', sourceItemId = null, repeat = null, icsUid = null }) => ({
+    type: 'todo',
+    title: title.trim(),
+    note,
+    deadline,
+    dueTime: deadline ? dueTime : null,
+    reminders: deadline ? reminders : [],
+    priority,
+    subtasks: [],
+    completedAt: null,
+    sourceItemId,
+    repeat,
+    icsUid,
+});
+
+/**
+ * Whether a to-do has been ticked off.
+ * @param {object} item - A to-do item.
+ * @returns {boolean} - True once the task is completed.
+ */
+export const isTodoDone = (item) => Boolean(item.completedAt);
+
+/**
+ * Reads a markdown checklist the way to-dos used to be stored. The first checklist
+ * line is the task, the following ones its subtasks, and any other text its notes.
+ * @param {string} note - The old note.
+ * @returns {{title: string, completed: boolean, subtasks: Array<{id: number, title: string, completed: boolean}>, notes: string}} - The parsed task.
+ */
+export const parseChecklist = (note) => {
+    const checklist = [];
+    const notes = [];
+    (note || '').split('\n').forEach(line => {
+        const match = line.match(CHECKLIST_LINE);
+        if (match) {
+            checklist.push({ title: match[3].trim(), completed: match[2].toLowerCase() === 'x' });
+        } else if (line.trim()) {
+            notes.push(line);
+        }
+    });
+    const [task = { title: '', completed: false }, ...rest] = checklist;
+    return {
+        title: task.title,
+        completed: task.completed,
+        subtasks: rest.map((subtask, index) => ({ id: index + 1, ...subtask })),
+        notes: notes.join('\n'),
+    };
+};
+
+/**
+ * Ticks a task or one of its subtasks on or off.
+ * @param {object} item - A to-do item.
+ * @param {number|null} subtaskId - The subtask to toggle, or null for the task itself.
+ * @param {Date} now - The completion time.
+ * @returns {object} - The updated item.
+ */
+export const toggleTask = (item, subtaskId = null, now = new Date()) => {
+    const toggle = (record) => ({ ...record, completedAt: record.completedAt ? null : now.toISOString() });
+    if (subtaskId === null) return toggle(item);
+    return { ...item, subtasks: item.subtasks.map(subtask => (subtask.id === subtaskId ? toggle(subtask) : subtask)) };
+};
+
+/**
+ * The next occurrence of a recurring to-do that has just been completed. Occurrences missed while the
+ * to-do was overdue are skipped, so a weekly chore done late is next due on its coming weekday.
+ * @param {object} item - The completed to-do.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {object|null} - The fields of the next occurrence (without id and createdAt), or null when the to-do
+ * doesn't repeat or its rule has ended.
+ */
+export const createNextOccurrence = (item, today) => {
+    const rule = parseRule(item.repeat);
+    if (!rule) return null;
+    const deadline = nextOccurrence(rule, item.deadline || today, today);
+    if (!deadline) return null;
+    return {
+        ...item,
+        deadline,
+        completedAt: null,
+        subtasks: item.subtasks.map(subtask => ({ ...subtask, completedAt: null })),
+        // The completed to-do keeps its calendar entry; this one is exported as a new entry.
+        icsUid: null,
+    };
+};
+
+/**
+ * Applies one of the To-Do page's bulk actions to a to-do.
+ * @param {object} item - A to-do item.
+ * @param {{type: 'done', done: boolean}|{type: 'deadline', deadline: string|null}|{type: 'shift', days: number}|{type: 'collection', collectionId: number|null}|{type: 'priority', priority: number}} action - The action.
+ * @param {Date} now - The completion time.
+ * @returns {object} - The updated item; the same item when the action doesn't change it (e.g. shifting a to-do without a deadline).
+ */
+export const applyTaskAction = (item, action, now = new Date()) => {
+    switch (action.type) {
+        case 'done':
+            return isTodoDone(item) === action.done ? item : { ...item, completedAt: action.done ? now.toISOString() : null };
+        case 'deadline':
+            if (item.deadline === action.deadline) return item;
+            // Due times and reminders only mean something on a deadline.
+            return action.deadline ? { ...item, deadline: action.deadline } : { ...item, deadline: null, dueTime: null, reminders: [] };
+        case 'shift':
+            return item.deadline && action.days !== 0 ? { ...item, deadline: shiftDate(item.deadline, action.days) } : item;
+        case 'collection': {
+            const collectionIds = action.collectionId === null ? [] : [action.collectionId];
+            return collectionIds.join() === item.collectionIds.join() ? item : { ...item, collectionIds };
+        }
+        case 'priority':
+            return item.priority === action.priority ? item : { ...item, priority: action.priority };
+        default:
+            return item;
+    }
+};
+
+/**
+ * Adds a subtask.
+ * @param {Array<object>} subtasks - The current subtasks.
+ * @param {string} title - The new subtask.
+ * @returns {Array<object>} - The new list; the same array when the title is blank.
+ */
+export const addSubtask = (subtasks, title) => {
+    if (!title.trim()) return subtasks;
+    return [...subtasks, { id: nextSubtaskId(subtasks), title: title.trim(), completedAt: null }];
+};
+
+/**
+ * The date some days after another.
+ * @param {string} value - A date (YYYY-MM-DD).
+ * @param {number} days - How many days to move it; negative moves it back.
+ * @returns {string} - The new date (YYYY-MM-DD).
+ */
+export const shiftDate = (value, days) => {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether an open to-do's deadline has passed. A to-do due today isn't overdue yet, whatever its due time.
+ * @param {object} item - A to-do item.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {boolean} - True when it is still open and was due before today.
+ */
+export const isOverdue = (item, today) => Boolean(item.deadline) && item.deadline < today && !isTodoDone(item);
+
+/**
+ * Orders to-dos for the list views: open before done, then by priority, newest first.
+ * @param {object} a - A to-do.
+ * @param {object} b - Another to-do.
+ * @returns {number} - A comparator result.
+ */
+export const compareTasks = (a, b) => (
+    Number(isTodoDone(a)) - Number(isTodoDone(b))
+    || a.priority - b.priority
+    || new Date(b.createdAt) - new Date(a.createdAt)
+);
+
+// --- Smart Groups ---
+// The To-Do page splits to-dos by deadline. Every group can be sorted on its own; `sortBy` is where each starts.
+export const TODO_GROUPS = [
+    { id: 'overdue', label: 'Overdue', sortBy: 'deadline' },
+    { id: 'today', label: 'Today', sortBy: 'priority' },
+    { id: 'upcoming', label: 'Next 7 days', sortBy: 'deadline' },
+    { id: 'later', label: 'Later', sortBy: 'deadline' },
+    { id: 'none', label: 'No date', sortBy: 'priority' },
+    { id: 'completed', label: 'Completed', sortBy: 'created' },
+];
+
+export const TODO_SORTS = {
+    deadline: 'Deadline',
+    priority: 'Priority',
+    created: 'Created',
+};
+
+const UPCOMING_DAYS = 7;
+
+// Earlier deadlines first and to-dos without one last; on the same day, whole-day to-dos come before timed ones.
+const compareDeadlines = (a, b) => {
+    if (!a.deadline || !b.deadline) return Number(!a.deadline) - Number(!b.deadline);
+    return `${a.deadline} ${a.dueTime || ''}`.localeCompare(`${b.deadline} ${b.dueTime || ''}`);
+};
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+const TASK_COMPARATORS = {
+    deadline: (a, b) => compareDeadlines(a, b) || a.priority - b.priority,
+    priority: (a, b) => a.priority - b.priority || compareDeadlines(a, b),
+    created: newestFirst,
+};
+
+/**
+ * Sorts to-dos, open before done.
+ * @param {Array<object>} todos - The to-dos.
+ * @param {string} sortBy - A key of TODO_SORTS.
+ * @returns {Array<object>} - A sorted copy; ties go to the newest.
+ */
+export const sortTasks = (todos, sortBy) => [...todos].sort((a, b) => (
+    Number(isTodoDone(a)) - Number(isTodoDone(b))
+    || TASK_COMPARATORS[sortBy](a, b)
+    || newestFirst(a, b)
+));
+
+/**
+ * Which smart group a to-do belongs in.
+ * @param {object} item - A to-do item.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {string} - The id of one of TODO_GROUPS.
+ */
+export const getTodoGroup = (item, today) => {
+    if (isTodoDone(item)) return 'completed';
+    if (!item.deadline) return 'none';
+    if (item.deadline < today) return 'overdue';
+    if (item.deadline === today) return 'today';
+    return item.deadline <= shiftDate(today, UPCOMING_DAYS) ? 'upcoming' : 'later';
+};
+
+/**
+ * Splits to-dos into the smart groups.
+ * @param {Array<object>} todos - The to-dos.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {Array<{id: string, label: string, sortBy: string, items: Array<object>}>} - Every group in TODO_GROUPS order, empty ones included.
+ */
+export const groupTodos = (todos, today) => TODO_GROUPS.map(group => ({
+    ...group,
+    items: todos.filter(item => getTodoGroup(item, today) === group.id),
+}));
+
+/**
+ * Writes a to-do as a markdown checklist, with its subtasks indented under it and its notes after them.
+ * @param {object} item - A to-do item.
+ * @param {function(string, string|null): string} formatLine - Adds extras such as the due date to the task line.
+ * @returns {string} - The markdown lines.
+ */
+export const taskToMarkdown = (item, formatLine = line => line) => {
+    const checkbox = (record) => (record.completedAt ? '[x]' : '[ ]');
+    const priority = item.priority < DEFAULT_PRIORITY ? ` (P${item.priority})` : '';
+    const rule = parseRule(item.repeat);
+    const repeat = rule ? ` 🔁 ${describeRule(rule)}` : '';
+    const lines = [
+        formatLine(`- ${checkbox(item)} ${item.title}${priority}${repeat}`, item.deadline),
+        ...item.subtasks.map(subtask => `    - ${checkbox(subtask)} ${subtask.title}`),
+        ...(item.note ? item.note.split('\n').map(line => `    ${line}`) : []),
+    ];
+    return lines.join('\n');
+};
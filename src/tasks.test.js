@@ -0,0 +1,186 @@
+import {
+    addSubtask, applyTaskAction, compareTasks, createNextOccurrence, createTask, groupTodos, isOverdue, parseChecklist, shiftDate, sortTasks, taskToMarkdown, toggleTask,
+} from './tasks';
+import { createTestTodo } from './testUtils';
+
+const NOW = new Date('2024-03-02T10:00:00.000Z');
+
+test('createTask trims the title and fills in the task fields', () => {
+    expect(createTask({ title: '  Renew passport ', deadline: '2024-04-01', dueTime: '10:00', reminders: [60] })).toEqual({
+        type: 'todo', title: 'Renew passport', note: '', deadline: '2024-04-01', dueTime: '10:00', reminders: [60],
+        priority: 4, subtasks: [], completedAt: null, sourceItemId: null, repeat: null, icsUid: null,
+    });
+    // A time and reminders only mean something on a day.
+    expect(createTask({ title: 'Someday', dueTime: '10:00', reminders: [60] })).toMatchObject({ deadline: null, dueTime: null, reminders: [] });
+});
+
+describe('parseChecklist', () => {
+    test('reads the task, its subtasks and its notes', () => {
+        expect(parseChecklist('- [x] Plan trip\n  - [ ] Book hotel\n- [X] Pack\n\nBring the passport')).toEqual({
+            title: 'Plan trip',
+            completed: true,
+            subtasks: [{ id: 1, title: 'Book hotel', completed: false }, { id: 2, title: 'Pack', completed: true }],
+            notes: 'Bring the passport',
+        });
+    });
+
+    test('copes with notes that have no checklist', () => {
+        expect(parseChecklist('Just a note')).toEqual({ title: '', completed: false, subtasks: [], notes: 'Just a note' });
+        expect(parseChecklist(undefined)).toEqual({ title: '', completed: false, subtasks: [], notes: '' });
+    });
+});
+
+test('toggleTask ticks the task or a subtask on and off', () => {
+    const todo = createTestTodo(1, { subtasks: [{ id: 1, title: 'Book hotel', completedAt: null }] });
+
+    const done = toggleTask(todo, null, NOW);
+    expect(done.completedAt).toBe(NOW.toISOString());
+    expect(toggleTask(done, null, NOW).completedAt).toBeNull();
+
+    const subtaskDone = toggleTask(todo, 1, NOW);
+    expect(subtaskDone.completedAt).toBeNull();
+    expect(subtaskDone.subtasks).toEqual([{ id: 1, title: 'Book hotel', completedAt: NOW.toISOString() }]);
+});
+
+describe('createNextOccurrence', () => {
+    const weekly = createTestTodo(1, {
+        repeat: 'FREQ=WEEKLY',
+        deadline: '2024-03-01',
+        completedAt: NOW.toISOString(),
+        subtasks: [{ id: 1, title: 'Water the plants', completedAt: NOW.toISOString() }],
+    });
+
+    test('reopens the to-do on its next date, with its subtasks unticked', () => {
+        expect(createNextOccurrence(weekly, '2024-03-02')).toEqual({
+            ...weekly,
+            deadline: '2024-03-08',
+            completedAt: null,
+            subtasks: [{ id: 1, title: 'Water the plants', completedAt: null }],
+        });
+    });
+
+    test('skips the occurrences missed while the to-do was overdue', () => {
+        expect(createNextOccurrence(weekly, '2024-03-20').deadline).toBe('2024-03-22');
+    });
+
+    test('ends with the rule, and to-dos without one never repeat', () => {
+        expect(createNextOccurrence({ ...weekly, repeat: 'FREQ=WEEKLY;UNTIL=20240305' }, '2024-03-02')).toBeNull();
+        expect(createNextOccurrence(createTestTodo(2), '2024-03-02')).toBeNull();
+    });
+});
+
+describe('applyTaskAction', () => {
+    const todo = createTestTodo(1, { deadline: '2024-03-30', dueTime: '10:00', reminders: [60], collectionIds: [10, 11] });
+
+    test('ticks to-dos off and reopens them', () => {
+        const done = applyTaskAction(todo, { type: 'done', done: true }, NOW);
+        expect(done.completedAt).toBe(NOW.toISOString());
+        expect(applyTaskAction(done, { type: 'done', done: true }, NOW)).toBe(done);
+        expect(applyTaskAction(done, { type: 'done', done: false }, NOW).completedAt).toBeNull();
+    });
+
+    test('sets and shifts deadlines, dropping the time and reminders with the deadline', () => {
+        expect(applyTaskAction(todo, { type: 'deadline', deadline: '2024-04-02' })).toMatchObject({ deadline: '2024-04-02', dueTime: '10:00', reminders: [60] });
+        expect(applyTaskAction(todo, { type: 'deadline', deadline: null })).toMatchObject({ deadline: null, dueTime: null, reminders: [] });
+        expect(applyTaskAction(todo, { type: 'shift', days: 3 }).deadline).toBe('2024-04-02');
+    });
+
+    test('moves to-dos into one collection or none and sets their priority', () => {
+        expect(applyTaskAction(todo, { type: 'collection', collectionId: 12 }).collectionIds).toEqual([12]);
+        expect(applyTaskAction(todo, { type: 'collection', collectionId: null }).collectionIds).toEqual([]);
+        expect(applyTaskAction(todo, { type: 'priority', priority: 1 }).priority).toBe(1);
+    });
+
+    test('returns the same to-do when nothing changes', () => {
+        const undated = createTestTodo(2);
+        const filed = { ...todo, collectionIds: [12] };
+        expect(applyTaskAction(undated, { type: 'shift', days: 3 })).toBe(undated);
+        expect(applyTaskAction(todo, { type: 'deadline', deadline: '2024-03-30' })).toBe(todo);
+        expect(applyTaskAction(todo, { type: 'priority', priority: 4 })).toBe(todo);
+        expect(applyTaskAction(filed, { type: 'collection', collectionId: 12 })).toBe(filed);
+    });
+});
+
+test('addSubtask numbers subtasks within the task and ignores blank titles', () => {
+    const subtasks = [{ id: 3, title: 'Pack', completedAt: null }];
+    expect(addSubtask(subtasks, ' Book hotel ')).toEqual([...subtasks, { id: 4, title: 'Book hotel', completedAt: null }]);
+    expect(addSubtask(subtasks, '  ')).toBe(subtasks);
+});
+
+test('compareTasks puts open tasks first, then by priority, newest first', () => {
+    const tasks = [
+        createTestTodo(1, { completedAt: NOW.toISOString(), priority: 1 }),
+        createTestTodo(2, { priority: 3 }),
+        createTestTodo(3, { priority: 1, createdAt: '2024-03-01T08:00:00.000Z' }),
+        createTestTodo(4, { priority: 1, createdAt: '2024-03-01T10:00:00.000Z' }),
+    ];
+    expect([...tasks].sort(compareTasks).map(task => task.id)).toEqual([4, 3, 2, 1]);
+});
+
+test('shiftDate moves a date across month ends', () => {
+    expect(shiftDate('2024-02-28', 2)).toBe('2024-03-01');
+    expect(shiftDate('2024-03-01', -1)).toBe('2024-02-29');
+});
+
+test('isOverdue counts open to-dos due before today', () => {
+    expect(isOverdue(createTestTodo(1, { deadline: '2024-03-01' }), '2024-03-02')).toBe(true);
+    expect(isOverdue(createTestTodo(2, { deadline: '2024-03-02', dueTime: '08:00' }), '2024-03-02')).toBe(false);
+    expect(isOverdue(createTestTodo(3, { deadline: '2024-03-01', completedAt: NOW.toISOString() }), '2024-03-02')).toBe(false);
+    expect(isOverdue(createTestTodo(4), '2024-03-02')).toBe(false);
+});
+
+test('groupTodos splits to-dos by deadline and lists every group', () => {
+    const todos = [
+        createTestTodo(1, { deadline: '2024-03-01' }),
+        createTestTodo(2, { deadline: '2024-03-02' }),
+        createTestTodo(3, { deadline: '2024-03-09' }),
+        createTestTodo(4, { deadline: '2024-03-10' }),
+        createTestTodo(5),
+        createTestTodo(6, { deadline: '2024-03-01', completedAt: NOW.toISOString() }),
+    ];
+    expect(groupTodos(todos, '2024-03-02').map(group => [group.id, group.items.map(item => item.id)])).toEqual([
+        ['overdue', [1]],
+        ['today', [2]],
+        ['upcoming', [3]],
+        ['later', [4]],
+        ['none', [5]],
+        ['completed', [6]],
+    ]);
+});
+
+describe('sortTasks', () => {
+    const todos = [
+        createTestTodo(1, { deadline: '2024-03-02', dueTime: '08:00', priority: 3 }),
+        createTestTodo(2, { deadline: '2024-03-02', priority: 1 }),
+        createTestTodo(3, { priority: 2, createdAt: '2024-03-01T10:00:00.000Z' }),
+        createTestTodo(4, { deadline: '2024-03-01', completedAt: NOW.toISOString() }),
+        createTestTodo(5, { priority: 2, createdAt: '2024-03-01T11:00:00.000Z' }),
+    ];
+    const sortedIds = (sortBy) => sortTasks(todos, sortBy).map(todo => todo.id);
+
+    test('by deadline, whole-day to-dos first and undated ones last', () => {
+        expect(sortedIds('deadline')).toEqual([2, 1, 5, 3, 4]);
+    });
+
+    test('by priority, then deadline', () => {
+        expect(sortedIds('priority')).toEqual([2, 5, 3, 1, 4]);
+    });
+
+    test('by creation, newest first', () => {
+        expect(sortedIds('created')).toEqual([5, 3, 1, 2, 4]);
+    });
+});
+
+test('taskToMarkdown writes a checklist with subtasks and notes indented', () => {
+    const todo = createTestTodo(1, {
+        title: 'Plan trip',
+        priority: 2,
+        deadline: '2024-04-01',
+        repeat: 'FREQ=WEEKLY;BYDAY=MO',
+        note: 'Bring the passport',
+        subtasks: [{ id: 1, title: 'Book hotel', completedAt: NOW.toISOString() }],
+    });
+    expect(taskToMarkdown(todo, (line, deadline) => `${line} 📅 ${deadline}`)).toBe(
+        '- [ ] Plan trip (P2) 🔁 every week on Monday 📅 2024-04-01\n    - [x] Book hotel\n    Bring the passport',
+    );
+});
@@ -0,0 +1,60 @@
+// --- Test Fixtures ---
+// Records shaped the way the app saves them. Every test file builds its fixtures
+// here, so a schema change is made in one place and no test drifts from it.
+import { createTask } from './tasks';
+
+export const TEST_CREATED_AT = '2024-03-01T09:00:00.000Z';
+
+/**
+ * A note as handleSave creates it.
+ * @param {number} id - The item id.
+ * @param {object} fields - Fields to set or override.
+ * @returns {object} - The item.
+ */
+export const createTestItem = (id, fields = {}) => ({
+    id,
+    type: 'memory',
+    note: '',
+    title: `Memory ${id}`,
+    summary: '',
+    extractedText: '',
+    highlights: [],
+    tags: [],
+    deadline: null,
+    analysisStatus: 'done',
+    createdAt: TEST_CREATED_AT,
+    collectionIds: [],
+    deletedAt: null,
+    ...fields,
+});
+
+/**
+ * A to-do as the task editor creates it.
+ * @param {number} id - The item id.
+ * @param {object} fields - Fields to set or override.
+ * @returns {object} - The to-do.
+ */
+export const createTestTodo = (id, fields = {}) => ({
+    ...createTestItem(id),
+    ...createTask({ title: `To-do ${id}` }),
+    ...fields,
+});
+
+/**
+ * A collection as the sidebar creates it.
+ * @param {number} id - The collection id.
+ * @param {object} fields - Fields to set or override.
+ * @returns {object} - The collection.
+ */
+export const createTestCollection = (id, fields = {}) => ({
+    id,
+    name: `Collection ${id}`,
+    parentId: null,
+    color: null,
+    icon: null,
+    pinned: false,
+    sortOrder: 0,
+    deletedAt: null,
+    createdAt: TEST_CREATED_AT,
+    ...fields,
+});
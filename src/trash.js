@@ -0,0 +1,163 @@
+// --- Trash ---
+// Deleting an item or a collection only stamps it with `deletedAt`; the record
+// stays in state and storage, hidden from every view except the Trash, until it
+// is restored or purged. A collection takes its sub-collections and the memories
+// filed only in that subtree with it, all with the same timestamp, so they can be
+// restored (or purged) together later.
+import { getDescendantIds, normalizeCollectionParents } from './collections';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (record) => Boolean(record.deletedAt);
+
+/**
+ * Moves items to the trash.
+ * @param {Array<object>} items - All items.
+ * @param {Array<number>} ids - The items to trash.
+ * @param {string} deletedAt - The deletion timestamp.
+ * @returns {Array<object>} - The updated items; untouched records keep their identity.
+ */
+export const trashItems = (items, ids, deletedAt = new Date().toISOString()) => {
+    const idSet = new Set(ids);
+    return items.map(item => (idSet.has(item.id) && !isTrashed(item) ? { ...item, deletedAt } : item));
+};
+
+/**
+ * Moves a collection, its sub-collections and the memories filed only in them to the trash.
+ * Memories that are also in a collection outside the subtree stay where they are and keep
+ * their membership, so restoring the collection brings them back into it.
+ * @param {{items: Array<object>, collections: Array<object>}} space - All items and collections.
+ * @param {number} id - The collection to trash.
+ * @param {string} deletedAt - The deletion timestamp.
+ * @returns {{items: Array<object>, collections: Array<object>, trashedCollections: number, trashedItems: number}} - The updated
+ * space and how much went to the trash.
+ */
+export const trashCollection = ({ items, collections }, id, deletedAt = new Date().toISOString()) => {
+    const subtreeIds = getDescendantIds(collections, id);
+    const hiddenIds = new Set(collections.filter(c => subtreeIds.has(c.id) || isTrashed(c)).map(c => c.id));
+    let trashedCollections = 0;
+    let trashedItems = 0;
+    const newCollections = collections.map(collection => {
+        if (!subtreeIds.has(collection.id) || isTrashed(collection)) return collection;
+        trashedCollections++;
+        return { ...collection, deletedAt };
+    });
+    const newItems = items.map(item => {
+        if (isTrashed(item) || !item.collectionIds.some(collectionId => subtreeIds.has(collectionId))) return item;
+        if (!item.collectionIds.every(collectionId => hiddenIds.has(collectionId))) return item;
+        trashedItems++;
+        return { ...item, deletedAt };
+    });
+    return { items: newItems, collections: newCollections, trashedCollections, trashedItems };
+};
+
+/**
+ * Everything that went to the trash together with a collection.
+ * @param {{items: Array<object>, collections: Array<object>}} space - All items and collections.
+ * @param {number} id - A trashed collection.
+ * @returns {{collectionIds: Set<number>, itemIds: Set<number>}} - The collection, the sub-collections trashed with it and their memories.
+ */
+export const getTrashedWith = ({ items, collections }, id) => {
+    const collection = collections.find(c => c.id === id);
+    if (!collection || !isTrashed(collection)) return { collectionIds: new Set(), itemIds: new Set() };
+    const sameBatch = (record) => record.deletedAt === collection.deletedAt;
+    const collectionIds = new Set(Array.from(getDescendantIds(collections, id))
+        .filter(collectionId => sameBatch(collections.find(c => c.id === collectionId))));
+    const itemIds = new Set(items
+        .filter(item => sameBatch(item) && item.collectionIds.some(collectionId => collectionIds.has(collectionId)))
+        .map(item => item.id));
+    return { collectionIds, itemIds };
+};
+
+/**
+ * Lists the trash the way it was deleted: a trashed collection is one entry that carries its
+ * sub-collections and memories, and anything deleted on its own is an entry of its own.
+ * @param {{items: Array<object>, collections: Array<object>}} space - All items and collections.
+ * @returns {Array<{type: 'item'|'collection', record: object, itemCount: number}>} - Most recently deleted first.
+ */
+export const getTrashEntries = (space) => {
+    const batched = new Set();
+    const collectionEntries = space.collections
+        .filter(isTrashed)
+        .filter(collection => {
+            const parent = space.collections.find(c => c.id === collection.parentId);
+            return !parent || parent.deletedAt !== collection.deletedAt;
+        })
+        .map(collection => {
+            const { itemIds } = getTrashedWith(space, collection.id);
+            itemIds.forEach(itemId => batched.add(itemId));
+            return { type: 'collection', record: collection, itemCount: itemIds.size };
+        });
+    const itemEntries = space.items
+        .filter(item => isTrashed(item) && !batched.has(item.id))
+        .map(item => ({ type: 'item', record: item, itemCount: 1 }));
+    return [...collectionEntries, ...itemEntries].sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+};
+
+/**
+ * Takes items and collections back out of the trash. A restored collection brings back what was
+ * trashed with it; a restored memory filed only in trashed collections brings them back, so it
+ * returns to its original place. Trashed ancestors are restored as well, to keep the tree whole.
+ * @param {{items: Array<object>, collections: Array<object>}} space - All items and collections.
+ * @param {{itemIds?: Array<number>, collectionIds?: Array<number>}} selection - What to restore.
+ * @returns {{items: Array<object>, collections: Array<object>}} - The updated space; untouched records keep their identity.
+ */
+export const restoreFromTrash = (space, { itemIds = [], collectionIds = [] }) => {
+    const restoredItemIds = new Set(itemIds);
+    const restoredCollectionIds = new Set();
+    collectionIds.forEach(id => {
+        const batch = getTrashedWith(space, id);
+        batch.collectionIds.forEach(collectionId => restoredCollectionIds.add(collectionId));
+        batch.itemIds.forEach(itemId => restoredItemIds.add(itemId));
+    });
+    const byId = new Map(space.collections.map(collection => [collection.id, collection]));
+    // A memory that is still visible in some collection doesn't need its trashed ones back.
+    space.items
+        .filter(item => restoredItemIds.has(item.id))
+        .filter(item => item.collectionIds.every(collectionId => !byId.has(collectionId) || isTrashed(byId.get(collectionId))))
+        .forEach(item => item.collectionIds.forEach(collectionId => restoredCollectionIds.add(collectionId)));
+
+    // Sets iterate over entries added during iteration, so this also walks up to every ancestor.
+    restoredCollectionIds.forEach(id => {
+        const collection = byId.get(id);
+        if (collection && collection.parentId !== null) restoredCollectionIds.add(collection.parentId);
+    });
+
+    const restore = (ids) => (record) => (ids.has(record.id) && isTrashed(record) ? { ...record, deletedAt: null } : record);
+    return {
+        items: space.items.map(restore(restoredItemIds)),
+        collections: space.collections.map(restore(restoredCollectionIds)),
+    };
+};
+
+/**
+ * Permanently deletes trashed records. Memberships in purged collections are dropped from the items that remain.
+ * @param {{items: Array<object>, collections: Array<object>}} space - All items and collections.
+ * @param {function(object, 'item'|'collection'): boolean} shouldPurge - Picks the trashed records to delete (ids of items and
+ * collections can overlap, so it is also told which kind of record it gets); live records are never purged.
+ * @returns {{items: Array<object>, collections: Array<object>, purged: number}} - The remaining space and how many records were deleted.
+ */
+export const purgeTrash = ({ items, collections }, shouldPurge = () => true) => {
+    const purgedCollectionIds = new Set(collections.filter(c => isTrashed(c) && shouldPurge(c, 'collection')).map(c => c.id));
+    const remainingItems = items.filter(item => !(isTrashed(item) && shouldPurge(item, 'item')));
+    const newItems = remainingItems.map(item => (item.collectionIds.some(id => purgedCollectionIds.has(id))
+        ? { ...item, collectionIds: item.collectionIds.filter(id => !purgedCollectionIds.has(id)) }
+        : item));
+    const newCollections = normalizeCollectionParents(collections.filter(c => !purgedCollectionIds.has(c.id)));
+    return {
+        items: newItems,
+        collections: newCollections,
+        purged: purgedCollectionIds.size + items.length - remainingItems.length,
+    };
+};
+
+/**
+ * Whether a trashed record has outlived the retention period.
+ * @param {object} record - An item or collection.
+ * @param {number} retentionDays - Days to keep trash; 0 keeps it until the trash is emptied.
+ * @param {Date} now - The current time.
+ * @returns {boolean} - True when the record should be purged automatically.
+ */
+export const isTrashExpired = (record, retentionDays, now = new Date()) => (
+    isTrashed(record) && retentionDays > 0 && now - new Date(record.deletedAt) >= retentionDays * DAY
+);
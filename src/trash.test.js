@@ -0,0 +1,107 @@
+import { getTrashEntries, getTrashedWith, isTrashExpired, purgeTrash, restoreFromTrash, trashCollection, trashItems } from './trash';
+import { createTestCollection, createTestItem } from './testUtils';
+
+const EARLIER = '2024-03-01T10:00:00.000Z';
+const DELETED_AT = '2024-03-02T10:00:00.000Z';
+
+// Work > Projects, and Home, with Archive trashed on its own before.
+const collections = [
+    createTestCollection(10, { name: 'Work' }),
+    createTestCollection(11, { name: 'Projects', parentId: 10 }),
+    createTestCollection(12, { name: 'Home' }),
+    createTestCollection(13, { name: 'Archive', deletedAt: EARLIER }),
+];
+const items = [
+    createTestItem(1, { collectionIds: [11] }),
+    createTestItem(2, { collectionIds: [10, 12] }),
+    createTestItem(3, { collectionIds: [12] }),
+    createTestItem(4, { collectionIds: [10, 13] }),
+    createTestItem(5, { deletedAt: EARLIER }),
+];
+const space = { items, collections };
+const trashedIds = (records) => records.filter(record => record.deletedAt).map(record => record.id);
+
+test('trashItems stamps the items and leaves the rest untouched', () => {
+    const result = trashItems(items, [1, 5], DELETED_AT);
+    expect(result[0].deletedAt).toBe(DELETED_AT);
+    expect(result[4]).toBe(items[4]);
+    expect(result[1]).toBe(items[1]);
+});
+
+describe('trashCollection', () => {
+    const result = trashCollection(space, 10, DELETED_AT);
+
+    test('takes the sub-collections and the memories filed only in them', () => {
+        expect(result).toMatchObject({ trashedCollections: 2, trashedItems: 2 });
+        expect(trashedIds(result.collections)).toEqual([10, 11, 13]);
+        // Memory 4's other collection was already in the trash, so nothing keeps it visible.
+        expect(trashedIds(result.items)).toEqual([1, 4, 5]);
+    });
+
+    test('keeps memories that are also filed elsewhere, with their membership', () => {
+        expect(result.items[1]).toBe(items[1]);
+        expect(result.items[2]).toBe(items[2]);
+    });
+
+    test('getTrashedWith finds only what went to the trash with the collection', () => {
+        expect(getTrashedWith(result, 10)).toEqual({ collectionIds: new Set([10, 11]), itemIds: new Set([1, 4]) });
+        expect(getTrashedWith(result, 12)).toEqual({ collectionIds: new Set(), itemIds: new Set() });
+    });
+
+    test('getTrashEntries lists a trashed collection as one entry', () => {
+        expect(getTrashEntries(result).map(({ type, record, itemCount }) => [type, record.id, itemCount])).toEqual([
+            ['collection', 10, 2],
+            ['collection', 13, 0],
+            ['item', 5, 1],
+        ]);
+    });
+});
+
+describe('restoreFromTrash', () => {
+    const trashed = trashCollection(space, 10, DELETED_AT);
+
+    test('a collection brings back what was trashed with it', () => {
+        const result = restoreFromTrash(trashed, { collectionIds: [10] });
+        expect(result.collections.filter(collection => collection.id === 10 || collection.id === 11).map(c => c.deletedAt)).toEqual([null, null]);
+        expect(trashedIds(result.items)).toEqual([5]);
+    });
+
+    test('a memory brings back its collections and their ancestors', () => {
+        const result = restoreFromTrash(trashed, { itemIds: [1] });
+        expect(trashedIds(result.collections)).toEqual([13]);
+        expect(trashedIds(result.items)).toEqual([4, 5]);
+    });
+
+    test('a memory deleted on its own comes back without touching collections', () => {
+        const result = restoreFromTrash(space, { itemIds: [5] });
+        expect(result.items[4].deletedAt).toBeNull();
+        expect(result.collections).toEqual(collections);
+    });
+});
+
+describe('purgeTrash', () => {
+    test('deletes trashed records and the memberships in purged collections', () => {
+        const result = purgeTrash(trashCollection(space, 11, DELETED_AT));
+        expect(result.purged).toBe(4);
+        expect(result.collections.map(collection => collection.id)).toEqual([10, 12]);
+        expect(result.items.map(item => item.id)).toEqual([2, 3, 4]);
+        expect(result.items[2].collectionIds).toEqual([10]);
+    });
+
+    test('only purges the records picked, and sub-collections of purged ones move to the top level', () => {
+        const trashed = trashCollection(space, 10, DELETED_AT);
+        const result = purgeTrash({ ...trashed, collections: trashed.collections.map(c => (c.id === 11 ? { ...c, deletedAt: null } : c)) },
+            (record, kind) => kind === 'collection' && record.id === 10);
+        expect(result.purged).toBe(1);
+        expect(result.collections.find(collection => collection.id === 11).parentId).toBeNull();
+        expect(result.items).toHaveLength(items.length);
+    });
+});
+
+test('isTrashExpired keeps trash for the retention period', () => {
+    const now = new Date('2024-03-31T10:00:00.000Z');
+    expect(isTrashExpired({ deletedAt: EARLIER }, 30, now)).toBe(true);
+    expect(isTrashExpired({ deletedAt: DELETED_AT }, 30, now)).toBe(false);
+    expect(isTrashExpired({ deletedAt: EARLIER }, 0, now)).toBe(false);
+    expect(isTrashExpired({ deletedAt: null }, 30, now)).toBe(false);
+});
@@ -0,0 +1,107 @@
+// --- Zip Archive Writer ---
+// A minimal writer for uncompressed ("stored") zip files, enough to bundle an
+// export for download without pulling in a compression library. Screenshots are
+// already compressed, so storing them costs little.
+
+const textEncoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Zip stores local time as MS-DOS date and time fields.
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const localFileHeader = (entry) => {
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // version needed to extract
+    header.setUint16(6, 0x0800, true); // file names are UTF-8
+    header.setUint16(8, 0, true); // stored, no compression
+    header.setUint16(10, entry.time, true);
+    header.setUint16(12, entry.date, true);
+    header.setUint32(14, entry.crc, true);
+    header.setUint32(18, entry.data.length, true);
+    header.setUint32(22, entry.data.length, true);
+    header.setUint16(26, entry.name.length, true);
+    header.setUint16(28, 0, true);
+    return new Uint8Array(header.buffer);
+};
+
+const centralDirectoryHeader = (entry) => {
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true); // version made by
+    header.setUint16(6, 20, true); // version needed to extract
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, entry.time, true);
+    header.setUint16(14, entry.date, true);
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, entry.data.length, true);
+    header.setUint32(24, entry.data.length, true);
+    header.setUint16(28, entry.name.length, true);
+    header.setUint32(42, entry.offset, true);
+    return new Uint8Array(header.buffer);
+};
+
+const endOfCentralDirectory = (entryCount, directorySize, directoryOffset) => {
+    const record = new DataView(new ArrayBuffer(22));
+    record.setUint32(0, 0x06054b50, true);
+    record.setUint16(8, entryCount, true);
+    record.setUint16(10, entryCount, true);
+    record.setUint32(12, directorySize, true);
+    record.setUint32(16, directoryOffset, true);
+    return new Uint8Array(record.buffer);
+};
+
+/**
+ * Bundles files into a zip archive.
+ * @param {Array<{path: string, data: string|Uint8Array}>} files - Paths use "/" separators; strings are written as UTF-8.
+ * @param {Date} modifiedAt - The modification time recorded for every entry.
+ * @returns {Blob} - The zip file.
+ */
+export const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const data = typeof file.data === 'string' ? textEncoder.encode(file.data) : file.data;
+        const entry = { name: textEncoder.encode(file.path), data, crc: crc32(data), time, date, offset };
+        const header = localFileHeader(entry);
+        parts.push(header, entry.name, data);
+        offset += header.length + entry.name.length + data.length;
+        entries.push(entry);
+    });
+
+    let directorySize = 0;
+    entries.forEach(entry => {
+        const header = centralDirectoryHeader(entry);
+        parts.push(header, entry.name);
+        directorySize += header.length + entry.name.length;
+    });
+    parts.push(endOfCentralDirectory(entries.length, directorySize, offset));
+
+    return new Blob(parts, { type: 'application/zip' });
+};